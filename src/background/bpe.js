@@ -0,0 +1,16 @@
+/**
+ * o200k_base encoder for OpenAI-family token counts (see
+ * providers/tokenizer.js).
+ *
+ * Imported by the service worker only: service workers cannot load the
+ * 2.5 MB rank table with import() on demand, and any page importing it would
+ * bundle the table as well. The encoder itself is built on first use.
+ */
+
+import bpeRanks from "gpt-tokenizer/bpeRanks/o200k_base";
+import { GptEncoding } from "gpt-tokenizer/GptEncoding";
+import { registerBpeEncoder } from "../providers/tokenizer.js";
+
+registerBpeEncoder(() =>
+  GptEncoding.getEncodingApi("o200k_base", () => bpeRanks),
+);
@@ -0,0 +1,110 @@
+/**
+ * Content-addressed result cache persisted in IndexedDB.
+ *
+ * The key is a hash of everything that influences the model output
+ * (article text and metadata, final prompt, provider, model, verbosity,
+ * language, format), so any change to the article or settings is a cache miss.
+ *
+ * Entry shape: { key, createdAt, format, output }
+ */
+
+import { sha256Hex } from "../shared/hash.js";
+import { STORES, withStore } from "./db.js";
+
+const STORE = STORES.CACHE;
+
+/** Entries older than this are ignored and pruned. */
+export const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/** Maximum number of cached results; the oldest are evicted first. */
+export const CACHE_MAX_ENTRIES = 100;
+
+/**
+ * Build the cache key for a run.
+ *
+ * @param {{ text: string, prompt: string, providerId: string, model?: string,
+ *           verbosity: string, language?: string, format: string,
+ *           metadata?: string }} params
+ *   metadata: article metadata block without today's date, so the key only
+ *   changes when the article's byline, site, links or captions do
+ * @returns {Promise<string>}
+ */
+export function getCacheKey({
+  text,
+  prompt,
+  providerId,
+  model,
+  verbosity,
+  language,
+  format,
+  metadata,
+}) {
+  return sha256Hex(
+    JSON.stringify([
+      text,
+      prompt,
+      providerId,
+      model ?? "",
+      verbosity,
+      language ?? "",
+      format,
+      metadata ?? "",
+    ]),
+  );
+}
+
+/**
+ * Look up a fresh cached result.
+ *
+ * @param {string} key - Cache key from getCacheKey()
+ * @returns {Promise<{ key: string, createdAt: number, format: string, output: string, providerId?: string, sources?: object[] }|null>}
+ */
+export async function getCachedResult(key) {
+  const entry = await withStore(STORE, "readonly", (store) => store.get(key));
+  if (!entry || Date.now() - entry.createdAt > CACHE_TTL_MS) return null;
+  return entry;
+}
+
+/**
+ * Store a result and prune expired / excess entries.
+ *
+ * @param {string} key - Cache key from getCacheKey()
+ * @param {{ format: string, output: string, providerId?: string, sources?: object[] }} result
+ *   providerId: provider that produced it; sources: web searches it ran
+ * @returns {Promise<void>}
+ */
+export async function putCachedResult(
+  key,
+  { format, output, providerId, sources = [] },
+) {
+  await withStore(STORE, "readwrite", (store) =>
+    store.put({
+      key,
+      createdAt: Date.now(),
+      format,
+      output,
+      providerId,
+      sources,
+    }),
+  );
+  await pruneCache();
+}
+
+/** @returns {Promise<void>} */
+async function pruneCache() {
+  const entries = await withStore(STORE, "readonly", (store) =>
+    store.index("createdAt").getAll(),
+  );
+  const cutoff = Date.now() - CACHE_TTL_MS;
+  const excess = entries.length - CACHE_MAX_ENTRIES;
+
+  // Oldest first, so the first `excess` entries are evicted
+  const stale = entries.filter(
+    (entry, i) => i < excess || entry.createdAt < cutoff,
+  );
+  if (!stale.length) return;
+
+  await withStore(STORE, "readwrite", (store) => {
+    stale.forEach((entry) => store.delete(entry.key));
+  });
+}
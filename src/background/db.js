@@ -0,0 +1,91 @@
+/**
+ * Shared IndexedDB connection for the service worker.
+ *
+ * Stores:
+ *   history — analysis history (see history.js), keyPath "id" (auto), index "createdAt"
+ *   cache   — result cache (see cache.js), keyPath "key", index "createdAt"
+ *   searchCache — web search results (see search-cache.js), keyPath "key", index "createdAt"
+ */
+
+const DB_NAME = "llm-sanitizer";
+const DB_VERSION = 3;
+
+export const STORES = {
+  HISTORY: "history",
+  CACHE: "cache",
+  SEARCH_CACHE: "searchCache",
+};
+
+/** @type {Promise<IDBDatabase>|null} */
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise.
+ *
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and upgrade if needed) the database. The connection is reused.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        const history = db.createObjectStore(STORES.HISTORY, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        history.createIndex("createdAt", "createdAt");
+      }
+      if (event.oldVersion < 2) {
+        const cache = db.createObjectStore(STORES.CACHE, { keyPath: "key" });
+        cache.createIndex("createdAt", "createdAt");
+      }
+      if (event.oldVersion < 3) {
+        const searchCache = db.createObjectStore(STORES.SEARCH_CACHE, {
+          keyPath: "key",
+        });
+        searchCache.createIndex("createdAt", "createdAt");
+      }
+    };
+    dbPromise = requestToPromise(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a callback against a store inside a transaction.
+ *
+ * @param {string} storeName - One of STORES
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest|void} fn
+ * @returns {Promise<any>} Result of the request returned by fn, if any
+ */
+export async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(storeName, mode);
+  const request = fn(tx.objectStore(storeName));
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = request ? await requestToPromise(request) : undefined;
+  await done;
+  return result;
+}
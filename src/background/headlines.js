@@ -0,0 +1,130 @@
+/**
+ * Headline risk scoring for index pages (front pages, feeds).
+ *
+ * Headlines are sent as a numbered list and the model answers with a JSON
+ * array of { id, score, techniques }. Batches are sized with the provider's
+ * own input budget and token counter, so each batch is a single request.
+ */
+
+import { HEADLINE_SCORING_PROMPT } from "../shared/defaults.js";
+import { TECHNIQUES } from "../shared/analysis.js";
+import { parsePartialJson } from "../shared/partial-json.js";
+
+/**
+ * Upper bound on headlines per request. Each answer takes ~20 tokens,
+ * so this keeps the JSON array within the provider's response reserve.
+ */
+const MAX_HEADLINES_PER_BATCH = 40;
+
+const TECHNIQUE_IDS = new Set(TECHNIQUES.map((t) => t.id));
+
+/**
+ * Split numbered headline lines into batches that fit one request each.
+ *
+ * @param {{ id: number, text: string }[]} headlines
+ * @param {import('../providers/budget.js').InputBudget|null} budget - Input budget per request (null = unlimited)
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{ id: number, text: string }[][]>}
+ */
+async function batchHeadlines(headlines, budget, signal) {
+  const batches = [];
+  let current = [];
+  let size = 0;
+
+  for (const headline of headlines) {
+    const lineTokens = budget
+      ? await budget.counter.count(`${formatLine(headline)}\n`, { signal })
+      : 0;
+    const full =
+      current.length >= MAX_HEADLINES_PER_BATCH ||
+      (budget != null && size + lineTokens > budget.maxTokens);
+    if (current.length && full) {
+      batches.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(headline);
+    size += lineTokens;
+  }
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+/**
+ * Score headlines with the given provider.
+ *
+ * @param {import('../providers/provider.js').Provider} provider
+ * @param {{ id: number, text: string }[]} headlines
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {(text: string, progress: number|null) => void} [options.onStatus]
+ * @returns {Promise<{ id: number, score: number, techniques: string[] }[]>}
+ */
+export async function scoreHeadlines(
+  provider,
+  headlines,
+  { signal, onStatus } = {},
+) {
+  const budget = await provider.getInputBudget(HEADLINE_SCORING_PROMPT, {
+    signal,
+  });
+  const batches = await batchHeadlines(headlines, budget, signal);
+  const scores = [];
+
+  for (let i = 0; i < batches.length; i++) {
+    if (signal?.aborted) throw new DOMException("Cancelled", "AbortError");
+    if (onStatus) {
+      onStatus(
+        batches.length > 1
+          ? `Scoring headlines (part ${i + 1} of ${batches.length})...`
+          : `Scoring ${headlines.length} headlines...`,
+        i / batches.length,
+      );
+    }
+    const result = await provider.call({
+      text: batches[i].map(formatLine).join("\n"),
+      prompt: HEADLINE_SCORING_PROMPT,
+      signal,
+    });
+    scores.push(...parseScores(result?.content ?? "", batches[i]));
+  }
+
+  if (headlines.length && !scores.length) {
+    throw new Error("The model did not return headline scores.");
+  }
+  return scores;
+}
+
+/**
+ * @param {{ id: number, text: string }} headline
+ * @returns {string}
+ */
+function formatLine({ id, text }) {
+  return `${id}. ${text}`;
+}
+
+/**
+ * Read the model's JSON answer, keeping only entries for headlines in the batch.
+ *
+ * @param {string} content - Model output
+ * @param {{ id: number }[]} batch - Headlines that were sent
+ * @returns {{ id: number, score: number, techniques: string[] }[]}
+ */
+function parseScores(content, batch) {
+  const parsed = parsePartialJson(content);
+  // Some models wrap the array in an object
+  const items = Array.isArray(parsed)
+    ? parsed
+    : Object.values(parsed ?? {}).find(Array.isArray) ?? [];
+  const ids = new Set(batch.map((h) => h.id));
+
+  return items
+    .filter((item) => ids.has(Number(item?.id)) && item.score != null)
+    .map((item) => ({
+      id: Number(item.id),
+      score: Math.min(100, Math.max(0, Math.round(Number(item.score) || 0))),
+      techniques: (Array.isArray(item.techniques) ? item.techniques : []).filter(
+        (t) => TECHNIQUE_IDS.has(t),
+      ),
+    }));
+}
@@ -0,0 +1,78 @@
+/**
+ * Analysis history persisted in IndexedDB by the service worker.
+ *
+ * Entry shape:
+ *   { id, url, title, site, createdAt, providerId, model, promptHash,
+ *     format, output, techniques: string[], sources: { query, results }[],
+ *     article: { byline, siteName, publishedTime, selection } }
+ */
+
+import { STORES, withStore } from "./db.js";
+
+const STORE = STORES.HISTORY;
+
+/**
+ * Store a new history entry.
+ *
+ * @param {Omit<object, "id"|"createdAt">} entry
+ * @returns {Promise<number>} New entry id
+ */
+export function addHistoryEntry(entry) {
+  return withStore(STORE, "readwrite", (store) =>
+    store.add({ ...entry, createdAt: Date.now() }),
+  );
+}
+
+/**
+ * All entries, newest first.
+ *
+ * @returns {Promise<object[]>}
+ */
+export async function listHistory() {
+  const entries = await withStore(STORE, "readonly", (store) =>
+    store.index("createdAt").getAll(),
+  );
+  return entries.reverse();
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<object|undefined>}
+ */
+export function getHistoryEntry(id) {
+  return withStore(STORE, "readonly", (store) => store.get(id));
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export function deleteHistoryEntry(id) {
+  return withStore(STORE, "readwrite", (store) => store.delete(id));
+}
+
+/** @returns {Promise<void>} */
+export function clearHistory() {
+  return withStore(STORE, "readwrite", (store) => store.clear());
+}
+
+/**
+ * Drop entries beyond the retention limits.
+ *
+ * @param {{ maxEntries?: number, maxAgeDays?: number }} limits - 0 / undefined = unlimited
+ * @returns {Promise<void>}
+ */
+export async function enforceRetention({ maxEntries, maxAgeDays } = {}) {
+  const entries = await listHistory();
+  const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+
+  const stale = entries.filter(
+    (entry, i) =>
+      (maxEntries && i >= maxEntries) || entry.createdAt < cutoff,
+  );
+  if (!stale.length) return;
+
+  await withStore(STORE, "readwrite", (store) => {
+    stale.forEach((entry) => store.delete(entry.id));
+  });
+}
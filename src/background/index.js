@@ -1,21 +1,78 @@
 // Background service worker for content sanitization
 
 import {
+  DEFAULT_HISTORY_MAX_AGE_DAYS,
+  DEFAULT_HISTORY_MAX_ENTRIES,
   DEFAULT_PROMPT,
   DEFAULT_VERBOSITY,
+  ARTICLE_METADATA_INSTRUCTION,
   FACT_CHECK_INSTRUCTION,
+  OUTPUT_FORMAT,
+  SELECTION_INSTRUCTION,
+  STRUCTURED_OUTPUT_INSTRUCTION,
   getLanguageInstruction,
+  getArticleMetadataBlock,
   getVerbosityInstruction,
 } from "../shared/defaults.js";
-import { createProvider, DEFAULT_PROVIDER } from "../providers/index.js";
+import {
+  createProvider,
+  createProviderChain,
+  DEFAULT_PROVIDER,
+  providers,
+} from "../providers/index.js";
+import { tokenCounterFor } from "../providers/tokenizer.js";
 import { MSG, KEEPALIVE_PORT } from "../shared/messages.js";
+import { loadSettings, migrateProfiles } from "../shared/profiles.js";
 import {
+  DEFAULT_MAX_SEARCHES_PER_RUN,
   SEARCH_SETTINGS_KEYS,
-  resolveSearchProvider,
+  resolveSearchProviders,
   createWebSearchTool,
+  parseSearchResults,
 } from "../tools/web-search.js";
+import {
+  FETCH_BLOCKED_DOMAINS_KEY,
+  createFetchPageTool,
+  pageTokenBudget,
+} from "../tools/fetch-page.js";
+import { detectTechniques } from "../shared/analysis.js";
+import { matchesDomainList } from "../shared/domains.js";
+import {
+  EXTRACTION_PREVIEW_KEY,
+  EXTRACTION_RULES_KEY,
+} from "../shared/extraction-rules.js";
+import { urlKey } from "../shared/urls.js";
+import { sha256Hex } from "../shared/hash.js";
+import {
+  addHistoryEntry,
+  clearHistory,
+  deleteHistoryEntry,
+  enforceRetention,
+  getHistoryEntry,
+  listHistory,
+} from "./history.js";
+import { getCacheKey, getCachedResult, putCachedResult } from "./cache.js";
+import { scoreHeadlines } from "./headlines.js";
+import "./bpe.js";
+import { extractPage } from "./offscreen.js";
+import { getCachedSearch, putCachedSearch } from "./search-cache.js";
 import contentScriptPath from "../content/index.js?script";
 
+/** Settings every analysis run needs (see prepareRun). */
+const RUN_SETTINGS_KEYS = [
+  "provider",
+  "prompt",
+  "language",
+  "verbosity",
+  "baseUrl",
+  "contextLength",
+  "apiKey",
+  "model",
+  "outputFormat",
+  ...SEARCH_SETTINGS_KEYS,
+  FETCH_BLOCKED_DOMAINS_KEY,
+];
+
 /** TabId -> { resolve, port }; used so SW stays alive during long streaming. */
 const keepalivePending = new Map();
 
@@ -34,6 +91,26 @@ const ERROR_BADGE = {
   color: "#FF4444",
 };
 
+/** Result badge: technique count when something was found, a check mark otherwise */
+const RESULT_BADGE = {
+  flaggedColor: "#FF9800",
+  cleanText: "✓",
+  cleanColor: "#4CAF50",
+};
+
+/** TabId -> URL last auto-sanitized in that tab (avoids repeats on SPA "complete" events). */
+const autoSanitizedUrls = new Map();
+
+/** Context menu entry that starts headline scoring */
+const SCORE_HEADLINES_MENU_ID = "score-headlines";
+
+/** Context menu entry that analyses the selected text only */
+const SANITIZE_SELECTION_MENU_ID = "sanitize-selection";
+const SANITIZE_SELECTION_MENU_TITLE = "Sanitize selection";
+
+/** Keyboard command with the same effect (see "commands" in the manifest) */
+const SANITIZE_SELECTION_COMMAND = "sanitize-selection";
+
 /** Protected URL prefixes that cannot run extensions */
 const PROTECTED_URL_PREFIXES = ["chrome://", "edge://"];
 
@@ -47,9 +124,10 @@ function setupLifecycleListeners() {
       ctrl.abort();
       tabAbortControllers.delete(tabId);
     }
+    autoSanitizedUrls.delete(tabId);
   });
 
-  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     if (changeInfo.status === "loading") {
       const ctrl = tabAbortControllers.get(tabId);
       if (ctrl) {
@@ -57,6 +135,11 @@ function setupLifecycleListeners() {
         tabAbortControllers.delete(tabId);
       }
     }
+    if (changeInfo.status === "complete") {
+      maybeAutoSanitize(tab).catch((err) =>
+        console.error("Auto-sanitize error:", err),
+      );
+    }
   });
 
   chrome.runtime.onConnect.addListener((port) => {
@@ -71,20 +154,38 @@ function setupLifecycleListeners() {
   });
 }
 
+/**
+ * Remove a run's AbortController from the map, unless a newer run replaced it.
+ *
+ * @param {number} tabId - Tab ID
+ * @param {AbortController} ctrl - Controller of the finished run
+ */
+function releaseAbortController(tabId, ctrl) {
+  if (tabAbortControllers.get(tabId) === ctrl) {
+    tabAbortControllers.delete(tabId);
+  }
+}
+
 /**
  * Wait for keepalive port connection from content script.
  *
  * @param {number} tabId - Tab ID to wait for
+ * @param {string} [viewMessage] - MSG.SHOW_MODAL, MSG.RESET_MODAL or MSG.SHOW_BANNER
+ * @param {Record<string, unknown>} [viewOptions] - Extra view payload (e.g. format)
  * @returns {Promise<chrome.runtime.Port|null>} Port or null if timeout
  */
-async function waitForKeepalive(tabId) {
+async function waitForKeepalive(
+  tabId,
+  viewMessage = MSG.SHOW_MODAL,
+  viewOptions = {},
+) {
   const keepalivePromise = new Promise((resolve) => {
     keepalivePending.set(tabId, { resolve });
   });
 
   await chrome.tabs.sendMessage(tabId, {
-    type: MSG.SHOW_MODAL,
-    payload: { content: "", keepAlive: true },
+    type: viewMessage,
+    payload: { content: "", keepAlive: true, ...viewOptions },
   });
 
   const port = await Promise.race([
@@ -101,12 +202,13 @@ async function waitForKeepalive(tabId) {
 
   // Abort generation when the modal is closed (port disconnected by content script),
   // or when the page is closed / reloaded (port auto-disconnected).
+  // Bound to this run's controller: a re-run replaces the modal (and this port)
+  // and must not be cancelled by it.
+  const ctrl = tabAbortControllers.get(tabId);
   port.onDisconnect.addListener(() => {
-    const ctrl = tabAbortControllers.get(tabId);
-    if (ctrl) {
-      ctrl.abort();
-      tabAbortControllers.delete(tabId);
-    }
+    if (!ctrl) return;
+    ctrl.abort();
+    releaseAbortController(tabId, ctrl);
   });
 
   return port;
@@ -135,13 +237,398 @@ async function ensureContentScript(tabId) {
   }
 }
 
+/**
+ * Tell the content script a run finished and show the technique count on the icon.
+ *
+ * @param {number} tabId - Tab ID
+ * @param {string[]} techniques - Detected technique ids
+ */
+async function reportDone(tabId, techniques) {
+  await chrome.tabs
+    .sendMessage(tabId, { type: MSG.ANALYSIS_DONE, payload: { techniques } })
+    .catch(() => {});
+  const flagged = techniques.length > 0;
+  await chrome.action.setBadgeText({
+    text: flagged ? String(techniques.length) : RESULT_BADGE.cleanText,
+    tabId,
+  });
+  await chrome.action.setBadgeBackgroundColor({
+    color: flagged ? RESULT_BADGE.flaggedColor : RESULT_BADGE.cleanColor,
+    tabId,
+  });
+}
+
+/**
+ * Start an auto-sanitize run if the tab's site is on the allow list.
+ * Each URL is analysed once per tab; runs already in flight are left alone.
+ *
+ * @param {chrome.tabs.Tab} tab - Tab that finished loading
+ */
+async function maybeAutoSanitize(tab) {
+  if (!tab.url?.startsWith("http")) return;
+  if (tabAbortControllers.has(tab.id)) return;
+  if (autoSanitizedUrls.get(tab.id) === tab.url) return;
+
+  const { autoSanitize, autoSanitizeDomains = [] } =
+    await chrome.storage.local.get(["autoSanitize", "autoSanitizeDomains"]);
+  if (!autoSanitize) return;
+  if (!matchesDomainList(new URL(tab.url).hostname, autoSanitizeDomains)) {
+    return;
+  }
+
+  autoSanitizedUrls.set(tab.id, tab.url);
+  await sanitizeTab(tab, { auto: true });
+}
+
+/**
+ * Persist a finished analysis and apply retention limits.
+ * Failures are logged only — history must never break a run.
+ *
+ * @param {object} params
+ * @param {chrome.tabs.Tab} params.tab - Analysed tab
+ * @param {{ title?: string, byline?: string|null, siteName?: string|null, publishedTime?: string|null }} params.article - Extracted article
+ * @param {Record<string, unknown>} params.settings - Settings from storage
+ * @param {string} params.providerId - Provider that produced the result
+ * @param {string} params.prompt - Final prompt sent to the model
+ * @param {boolean} params.structured - Whether content is a JSON report
+ * @param {string} params.content - Final model output
+ * @param {{ query: string, results: object[] }[]} params.sources - Web searches the model ran
+ */
+async function recordHistory({
+  tab,
+  article,
+  settings,
+  providerId,
+  prompt,
+  structured,
+  content,
+  sources,
+}) {
+  try {
+    await addHistoryEntry({
+      url: tab.url,
+      title: article.title || tab.title || tab.url,
+      site: new URL(tab.url).hostname,
+      providerId,
+      model: settings.model || "",
+      promptHash: (await sha256Hex(prompt)).slice(0, 16),
+      format: structured ? OUTPUT_FORMAT.STRUCTURED : OUTPUT_FORMAT.TEXT,
+      output: content,
+      techniques: detectTechniques(content, structured),
+      sources,
+      article: articleMeta(article),
+    });
+    await enforceRetention({
+      maxEntries: settings.historyMaxEntries ?? DEFAULT_HISTORY_MAX_ENTRIES,
+      maxAgeDays: settings.historyMaxAgeDays ?? DEFAULT_HISTORY_MAX_AGE_DAYS,
+    });
+  } catch (err) {
+    console.error("Failed to save history entry:", err);
+  }
+}
+
+/**
+ * Wait until a tab has finished loading.
+ *
+ * @param {number} tabId - Tab ID to watch
+ * @returns {Promise<void>}
+ */
+function waitForTabComplete(tabId) {
+  return new Promise((resolve) => {
+    const listener = (id, changeInfo) => {
+      if (id === tabId && changeInfo.status === "complete") {
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+    };
+    chrome.tabs.onUpdated.addListener(listener);
+    chrome.tabs.get(tabId).then((t) => {
+      if (t.status === "complete") {
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Open a history entry's article and replay the stored result in the modal.
+ *
+ * @param {number} id - History entry id
+ */
+async function openHistoryEntry(id) {
+  const entry = await getHistoryEntry(id);
+  if (!entry) throw new Error("History entry not found");
+
+  const tabs = await chrome.tabs.query({});
+  const existing = tabs.find((t) => t.url === entry.url);
+  const tab = existing
+    ? await chrome.tabs.update(existing.id, { active: true })
+    : await chrome.tabs.create({ url: entry.url });
+
+  await waitForTabComplete(tab.id);
+  await ensureContentScript(tab.id);
+  await chrome.tabs.sendMessage(tab.id, {
+    type: MSG.SHOW_MODAL,
+    payload: {
+      content: "",
+      format: entry.format,
+      provider: providers[entry.providerId]?.label,
+      sources: entry.sources,
+      article: entry.article,
+    },
+  });
+  await chrome.tabs.sendMessage(tab.id, {
+    type: MSG.UPDATE_CONTENT,
+    payload: { delta: entry.output },
+  });
+}
+
+/**
+ * Handle requests from extension pages (side panel, options) and the modal.
+ *
+ * @param {{ type: string, payload?: any }} request
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {Promise<unknown>|undefined} Response, or undefined if not handled here
+ */
+function handleRuntimeMessage(request, sender) {
+  switch (request.type) {
+    case MSG.RERUN:
+    case MSG.REGENERATE:
+      if (!sender.tab) return Promise.reject(new Error("No tab to re-run"));
+      // Respond right away; the run reports progress through the modal
+      sanitizeTab(sender.tab, {
+        bypassCache: request.type === MSG.RERUN,
+        inPlace: true,
+        selection: !!request.payload?.selection,
+        skipPreview: true,
+        extracted: request.payload?.article,
+      });
+      return Promise.resolve();
+    case MSG.SANITIZE_SELECTION:
+      if (!sender.tab) return Promise.reject(new Error("No tab to analyse"));
+      sanitizeTab(sender.tab, { inPlace: true, selection: true });
+      return Promise.resolve();
+    case MSG.COMPARE:
+      if (!sender.tab) return Promise.reject(new Error("No tab to compare"));
+      compareTab(sender.tab, request.payload.profileIds, {
+        selection: !!request.payload.selection,
+      });
+      return Promise.resolve();
+    case MSG.HISTORY_LIST:
+      return listHistory();
+    case MSG.HISTORY_DELETE:
+      return deleteHistoryEntry(request.payload.id);
+    case MSG.HISTORY_CLEAR:
+      return clearHistory();
+    case MSG.HISTORY_OPEN:
+      return openHistoryEntry(request.payload.id);
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Byline, site and date of an extracted article, for the modal header.
+ *
+ * @param {{ byline?: string|null, siteName?: string|null, publishedTime?: string|null, selection?: boolean }} article
+ * @returns {{ byline: string|null, siteName: string|null, publishedTime: string|null, selection: boolean }}
+ */
+function articleMeta({ byline, siteName, publishedTime, selection }) {
+  return {
+    byline: byline ?? null,
+    siteName: siteName ?? null,
+    publishedTime: publishedTime ?? null,
+    selection: !!selection,
+  };
+}
+
+/**
+ * Resolve the provider, output format, tools (web search and fetch_page if
+ * search is configured) and the final prompt of one analysis run.
+ * Tools are created per run: both count their calls against a per-run budget,
+ * and fetch_page only opens URLs that this run's searches returned.
+ *
+ * @param {Record<string, unknown>} settings - From loadSettings(RUN_SETTINGS_KEYS)
+ * @param {object} article - Extracted article
+ * @returns {{ providerId: string, verbosity: string, structured: boolean, format: string, tools: object[], prompt: string, articleInfo: { title?: string, byline?: string, metadata: string } }}
+ *   articleInfo: passed to provider.call(); the page-controlled metadata block
+ *   goes into the user message, only its instruction into the prompt
+ */
+function prepareRun(settings, article) {
+  const providerId = settings.provider || DEFAULT_PROVIDER;
+  const verbosity = settings.verbosity || DEFAULT_VERBOSITY;
+  const basePrompt = settings.prompt || DEFAULT_PROMPT;
+  const browserLang = chrome.i18n.getUILanguage?.() || "";
+  const langInstruction = getLanguageInstruction(
+    settings.language ?? "",
+    browserLang,
+  );
+  const verbosityInstruction = getVerbosityInstruction(verbosity);
+  const structured =
+    settings.outputFormat === OUTPUT_FORMAT.STRUCTURED &&
+    !!providers[providerId]?.supportsStructuredOutput;
+  const format = structured ? OUTPUT_FORMAT.STRUCTURED : OUTPUT_FORMAT.TEXT;
+
+  const tools = [];
+  const searchMatches = resolveSearchProviders(settings);
+  if (searchMatches.length) {
+    const searchedUrls = new Set();
+    tools.push(
+      createWebSearchTool(searchMatches, {
+        aggregate: !!settings.searchAggregate,
+        maxSearches: settings.searchMaxPerRun ?? DEFAULT_MAX_SEARCHES_PER_RUN,
+        cache: { get: getCachedSearch, put: putCachedSearch },
+        onResults: (results) => {
+          for (const { url } of results) searchedUrls.add(urlKey(url));
+        },
+      }),
+      createFetchPageTool({
+        extract: extractPage,
+        isAllowed: (url) => searchedUrls.has(urlKey(url)),
+        counter: tokenCounterFor(settings.model),
+        maxTokens: pageTokenBudget(settings.contextLength),
+        blockedDomains: settings[FETCH_BLOCKED_DOMAINS_KEY] ?? [],
+      }),
+    );
+    console.log(
+      `Web search enabled: ${searchMatches.map((m) => m.provider.label).join(" → ")}`,
+    );
+  }
+
+  const factCheckBlock = searchMatches.length ? FACT_CHECK_INSTRUCTION : "";
+  // Holds today's date too: it stays out of the prompt; the cache key takes the dateless form
+  const metadata = getArticleMetadataBlock(article);
+  const prompt = [
+    langInstruction,
+    basePrompt,
+    verbosityInstruction,
+    article.selection ? SELECTION_INSTRUCTION : "",
+    metadata ? ARTICLE_METADATA_INSTRUCTION : "",
+    factCheckBlock,
+    structured ? STRUCTURED_OUTPUT_INSTRUCTION : "",
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+  console.log("[DEBUG] Final prompt:\n", prompt);
+
+  return {
+    providerId,
+    verbosity,
+    structured,
+    format,
+    tools,
+    prompt,
+    articleInfo: { title: article.title, byline: article.byline, metadata },
+  };
+}
+
+/**
+ * Ask the content script for the article (Readability, after the site's
+ * extraction rules) or for the selected text.
+ *
+ * @param {number} tabId - Tab ID
+ * @param {object} options
+ * @param {boolean} options.selection - Take the selected text instead of the article
+ * @param {boolean} options.reuse - Selection mode: fall back to the last selection analysed in the tab
+ * @returns {Promise<object|undefined>} Extracted article, or `{ error }` / `{}` if there is none
+ */
+async function extractArticle(tabId, { selection, reuse }) {
+  if (selection) {
+    return chrome.tabs.sendMessage(tabId, {
+      type: MSG.GET_SELECTION,
+      payload: { reuse },
+    });
+  }
+  const { [EXTRACTION_RULES_KEY]: rules = [] } =
+    await chrome.storage.local.get(EXTRACTION_RULES_KEY);
+  return chrome.tabs.sendMessage(tabId, {
+    type: MSG.GET_CONTENT,
+    payload: { rules },
+  });
+}
+
+/**
+ * Shortcut of the "sanitize selection" command, for hints shown to the user.
+ *
+ * @returns {Promise<string>} e.g. "Alt+Shift+S", or "" if the user removed it
+ */
+async function selectionShortcut() {
+  const commands = await chrome.commands.getAll().catch(() => []);
+  return (
+    commands.find((c) => c.name === SANITIZE_SELECTION_COMMAND)?.shortcut ?? ""
+  );
+}
+
+/**
+ * Nothing to analyse: the page has no extractable article (forums, social
+ * posts, ...) or, in selection mode, nothing is selected. Shows an error modal
+ * that offers selection mode: a button when text is already selected,
+ * otherwise how to start it.
+ *
+ * @param {number} tabId - Tab ID
+ * @param {boolean} selection - The failed run was already in selection mode
+ */
+async function offerSelectionMode(tabId, selection) {
+  const shortcut = await selectionShortcut();
+  const how =
+    `select the text you want to analyze, then ` +
+    (shortcut ? `press ${shortcut} or ` : "") +
+    `right-click it and choose "${SANITIZE_SELECTION_MENU_TITLE}".`;
+
+  let content;
+  let offerSelection = false;
+  if (selection) {
+    content = `No text is selected. To analyze part of this page, ${how}`;
+  } else {
+    const selected = await chrome.tabs
+      .sendMessage(tabId, { type: MSG.GET_SELECTION })
+      .catch(() => null);
+    offerSelection = !!selected?.textContent;
+    content =
+      "Could not find an article on this page.\n" +
+      (offerSelection
+        ? "You can analyze the selected text instead."
+        : `To analyze part of it, ${how}`);
+  }
+
+  await chrome.tabs.sendMessage(tabId, {
+    type: MSG.SHOW_MODAL,
+    payload: { content, isError: true, offerSelection },
+  });
+}
+
 /**
  * Main sanitization orchestration for a tab.
  *
  * @param {chrome.tabs.Tab} tab - Tab to sanitize
+ * @param {object} [options]
+ * @param {boolean} [options.bypassCache=false] - Skip the result cache lookup
+ * @param {boolean} [options.inPlace=false] - Reuse the open modal (regenerate from its settings)
+ * @param {boolean} [options.auto=false] - Auto-sanitize: compact banner instead of the modal
+ * @param {boolean} [options.selection=false] - Analyse only the selected text, skipping Readability
+ * @param {boolean} [options.skipPreview=false] - The extracted text was already shown (or confirmed) in this modal
+ * @param {object} [options.extracted] - Article confirmed in the preview; analysed as is instead of extracting again
  */
-async function sanitizeTab(tab) {
+async function sanitizeTab(
+  tab,
+  {
+    bypassCache = false,
+    inPlace = false,
+    auto = false,
+    selection = false,
+    skipPreview = false,
+    extracted = null,
+  } = {},
+) {
   const tabId = tab.id;
+  const viewMessage = auto
+    ? MSG.SHOW_BANNER
+    : inPlace
+      ? MSG.RESET_MODAL
+      : MSG.SHOW_MODAL;
+  // A new run supersedes any generation still in flight for this tab
+  tabAbortControllers.get(tabId)?.abort();
   const abortController = new AbortController();
   tabAbortControllers.set(tabId, abortController);
 
@@ -168,83 +655,172 @@ async function sanitizeTab(tab) {
     // 1. Ensure content script is injected
     await ensureContentScript(tabId);
 
-    // 2. Get settings
-    const settings = await chrome.storage.local.get([
-      "provider",
-      "prompt",
-      "language",
-      "verbosity",
-      "baseUrl",
-      "contextLength",
-      "apiKey",
-      "model",
-      ...SEARCH_SETTINGS_KEYS,
-    ]);
+    await chrome.action.setBadgeText({ text: "", tabId });
 
-    const providerId = settings.provider || DEFAULT_PROVIDER;
-    const verbosity = settings.verbosity || DEFAULT_VERBOSITY;
-    const basePrompt = settings.prompt || DEFAULT_PROMPT;
-    const browserLang = chrome.i18n.getUILanguage?.() || "";
-    const langInstruction = getLanguageInstruction(
-      settings.language ?? "",
-      browserLang,
-    );
-    const verbosityInstruction = getVerbosityInstruction(verbosity);
+    // Auto mode only runs on pages Readability considers articles
+    if (auto) {
+      const { isArticle } = await chrome.tabs.sendMessage(tabId, {
+        type: MSG.CHECK_ARTICLE,
+      });
+      if (!isArticle) return;
+    }
 
-    // 3. Extract content from page
-    const article = await chrome.tabs.sendMessage(tabId, {
-      type: MSG.GET_CONTENT,
-    });
+    // 2. Extract content and metadata from page, or take the selected text
+    const article =
+      typeof extracted?.textContent === "string"
+        ? extracted
+        : await extractArticle(tabId, { selection, reuse: inPlace });
 
     if (!article || !article.textContent) {
-      console.error("No content found on page");
+      console.warn("No content found on page:", article?.error ?? "empty");
+      // Auto mode stays silent; otherwise point the user to selection mode
+      if (!auto) await offerSelectionMode(tabId, selection);
       return;
     }
 
-    // 4. Open modal and wait for keepalive port
-    keepalivePort = await waitForKeepalive(tabId);
-
-    // 5. Build tools (web search if configured) and finalize prompt
-    const tools = [];
-    const searchMatch = resolveSearchProvider(settings);
-    if (searchMatch) {
-      tools.push(
-        createWebSearchTool(
-          searchMatch.provider.id,
-          searchMatch.apiKey,
-          searchMatch.extra,
-        ),
-      );
-      console.log(`Web search enabled: ${searchMatch.provider.label}`);
+    // 3. Get settings (provider fields from the active profile), build tools and prompt
+    const settings = await loadSettings([
+      ...RUN_SETTINGS_KEYS,
+      "fallbackChain",
+      "historyEnabled",
+      "historyMaxEntries",
+      "historyMaxAgeDays",
+      EXTRACTION_PREVIEW_KEY,
+    ]);
+
+    // Let the user check the extracted text first; "Send" re-runs with skipPreview
+    if (settings[EXTRACTION_PREVIEW_KEY] && !auto && !skipPreview) {
+      await chrome.tabs.sendMessage(tabId, {
+        type: MSG.SHOW_PREVIEW,
+        payload: {
+          text: article.textContent,
+          article: articleMeta(article),
+          extraction: article.extraction,
+          extracted: article,
+        },
+      });
+      return;
     }
 
-    const factCheckBlock = searchMatch ? FACT_CHECK_INSTRUCTION : "";
-    const prompt = [
-      langInstruction,
-      basePrompt,
-      verbosityInstruction,
-      factCheckBlock,
-    ]
-      .filter(Boolean)
-      .join("\n\n");
-    console.log("[DEBUG] Final prompt:\n", prompt);
-
-    // 6. Create provider and call LLM
-    const provider = createProvider(providerId, {
-      baseUrl: settings.baseUrl,
-      contextLength: settings.contextLength,
-      apiKey: settings.apiKey,
-      model: settings.model,
+    const {
+      providerId,
       verbosity,
+      structured,
+      format,
       tools,
+      prompt,
+      articleInfo,
+    } = prepareRun(settings, article);
+
+    // 4. Replay a cached result if this exact analysis was done recently
+    const cacheKey = await getCacheKey({
+      text: article.textContent,
+      prompt,
+      providerId,
+      model: settings.model,
+      verbosity,
+      language: settings.language,
+      format,
+      metadata: getArticleMetadataBlock(article, null),
+    });
+    const cached = bypassCache ? null : await getCachedResult(cacheKey);
+    if (cached) {
+      console.log("Cache hit, replaying stored result");
+      await chrome.tabs.sendMessage(tabId, {
+        type: viewMessage,
+        payload: {
+          content: "",
+          format: cached.format,
+          cachedAt: cached.createdAt,
+          provider: providers[cached.providerId]?.label,
+          sources: cached.sources,
+          article: articleMeta(article),
+        },
+      });
+      await chrome.tabs.sendMessage(tabId, {
+        type: MSG.UPDATE_CONTENT,
+        payload: { delta: cached.output },
+      });
+      await reportDone(
+        tabId,
+        detectTechniques(
+          cached.output,
+          cached.format === OUTPUT_FORMAT.STRUCTURED,
+        ),
+      );
+      return;
+    }
+
+    // 5. Open modal and wait for keepalive port
+    keepalivePort = await waitForKeepalive(tabId, viewMessage, {
+      format,
+      provider: providers[providerId]?.label,
+      article: articleMeta(article),
     });
 
+    // 6. Create provider (with its fallbacks) and call LLM
+    const chain = [
+      {
+        id: providerId,
+        settings: {
+          baseUrl: settings.baseUrl,
+          contextLength: settings.contextLength,
+          apiKey: settings.apiKey,
+          model: settings.model,
+          verbosity,
+          tools,
+        },
+      },
+      ...(settings.fallbackChain || []).map((fallback) => ({
+        id: fallback.provider,
+        settings: {
+          baseUrl: fallback.baseUrl,
+          apiKey: fallback.apiKey,
+          model: fallback.model,
+          contextLength: fallback.contextLength,
+          verbosity,
+          tools,
+        },
+      })),
+    ];
+    const provider = createProviderChain(chain, {
+      structured,
+      onSwitch: (next) => {
+        chrome.tabs
+          .sendMessage(tabId, {
+            type: MSG.SET_PROVIDER,
+            payload: {
+              label: next.label,
+              format: next.structured
+                ? OUTPUT_FORMAT.STRUCTURED
+                : OUTPUT_FORMAT.TEXT,
+            },
+          })
+          .catch(() => {});
+      },
+    });
+
+    /** Web searches of this run, listed in the modal's "Sources" panel */
+    const sources = [];
+
     try {
-      await provider.call({
+      const result = await provider.call({
         text: article.textContent,
+        article: articleInfo,
         prompt,
         signal: abortController.signal,
         onStatus: sendStatus,
+        onToolCall: ({ name, input, output }) => {
+          if (name !== "web_search") return;
+          const source = {
+            query: String(input?.query ?? ""),
+            results: parseSearchResults(output),
+          };
+          sources.push(source);
+          chrome.tabs
+            .sendMessage(tabId, { type: MSG.ADD_SOURCE, payload: source })
+            .catch(() => {});
+        },
         onUpdate: (delta) => {
           chrome.tabs
             .sendMessage(tabId, {
@@ -254,8 +830,42 @@ async function sanitizeTab(tab) {
             .catch(() => {});
         },
       });
+
+      // A fallback may have produced the result, possibly as text
+      const resultFormat = result.structured
+        ? OUTPUT_FORMAT.STRUCTURED
+        : OUTPUT_FORMAT.TEXT;
+
+      // The key names the primary provider: a fallback's answer is not cached
+      // under it, even when the fallback runs the same provider and model
+      if (result.content && result.chainIndex === 0) {
+        await putCachedResult(cacheKey, {
+          format: resultFormat,
+          output: result.content,
+          providerId: result.providerId,
+          sources,
+        }).catch((err) => console.error("Failed to cache result:", err));
+      }
+
+      await reportDone(
+        tabId,
+        detectTechniques(result.content ?? "", result.structured),
+      );
+
+      if (settings.historyEnabled !== false && result.content) {
+        await recordHistory({
+          tab,
+          article,
+          settings: { ...settings, model: result.model },
+          providerId: result.providerId,
+          prompt,
+          structured: result.structured,
+          content: result.content,
+          sources,
+        });
+      }
     } finally {
-      tabAbortControllers.delete(tabId);
+      releaseAbortController(tabId, abortController);
       provider.destroy();
       if (keepalivePort) {
         try {
@@ -283,17 +893,300 @@ async function sanitizeTab(tab) {
 
     sendStatus(`Error: ${message}`, null);
 
+    if (auto) {
+      // Keep auto mode unobtrusive: report the error in the banner only
+      await chrome.tabs
+        .sendMessage(tabId, {
+          type: MSG.ANALYSIS_DONE,
+          payload: { error: message },
+        })
+        .catch(() => {});
+      return;
+    }
+
     await chrome.tabs.sendMessage(tabId, {
       type: MSG.SHOW_MODAL,
       payload: { content: `Error: ${message}`, isError: true },
     });
   } finally {
-    tabAbortControllers.delete(tabId);
+    releaseAbortController(tabId, abortController);
+  }
+}
+
+/**
+ * Run the article through several profiles at once and show the outputs side
+ * by side. All runs share the tab's AbortController, so closing the modal or
+ * reloading the page stops every column. Comparisons skip the result cache,
+ * fallbacks and history: they are about one exact provider/model each.
+ *
+ * @param {chrome.tabs.Tab} tab - Tab to analyse
+ * @param {string[]} profileIds - One column per profile, in order
+ * @param {object} [options]
+ * @param {boolean} [options.selection=false] - Compare on the selected text instead of the article
+ */
+async function compareTab(tab, profileIds, { selection = false } = {}) {
+  const tabId = tab.id;
+  tabAbortControllers.get(tabId)?.abort();
+  const abortController = new AbortController();
+  tabAbortControllers.set(tabId, abortController);
+
+  let keepalivePort = null;
+
+  try {
+    await ensureContentScript(tabId);
+
+    const article = await extractArticle(tabId, { selection, reuse: true });
+    if (!article?.textContent) {
+      throw new Error("No content found on page");
+    }
+
+    const { profiles } = await migrateProfiles();
+    const runs = await Promise.all(
+      profileIds.map(async (profileId) => {
+        const settings = await loadSettings(RUN_SETTINGS_KEYS, profileId);
+        const profile = profiles.find((p) => p.id === profileId);
+        return {
+          settings,
+          name: profile?.name ?? "",
+          ...prepareRun(settings, article),
+        };
+      }),
+    );
+
+    keepalivePort = await waitForKeepalive(tabId, MSG.SHOW_COMPARISON, {
+      columns: runs.map((run) => ({
+        title: run.name,
+        subtitle: [providers[run.providerId]?.label, run.settings.model]
+          .filter(Boolean)
+          .join(" · "),
+        format: run.format,
+      })),
+    });
+
+    await Promise.all(
+      runs.map((run, column) =>
+        runComparisonColumn(
+          tabId,
+          column,
+          run,
+          article,
+          abortController.signal,
+        ),
+      ),
+    );
+  } catch (err) {
+    if (err?.name === "AbortError") return;
+    console.error("Comparison error:", err);
+    await chrome.tabs
+      .sendMessage(tabId, {
+        type: MSG.SHOW_MODAL,
+        payload: {
+          content: `Error: ${err?.message ?? String(err)}`,
+          isError: true,
+        },
+      })
+      .catch(() => {});
+  } finally {
+    releaseAbortController(tabId, abortController);
+    if (keepalivePort) {
+      try {
+        keepalivePort.disconnect();
+      } catch (_) {}
+    }
+  }
+}
+
+/**
+ * Stream one comparison column. Errors end only this column.
+ *
+ * @param {number} tabId - Tab ID
+ * @param {number} column - Column index in the modal
+ * @param {ReturnType<typeof prepareRun> & { settings: Record<string, unknown> }} run
+ * @param {{ title?: string, byline?: string, textContent: string }} article - Extracted article
+ * @param {AbortSignal} signal - Shared abort signal of the comparison
+ */
+async function runComparisonColumn(tabId, column, run, article, signal) {
+  const send = (type, payload) =>
+    chrome.tabs
+      .sendMessage(tabId, { type, payload: { ...payload, column } })
+      .catch(() => {});
+
+  const provider = createProvider(run.providerId, {
+    baseUrl: run.settings.baseUrl,
+    contextLength: run.settings.contextLength,
+    apiKey: run.settings.apiKey,
+    model: run.settings.model,
+    verbosity: run.verbosity,
+    tools: run.tools,
+    structured: run.structured,
+  });
+
+  try {
+    const { available, reason } =
+      await provider.constructor.checkAvailability();
+    if (!available) throw new Error(reason);
+
+    const result = await provider.call({
+      text: article.textContent,
+      article: run.articleInfo,
+      prompt: run.prompt,
+      signal,
+      onStatus: (statusText, progress) =>
+        send(MSG.SET_STATUS, { text: statusText, progress }),
+      onUpdate: (delta) => send(MSG.UPDATE_CONTENT, { delta }),
+    });
+    await send(MSG.COMPARISON_DONE, {
+      techniques: detectTechniques(result?.content ?? "", run.structured),
+    });
+  } catch (err) {
+    if (err?.name === "AbortError") return;
+    console.error(`Comparison column ${column} failed:`, err);
+    await send(MSG.COMPARISON_DONE, { error: err?.message ?? String(err) });
+  } finally {
+    provider.destroy();
+  }
+}
+
+/**
+ * Score the link headlines of an index page and decorate them in place.
+ *
+ * @param {chrome.tabs.Tab} tab - Tab to scan
+ */
+async function scoreTabHeadlines(tab) {
+  const tabId = tab.id;
+  if (
+    !tab.url ||
+    PROTECTED_URL_PREFIXES.some((prefix) => tab.url.startsWith(prefix))
+  ) {
+    console.warn("Cannot run extension on protected browser page");
+    return;
+  }
+
+  tabAbortControllers.get(tabId)?.abort();
+  const abortController = new AbortController();
+  tabAbortControllers.set(tabId, abortController);
+
+  const showStatus = (text) => {
+    chrome.tabs
+      .sendMessage(tabId, {
+        type: MSG.SHOW_HEADLINE_STATUS,
+        payload: { text },
+      })
+      .catch(() => {});
+  };
+
+  let keepalivePort = null;
+  let provider = null;
+
+  try {
+    await ensureContentScript(tabId);
+
+    const settings = await loadSettings([
+      "provider",
+      "baseUrl",
+      "contextLength",
+      "apiKey",
+      "model",
+    ]);
+    const providerId = settings.provider || DEFAULT_PROVIDER;
+    const ProviderClass = providers[providerId];
+    if (!ProviderClass?.supportsStructuredOutput) {
+      throw new Error(
+        `Headline scoring needs a provider that can return JSON; "${ProviderClass?.label ?? providerId}" cannot.`,
+      );
+    }
+
+    const { headlines } = await chrome.tabs.sendMessage(tabId, {
+      type: MSG.GET_HEADLINES,
+    });
+    if (!headlines?.length) {
+      throw new Error("No headlines found on this page.");
+    }
+
+    keepalivePort = await waitForKeepalive(tabId, MSG.SHOW_HEADLINE_STATUS, {
+      text: `Scoring ${headlines.length} headlines...`,
+    });
+
+    provider = createProvider(providerId, {
+      baseUrl: settings.baseUrl,
+      contextLength: settings.contextLength,
+      apiKey: settings.apiKey,
+      model: settings.model,
+    });
+
+    const scores = await scoreHeadlines(provider, headlines, {
+      signal: abortController.signal,
+      onStatus: showStatus,
+    });
+
+    await chrome.tabs.sendMessage(tabId, {
+      type: MSG.SHOW_HEADLINE_SCORES,
+      payload: { scores },
+    });
+  } catch (err) {
+    if (err?.name === "AbortError") return;
+    console.error("Headline scoring error:", err);
+    await chrome.tabs
+      .sendMessage(tabId, {
+        type: MSG.SHOW_HEADLINE_SCORES,
+        payload: { error: `Error: ${err?.message ?? String(err)}` },
+      })
+      .catch(() => {});
+  } finally {
+    releaseAbortController(tabId, abortController);
+    provider?.destroy();
+    if (keepalivePort) {
+      try {
+        keepalivePort.disconnect();
+      } catch (_) {}
+    }
   }
 }
 
 // Initialize lifecycle listeners
 setupLifecycleListeners();
 
+// Context menus: headline scoring on index pages, analysis of a text selection
+chrome.runtime.onInstalled.addListener(() => {
+  migrateProfiles().catch((err) =>
+    console.error("Failed to migrate settings to profiles:", err),
+  );
+  chrome.contextMenus.create({
+    id: SCORE_HEADLINES_MENU_ID,
+    title: "Score headlines on this page",
+    contexts: ["page", "action"],
+  });
+  chrome.contextMenus.create({
+    id: SANITIZE_SELECTION_MENU_ID,
+    title: SANITIZE_SELECTION_MENU_TITLE,
+    contexts: ["selection"],
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab) return;
+  if (info.menuItemId === SCORE_HEADLINES_MENU_ID) {
+    scoreTabHeadlines(tab);
+  } else if (info.menuItemId === SANITIZE_SELECTION_MENU_ID) {
+    sanitizeTab(tab, { selection: true });
+  }
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === SANITIZE_SELECTION_COMMAND && tab) {
+    sanitizeTab(tab, { selection: true });
+  }
+});
+
 // Handle extension icon clicks
 chrome.action.onClicked.addListener(sanitizeTab);
+
+// Handle requests from extension pages
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  const pending = handleRuntimeMessage(request, sender);
+  if (!pending) return false;
+  pending
+    .then((result) => sendResponse({ success: true, result }))
+    .catch((err) => sendResponse({ error: err?.message ?? String(err) }));
+  return true;
+});
@@ -0,0 +1,49 @@
+import { MSG } from "../shared/messages.js";
+
+/**
+ * Offscreen document used for DOM work the service worker cannot do
+ * (parsing fetched pages with Readability).
+ */
+
+const OFFSCREEN_PATH = "src/offscreen/index.html";
+
+/** Pending creation, so parallel callers don't create the document twice. */
+let creating = null;
+
+async function ensureOffscreenDocument() {
+  const url = chrome.runtime.getURL(OFFSCREEN_PATH);
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ["OFFSCREEN_DOCUMENT"],
+    documentUrls: [url],
+  });
+  if (contexts.length) return;
+
+  creating ??= chrome.offscreen
+    .createDocument({
+      url: OFFSCREEN_PATH,
+      reasons: ["DOM_PARSER"],
+      justification: "Extract the article text of pages opened by fetch_page",
+    })
+    .finally(() => {
+      creating = null;
+    });
+  await creating;
+}
+
+/**
+ * Reduce a fetched HTML page to its article text.
+ *
+ * @param {string} html - Page source
+ * @param {string} url - Final URL of the page
+ * @returns {Promise<{ title: string, textContent: string }>}
+ */
+export async function extractPage(html, url) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({
+    type: MSG.EXTRACT_PAGE,
+    payload: { html, url },
+  });
+  if (!response) throw new Error("Page reader did not respond");
+  if (response.error) throw new Error(response.error);
+  return response;
+}
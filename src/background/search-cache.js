@@ -0,0 +1,76 @@
+/**
+ * Web search results persisted in IndexedDB, so the same query asked while
+ * checking different articles does not spend search quota again.
+ *
+ * The key is the query, trimmed, lowercased and with whitespace collapsed;
+ * results are shared by all search providers.
+ *
+ * Entry shape: { key, createdAt, hits }
+ */
+
+import { STORES, withStore } from "./db.js";
+
+const STORE = STORES.SEARCH_CACHE;
+
+/** Entries older than this are ignored and pruned. */
+export const SEARCH_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/** Maximum number of cached queries; the oldest are evicted first. */
+export const SEARCH_CACHE_MAX_ENTRIES = 500;
+
+/**
+ * @param {string} query
+ * @returns {string}
+ */
+function queryKey(query) {
+  return query.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Look up fresh results for a query.
+ *
+ * @param {string} query - Query as sent by the model
+ * @returns {Promise<import('../tools/web-search.js').SearchHits|null>}
+ */
+export async function getCachedSearch(query) {
+  const entry = await withStore(STORE, "readonly", (store) =>
+    store.get(queryKey(query)),
+  );
+  if (!entry || Date.now() - entry.createdAt > SEARCH_CACHE_TTL_MS) {
+    return null;
+  }
+  return entry.hits;
+}
+
+/**
+ * Store the results of a query and prune expired / excess entries.
+ *
+ * @param {string} query - Query as sent by the model
+ * @param {import('../tools/web-search.js').SearchHits} hits
+ * @returns {Promise<void>}
+ */
+export async function putCachedSearch(query, hits) {
+  await withStore(STORE, "readwrite", (store) =>
+    store.put({ key: queryKey(query), createdAt: Date.now(), hits }),
+  );
+  await pruneSearchCache();
+}
+
+/** @returns {Promise<void>} */
+async function pruneSearchCache() {
+  const entries = await withStore(STORE, "readonly", (store) =>
+    store.index("createdAt").getAll(),
+  );
+  const cutoff = Date.now() - SEARCH_CACHE_TTL_MS;
+  const excess = entries.length - SEARCH_CACHE_MAX_ENTRIES;
+
+  // Oldest first, so the first `excess` entries are evicted
+  const stale = entries.filter(
+    (entry, i) => i < excess || entry.createdAt < cutoff,
+  );
+  if (!stale.length) return;
+
+  await withStore(STORE, "readwrite", (store) => {
+    stale.forEach((entry) => store.delete(entry.key));
+  });
+}
@@ -0,0 +1,189 @@
+import bannerCss from './banner.css?raw';
+import { KEEPALIVE_PORT, BANNER_ROOT_ID } from '../shared/messages.js';
+import { DEFAULT_THEME, OUTPUT_FORMAT } from '../shared/defaults.js';
+import { getTechnique } from '../shared/analysis.js';
+
+/**
+ * Compact corner banner for auto-sanitized pages.
+ * Collects the streamed result without showing it; "View" hands the result
+ * to the full modal via the onView callback.
+ */
+export class Banner {
+    /**
+     * @param {object} options
+     * @param {(result: {
+     *   format: string,
+     *   output: string,
+     *   provider: string|null,
+     *   fallback: boolean,
+     *   sources: import('./sources.js').Source[],
+     *   article: import('./modal.js').ArticleMeta|null,
+     * }) => void} options.onView - Open the full result
+     */
+    constructor({ onView }) {
+        this.onView = onView;
+        this.root = null;
+        this.keepAlivePort = null;
+        this.format = OUTPUT_FORMAT.TEXT;
+        this.provider = null;
+        this.fallback = false;
+        this.output = '';
+        /** @type {import('./sources.js').Source[]} */
+        this.sources = [];
+        /** @type {import('./modal.js').ArticleMeta|null} Passed on to the modal header */
+        this.article = null;
+        this._el = null;
+    }
+
+    /**
+     * Show the banner in its "analyzing" state.
+     * 
+     * @param {object} options
+     * @param {boolean} [options.keepAlive=false] - Whether to establish keepalive connection
+     * @param {string} [options.format] - One of OUTPUT_FORMAT
+     * @param {string} [options.provider] - Label of the provider producing the result
+     * @param {import('./sources.js').Source[]} [options.sources] - Web searches of a replayed result
+     * @param {import('./modal.js').ArticleMeta} [options.article] - Byline and date for the modal header
+     */
+    show({ keepAlive = false, format = OUTPUT_FORMAT.TEXT, provider = null, sources = [], article = null } = {}) {
+        this.remove();
+        this.format = format;
+        this.provider = provider;
+        this.fallback = false;
+        this.output = '';
+        this.sources = [...sources];
+        this.article = article;
+
+        this.root = document.createElement('div');
+        this.root.id = BANNER_ROOT_ID;
+        const shadow = this.root.attachShadow({ mode: 'open' });
+
+        const style = document.createElement('style');
+        style.textContent = bannerCss;
+
+        const banner = document.createElement('div');
+        banner.className = 'banner';
+        banner.innerHTML = `
+            <div class="spinner"></div>
+            <span class="label">Sanitizer: analyzing...</span>
+            <span class="dots"></span>
+            <button class="view-btn" disabled>View</button>
+            <button class="close-btn" title="Dismiss">✕</button>
+        `;
+        banner.querySelector('.view-btn').onclick = () => {
+            const result = {
+                format: this.format,
+                output: this.output,
+                provider: this.provider,
+                fallback: this.fallback,
+                sources: this.sources,
+                article: this.article,
+            };
+            this.remove();
+            this.onView(result);
+        };
+        banner.querySelector('.close-btn').onclick = () => this.remove();
+        this._el = banner;
+
+        chrome.storage.local.get(['theme']).then(({ theme }) => {
+            banner.dataset.theme = theme || DEFAULT_THEME;
+        });
+
+        if (keepAlive) {
+            this.keepAlivePort = chrome.runtime.connect({ name: KEEPALIVE_PORT });
+            this.keepAlivePort.onDisconnect.addListener(() => { this.keepAlivePort = null; });
+        }
+
+        shadow.appendChild(style);
+        shadow.appendChild(banner);
+        document.body.appendChild(this.root);
+    }
+
+    /**
+     * @param {string} text - Status text
+     */
+    setStatus(text) {
+        if (!this._el) return;
+        this._el.querySelector('.label').textContent = `Sanitizer: ${text}`;
+    }
+
+    /**
+     * Switch to a fallback provider before any output arrived.
+     *
+     * @param {object} options
+     * @param {string} options.label - Label of the provider now running
+     * @param {string} [options.format] - One of OUTPUT_FORMAT it will produce
+     */
+    setProvider({ label, format = OUTPUT_FORMAT.TEXT }) {
+        this.provider = label;
+        this.fallback = true;
+        if (!this.output) this.format = format;
+    }
+
+    /**
+     * Collect a web search the model ran (listed in the modal after "View").
+     *
+     * @param {import('./sources.js').Source} source
+     */
+    addSource(source) {
+        this.sources.push(source);
+    }
+
+    /**
+     * Collect a streamed delta (not displayed until "View").
+     * 
+     * @param {string} delta
+     */
+    updateContent(delta) {
+        this.output += delta;
+    }
+
+    /**
+     * Switch to the finished state.
+     * 
+     * @param {object} result
+     * @param {string[]} [result.techniques] - Detected technique ids
+     * @param {string} [result.error] - Error message if the run failed
+     */
+    complete({ techniques = [], error } = {}) {
+        if (!this._el) return;
+        const label = this._el.querySelector('.label');
+
+        if (error) {
+            this._el.classList.add('error');
+            label.textContent = `Sanitizer: ${error}`;
+            return;
+        }
+
+        this._el.classList.add('done');
+        label.textContent = techniques.length
+            ? `Sanitizer: ${techniques.length} manipulation technique${techniques.length === 1 ? '' : 's'}`
+            : 'Sanitizer: no manipulation detected';
+
+        const dots = this._el.querySelector('.dots');
+        for (const id of techniques) {
+            const { label: name, color } = getTechnique(id);
+            const dot = document.createElement('span');
+            dot.className = 'dot';
+            dot.title = name;
+            dot.style.setProperty('--technique-color', color);
+            dots.appendChild(dot);
+        }
+        this._el.querySelector('.view-btn').disabled = !this.output;
+    }
+
+    /**
+     * Remove the banner; aborts the analysis if it is still running.
+     */
+    remove() {
+        if (this.keepAlivePort) {
+            try { this.keepAlivePort.disconnect(); } catch (_) {}
+            this.keepAlivePort = null;
+        }
+        if (this.root) {
+            this.root.remove();
+            this.root = null;
+        }
+        this._el = null;
+    }
+}
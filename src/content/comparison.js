@@ -0,0 +1,144 @@
+import { OUTPUT_FORMAT } from '../shared/defaults.js';
+import { estimateTokens } from '../shared/tokens.js';
+import { parsePartialJson } from '../shared/partial-json.js';
+import { renderReport } from './report.js';
+import { MarkdownRenderer } from './markdown.js';
+
+/** Refresh interval of the elapsed-time display. */
+const TICK_MS = 1000;
+
+/**
+ * One column of the side-by-side comparison in the modal.
+ * Streams its own output and shows its own status, elapsed time and an
+ * output token estimate (estimateTokens).
+ */
+export class ComparisonColumn {
+    /**
+     * @param {HTMLElement} container - Comparison grid to append to
+     * @param {object} options
+     * @param {string} options.title - Profile name
+     * @param {string} [options.subtitle] - Provider and model
+     * @param {string} [options.format] - One of OUTPUT_FORMAT
+     */
+    constructor(container, { title, subtitle = '', format = OUTPUT_FORMAT.TEXT }) {
+        this.format = format;
+        this._rawText = '';
+        this._markdown = null;
+        this._startedAt = Date.now();
+        this._finishedAt = null;
+        this._techniques = null;
+
+        this.el = document.createElement('div');
+        this.el.className = 'comparison-column';
+
+        const header = document.createElement('div');
+        header.className = 'column-header';
+        const titleEl = document.createElement('div');
+        titleEl.className = 'column-title';
+        titleEl.textContent = title;
+        const subtitleEl = document.createElement('div');
+        subtitleEl.className = 'column-subtitle';
+        subtitleEl.textContent = subtitle;
+        this._metaEl = document.createElement('div');
+        this._metaEl.className = 'column-meta';
+        header.append(titleEl, subtitleEl, this._metaEl);
+
+        this._statusEl = document.createElement('div');
+        this._statusEl.className = 'status';
+        this._statusEl.innerHTML = `
+            <span class="status-label">Preparing...</span>
+            <div class="status-bar"><div class="status-bar-fill indeterminate"></div></div>
+        `;
+
+        this._contentEl = document.createElement('div');
+        this._contentEl.className = 'content';
+
+        this.el.append(header, this._statusEl, this._contentEl);
+        container.appendChild(this.el);
+
+        this._renderMeta();
+        this._timer = setInterval(() => this._renderMeta(), TICK_MS);
+    }
+
+    /**
+     * @param {string} text - Status text
+     * @param {number|null} progress - 0–1, or null for indeterminate
+     */
+    setStatus(text, progress) {
+        if (this._finishedAt) return;
+        this._statusEl.style.display = '';
+        this._statusEl.querySelector('.status-label').textContent = text;
+        const bar = this._statusEl.querySelector('.status-bar-fill');
+        bar.classList.toggle('indeterminate', typeof progress !== 'number');
+        bar.style.width = typeof progress === 'number' ? `${Math.round(progress * 100)}%` : '';
+    }
+
+    /**
+     * @param {string} delta - Streamed output chunk
+     */
+    append(delta) {
+        this._statusEl.style.display = 'none';
+        this._rawText += delta;
+
+        if (this.format === OUTPUT_FORMAT.STRUCTURED) {
+            const report = parsePartialJson(this._rawText);
+            if (report) renderReport(this._contentEl, report);
+        } else {
+            if (!this._markdown) this._markdown = new MarkdownRenderer(this._contentEl);
+            this._markdown.append(delta);
+        }
+        this._renderMeta();
+    }
+
+    /**
+     * Stop the clock and show the outcome.
+     * @param {object} result
+     * @param {string[]} [result.techniques] - Detected technique ids
+     * @param {string} [result.error] - Error message if this run failed
+     */
+    finish({ techniques = [], error } = {}) {
+        this._finishedAt = Date.now();
+        this._stopTimer();
+        if (error) {
+            this.setError(error);
+        } else {
+            this._statusEl.style.display = 'none';
+            this._techniques = techniques;
+        }
+        this._renderMeta();
+    }
+
+    /**
+     * @param {string} message
+     */
+    setError(message) {
+        this._statusEl.style.display = 'none';
+        const p = document.createElement('p');
+        p.className = 'column-error';
+        p.textContent = message;
+        this._contentEl.appendChild(p);
+    }
+
+    /** Stop the clock (column removed or modal closed). */
+    destroy() {
+        this._stopTimer();
+    }
+
+    _stopTimer() {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    _renderMeta() {
+        const seconds = ((this._finishedAt ?? Date.now()) - this._startedAt) / 1000;
+        const parts = [`${seconds.toFixed(this._finishedAt ? 1 : 0)} s`];
+        if (this._rawText) {
+            parts.push(`~${estimateTokens(this._rawText)} tokens`);
+        }
+        if (this._techniques) {
+            const n = this._techniques.length;
+            parts.push(n ? `${n} technique${n === 1 ? '' : 's'}` : 'no techniques');
+        }
+        this._metaEl.textContent = parts.join(' · ');
+    }
+}
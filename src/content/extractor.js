@@ -1,22 +1,230 @@
-import { Readability } from '@mozilla/readability';
+import { Readability, isProbablyReaderable } from '@mozilla/readability';
+import { GENERIC_EXCLUDE, findExtractionRule } from '../shared/extraction-rules.js';
+import { urlKey } from '../shared/urls.js';
+
+/** Outbound links kept per article. */
+const MAX_LINKS = 20;
+
+/** Image captions kept per article. */
+const MAX_CAPTIONS = 10;
+
+/** Longest link text or caption passed on. */
+const MAX_ITEM_CHARS = 160;
+
+/** Alt texts that say nothing about the image. */
+const GENERIC_ALT = /^(image|photo|picture|img|logo|icon|banner|thumbnail|placeholder)?\s*\d*$/i;
 
 /**
- * Extract article content from the current page using Mozilla Readability.
- * 
- * @returns {{ title: string, textContent: string }}
+ * @typedef {object} ExtractedArticle
+ * @property {string} title
+ * @property {string|null} byline - Author line
+ * @property {string|null} siteName
+ * @property {string|null} publishedTime - As found in the page (usually ISO 8601)
+ * @property {string|null} excerpt - Description or first paragraph
+ * @property {string|null} lang - Content language, e.g. "en" or "de-AT"
+ * @property {{ text: string, url: string }[]} links - Outbound links cited in the article
+ * @property {string[]} imageCaptions - Figure captions and meaningful alt texts
+ * @property {string} textContent
+ * @property {boolean} [selection] - Only the user's selection was extracted
+ * @property {{ rule: string|null, source: string|null, removed: number }} [extraction]
+ *   Extraction rule applied before Readability (domain and 'user'/'bundled') and elements it removed
+ */
+
+/**
+ * Extract article content and metadata from the current page using Mozilla Readability.
+ *
+ * The page is first cleaned by the extraction rules (see shared/extraction-rules.js):
+ * generic clutter and the site rule's `exclude` are removed, and the page is
+ * narrowed to the rule's `include`. If Readability finds nothing in the
+ * narrowed page, it runs again on the page with the removals only.
+ *
+ * @param {object} [options]
+ * @param {import('../shared/extraction-rules.js').ExtractionRule[]} [options.rules] - User rules from the options page
+ * @returns {ExtractedArticle}
  * @throws {Error} If the page content cannot be parsed
  */
-export function extractContent() {
+export function extractContent({ rules = [] } = {}) {
+    const rule = findExtractionRule(location.hostname, rules);
+
     const documentClone = document.cloneNode(true);
-    const reader = new Readability(documentClone);
-    const article = reader.parse();
+    let removed = _removeAll(documentClone, GENERIC_EXCLUDE) + _removeAll(documentClone, rule?.exclude);
+    const cleaned = documentClone.cloneNode(true);
+    const narrowed = _narrowTo(documentClone, rule?.include);
+
+    let article = new Readability(documentClone).parse();
+    if (!article && narrowed) {
+        article = new Readability(cleaned).parse();
+    }
 
     if (!article) {
         throw new Error('Could not parse article content');
     }
 
+    // Links and captions come from the cleaned article, not the page chrome around it
+    const content = new DOMParser().parseFromString(article.content ?? '', 'text/html');
+
     return {
         title: article.title,
-        textContent: article.textContent
+        byline: article.byline || null,
+        siteName: article.siteName || null,
+        publishedTime: article.publishedTime || _findTime(content),
+        excerpt: article.excerpt || null,
+        lang: article.lang || document.documentElement.lang || null,
+        links: _outboundLinks(content),
+        imageCaptions: _imageCaptions(content),
+        textContent: article.textContent,
+        extraction: { rule: rule?.domain ?? null, source: rule?.source ?? null, removed }
+    };
+}
+
+/**
+ * The user's text selection as an article, for pages Readability cannot parse
+ * (forums, newsletters, social posts). Metadata is limited to what the selection
+ * contains: its outbound links and image captions.
+ *
+ * @returns {ExtractedArticle|null} Null when nothing is selected
+ */
+export function extractSelection() {
+    const selection = window.getSelection();
+    const text = selection?.toString().trim() ?? '';
+    if (!text) return null;
+
+    const content = document.createElement('div');
+    for (let i = 0; i < selection.rangeCount; i++) {
+        content.appendChild(selection.getRangeAt(i).cloneContents());
+    }
+
+    return {
+        title: document.title,
+        byline: null,
+        siteName: null,
+        publishedTime: null,
+        excerpt: null,
+        lang: document.documentElement.lang || null,
+        links: _outboundLinks(content),
+        imageCaptions: _imageCaptions(content),
+        textContent: text,
+        selection: true
+    };
+}
+
+/**
+ * Cheap check whether the current page looks like an article
+ * (used before auto-sanitizing, without running a full parse).
+ *
+ * @returns {boolean}
+ */
+export function isArticlePage() {
+    return isProbablyReaderable(document);
+}
+
+/**
+ * http(s) links to other sites, de-duplicated, in reading order.
+ * @param {ParentNode} content - Parsed Readability content or a selection
+ * @returns {{ text: string, url: string }[]}
+ */
+function _outboundLinks(content) {
+    const links = [];
+    const seen = new Set();
+    for (const a of content.querySelectorAll('a[href]')) {
+        let url;
+        try {
+            url = new URL(a.getAttribute('href'), location.href);
+        } catch {
+            continue;
+        }
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') continue;
+        if (_sameSite(url.hostname, location.hostname)) continue;
+
+        const text = _clean(a.textContent);
+        const key = urlKey(url.href);
+        if (!text || seen.has(key)) continue;
+        seen.add(key);
+        links.push({ text: _truncate(text, MAX_ITEM_CHARS), url: url.href });
+        if (links.length >= MAX_LINKS) break;
+    }
+    return links;
+}
+
+/**
+ * Figure captions, plus alt texts of images without one.
+ * @param {ParentNode} content - Parsed Readability content or a selection
+ * @returns {string[]}
+ */
+function _imageCaptions(content) {
+    const captions = [];
+    const seen = new Set();
+    const add = (text) => {
+        const caption = _clean(text);
+        if (!caption || seen.has(caption)) return;
+        seen.add(caption);
+        captions.push(_truncate(caption, MAX_ITEM_CHARS));
     };
+
+    for (const figcaption of content.querySelectorAll('figcaption')) add(figcaption.textContent);
+    for (const img of content.querySelectorAll('img[alt]')) {
+        if (img.closest('figure')?.querySelector('figcaption')) continue;
+        const alt = img.getAttribute('alt');
+        if (!GENERIC_ALT.test(alt.trim())) add(alt);
+    }
+    return captions.slice(0, MAX_CAPTIONS);
+}
+
+/**
+ * Remove every element matching a selector list.
+ * @param {Document} doc
+ * @param {string} [selector] - Invalid selectors are ignored
+ * @returns {number} Elements removed
+ */
+function _removeAll(doc, selector) {
+    const elements = _select(doc, selector);
+    // Never remove the page itself or the element holding the article
+    const removable = elements.filter((el) => !el.matches('html, body, main, article') && !el.querySelector('main, article'));
+    removable.forEach((el) => el.remove());
+    return removable.length;
+}
+
+/**
+ * Replace the body with the elements matching a selector list, in page order.
+ * @param {Document} doc
+ * @param {string} [selector]
+ * @returns {boolean} Whether anything matched (the body was replaced)
+ */
+function _narrowTo(doc, selector) {
+    // Outermost matches only: a selector list may match a container and its children
+    const matches = _select(doc, selector).filter((el, _, all) => !all.some((other) => other !== el && other.contains(el)));
+    if (!matches.length) return false;
+    doc.body.replaceChildren(...matches);
+    return true;
+}
+
+function _select(doc, selector) {
+    if (!selector) return [];
+    try {
+        return [...doc.querySelectorAll(selector)];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Publication date from a <time datetime> in the article, when Readability found none in the metadata.
+ * @param {Document} content
+ * @returns {string|null}
+ */
+function _findTime(content) {
+    return content.querySelector('time[datetime]')?.getAttribute('datetime') || null;
+}
+
+function _sameSite(host, pageHost) {
+    const strip = (h) => h.replace(/^www\./, '');
+    return strip(host) === strip(pageHost);
+}
+
+function _clean(text) {
+    return (text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function _truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
 }
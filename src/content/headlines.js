@@ -0,0 +1,202 @@
+import { getTechnique } from '../shared/analysis.js';
+import { KEEPALIVE_PORT, HEADLINE_UI_ID, MODAL_ROOT_ID, BANNER_ROOT_ID } from '../shared/messages.js';
+
+/**
+ * Headline risk indicators for index pages (front pages, feeds).
+ *
+ * collect() gathers link texts that look like headlines; once the background
+ * has scored them, decorate() appends a small colored dot to every link with
+ * that headline. The score and techniques are shown in the dot's tooltip.
+ * clear() removes the dots and the status pill.
+ */
+
+/** Attribute that tags our indicator dots on the host page. */
+const INDICATOR_ATTR = 'data-llm-sanitizer-headline';
+
+/** Link texts outside this range are navigation, teasers, or whole cards. */
+const MIN_HEADLINE_CHARS = 20;
+const MAX_HEADLINE_CHARS = 250;
+const MIN_HEADLINE_WORDS = 4;
+
+/** Cap on distinct headlines sent for scoring. */
+const MAX_HEADLINES = 200;
+
+/** Containers whose links are never headlines. */
+const SKIP_CONTAINERS = `nav, footer, [role="navigation"], [role="menu"], #${MODAL_ROOT_ID}, #${BANNER_ROOT_ID}`;
+
+/** Score bands, checked in order: first band whose `max` is not exceeded wins. */
+const RISK_BANDS = [
+    { max: 33, label: 'Low', color: '#4caf50' },
+    { max: 66, label: 'Medium', color: '#ff9800' },
+    { max: 100, label: 'High', color: '#f44336' },
+];
+
+/** Scores above this count as "manipulative" in the summary line. */
+const FLAGGED_SCORE = 33;
+
+export class HeadlineDecorator {
+    constructor() {
+        /** @type {Map<number, HTMLAnchorElement[]>} Headline id -> links with that text */
+        this._links = new Map();
+        this._indicators = [];
+        this._ui = null;
+        this._label = null;
+        this.keepAlivePort = null;
+    }
+
+    /**
+     * Collect distinct link headlines from the page, in document order.
+     * @returns {{ id: number, text: string }[]}
+     */
+    collect() {
+        this._links.clear();
+        const byText = new Map();
+        const pageUrl = location.href.split('#')[0];
+
+        for (const link of document.querySelectorAll('a[href]')) {
+            if (link.closest(SKIP_CONTAINERS)) continue;
+            if (!/^https?:$/.test(link.protocol)) continue;
+            if (link.href.split('#')[0] === pageUrl) continue;
+            if (!link.getClientRects().length) continue;
+
+            const text = link.innerText.replace(/\s+/g, ' ').trim();
+            if (text.length < MIN_HEADLINE_CHARS || text.length > MAX_HEADLINE_CHARS) continue;
+            if (text.split(' ').length < MIN_HEADLINE_WORDS) continue;
+
+            let id = byText.get(text);
+            if (id == null) {
+                if (byText.size >= MAX_HEADLINES) continue;
+                id = byText.size + 1;
+                byText.set(text, id);
+                this._links.set(id, []);
+            }
+            this._links.get(id).push(link);
+        }
+
+        return [...byText].map(([text, id]) => ({ id, text }));
+    }
+
+    /**
+     * Show the status pill; with keepAlive, closing it cancels the run.
+     * @param {{ text: string, keepAlive?: boolean }} status
+     */
+    showStatus({ text, keepAlive = false }) {
+        if (keepAlive) {
+            this.clear();
+            this._mountUi();
+            this._connectKeepAlive();
+        }
+        if (this._label) this._label.textContent = text;
+    }
+
+    /**
+     * Add an indicator to every scored link and summarize the result in the pill.
+     * @param {{ scores?: { id: number, score: number, techniques: string[] }[], error?: string }} result
+     */
+    decorate({ scores = [], error }) {
+        this._disconnectKeepAlive();
+        if (!this._ui) this._mountUi();
+        this._ui.shadowRoot.querySelector('.pill').classList.remove('running');
+
+        if (error) {
+            this._label.textContent = error;
+            return;
+        }
+
+        for (const { id, score, techniques } of scores) {
+            for (const link of this._links.get(id) ?? []) {
+                const dot = createIndicator(score, techniques);
+                link.appendChild(dot);
+                this._indicators.push(dot);
+            }
+        }
+
+        const flagged = scores.filter((s) => s.score > FLAGGED_SCORE).length;
+        this._label.textContent = `${flagged} of ${scores.length} headlines look manipulative`;
+    }
+
+    /** Remove all indicators and the pill; cancels a run still in progress. */
+    clear() {
+        this._disconnectKeepAlive();
+        for (const dot of this._indicators) dot.remove();
+        this._indicators = [];
+        if (this._ui) this._ui.remove();
+        this._ui = null;
+        this._label = null;
+    }
+
+    _connectKeepAlive() {
+        const port = chrome.runtime.connect({ name: KEEPALIVE_PORT });
+        port.onDisconnect.addListener(() => {
+            if (this.keepAlivePort === port) this.keepAlivePort = null;
+        });
+        this.keepAlivePort = port;
+    }
+
+    _disconnectKeepAlive() {
+        if (this.keepAlivePort) {
+            try { this.keepAlivePort.disconnect(); } catch (_) {}
+            this.keepAlivePort = null;
+        }
+    }
+
+    /** Create the status pill in an isolated shadow root. */
+    _mountUi() {
+        const host = document.createElement('div');
+        host.id = HEADLINE_UI_ID;
+        const shadow = host.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `
+            <style>
+                .pill {
+                    position: fixed; right: 16px; bottom: 16px; z-index: 999998;
+                    display: flex; gap: 10px; align-items: center;
+                    padding: 6px 8px 6px 12px;
+                    font: 13px/1.5 -apple-system, sans-serif;
+                    color: #e0e0e0; background: #1e1e1e;
+                    border: 1px solid rgba(255,255,255,0.1); border-radius: 8px;
+                    box-shadow: 0 6px 20px rgba(0,0,0,0.4);
+                }
+                .spinner {
+                    display: none; width: 12px; height: 12px;
+                    border: 2px solid rgba(255,255,255,0.1); border-top-color: #4caf50;
+                    border-radius: 50%; animation: spin 0.8s linear infinite;
+                }
+                .running .spinner { display: block; }
+                @keyframes spin { to { transform: rotate(360deg); } }
+                button {
+                    background: rgba(255,255,255,0.08); color: inherit; border: none;
+                    border-radius: 6px; padding: 3px 10px; cursor: pointer; font: inherit;
+                }
+                button:hover { background: rgba(255,255,255,0.16); }
+            </style>
+            <div class="pill running">
+                <div class="spinner"></div>
+                <span class="label"></span>
+                <button type="button">Clear</button>
+            </div>
+        `;
+        shadow.querySelector('button').onclick = () => this.clear();
+        this._label = shadow.querySelector('.label');
+        document.body.appendChild(host);
+        this._ui = host;
+    }
+}
+
+/**
+ * Build the indicator dot for one headline.
+ * @param {number} score - 0–100
+ * @param {string[]} techniques - Technique ids
+ * @returns {HTMLSpanElement}
+ */
+function createIndicator(score, techniques) {
+    const band = RISK_BANDS.find((b) => score <= b.max) || RISK_BANDS[RISK_BANDS.length - 1];
+    const names = techniques.map((id) => getTechnique(id).label);
+
+    const dot = document.createElement('span');
+    dot.setAttribute(INDICATOR_ATTR, String(score));
+    dot.title = `Manipulation risk: ${band.label} (${score}/100)`
+        + (names.length ? ` — ${names.join(', ')}` : '');
+    dot.style.cssText = 'display: inline-block; width: 8px; height: 8px; margin-left: 6px; '
+        + `border-radius: 50%; background: ${band.color}; vertical-align: middle; cursor: help;`;
+    return dot;
+}
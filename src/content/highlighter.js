@@ -0,0 +1,320 @@
+import { getTechnique } from '../shared/analysis.js';
+import { MODAL_ROOT_ID, HIGHLIGHT_UI_ID } from '../shared/messages.js';
+
+/**
+ * In-page annotation of manipulative passages.
+ *
+ * Each excerpt reported by the model is first fuzzy-matched against the
+ * Readability text (models often paraphrase quotes slightly) to recover the
+ * article's real wording, which is then located in the live DOM and wrapped
+ * in <mark> elements. clear() unwraps every mark and normalizes the text
+ * nodes, leaving the host page as it was.
+ */
+
+/** Attribute that tags our <mark> elements on the host page. */
+const MARK_ATTR = 'data-llm-sanitizer-mark';
+
+/** Minimum share of excerpt words that must be found for a fuzzy match. */
+const MIN_MATCH_SCORE = 0.6;
+
+/** Elements whose text never belongs to the article. */
+const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'INPUT', 'SELECT']);
+
+export class PageHighlighter {
+    constructor() {
+        /** Readability text of the current article, used to canonicalize excerpts. */
+        this.articleText = '';
+        this._marks = [];
+        this._found = 0;
+        this._ui = null;
+        this._tooltip = null;
+        this._onMouseOver = (e) => this._showTooltip(e);
+        this._onMouseOut = (e) => this._hideTooltip(e);
+    }
+
+    /** @returns {boolean} Whether any highlights are on the page */
+    get active() {
+        return this._marks.length > 0;
+    }
+
+    /**
+     * Highlight every excerpt that can be located on the page.
+     * Replaces any existing highlights.
+     *
+     * @param {{ type: string, excerpt: string, explanation?: string }[]} techniques
+     * @returns {number} Number of excerpts found on the page
+     */
+    highlight(techniques) {
+        this.clear();
+        let found = 0;
+
+        for (const t of techniques) {
+            if (!t?.excerpt) continue;
+            const phrase = this._canonicalize(t.excerpt);
+            // The DOM changes after every wrap, so rebuild the index each time
+            const index = buildWordIndex(document.body);
+            const span = findExact(index, phrase) || findFuzzy(index, phrase);
+            if (!span) continue;
+
+            this._wrap(index.slice(span.start, span.end + 1), t);
+            found++;
+        }
+
+        this._found = found;
+        if (this.active) {
+            this._mountUi();
+            this._marks[0].scrollIntoView({ block: 'center', behavior: 'smooth' });
+        }
+        return found;
+    }
+
+    /** Remove all highlights and the tooltip UI. */
+    clear() {
+        const parents = new Set();
+        for (const mark of this._marks) {
+            const parent = mark.parentNode;
+            if (!parent) continue;
+            mark.replaceWith(...mark.childNodes);
+            parents.add(parent);
+        }
+        parents.forEach((p) => p.normalize());
+        this._marks = [];
+        this._found = 0;
+        this._unmountUi();
+    }
+
+    /**
+     * Map a model-quoted excerpt onto the article's actual wording.
+     * @param {string} excerpt
+     * @returns {string[]} Normalized words to search for in the DOM
+     */
+    _canonicalize(excerpt) {
+        const needle = tokenize(excerpt).map((w) => w.norm);
+        if (!this.articleText) return needle;
+
+        const article = tokenize(this.articleText);
+        const span = findExact(article, needle) || findFuzzy(article, needle);
+        return span
+            ? article.slice(span.start, span.end + 1).map((w) => w.norm)
+            : needle;
+    }
+
+    /**
+     * Wrap the given words in marks, one mark per text node touched.
+     * @param {{ node: Text, start: number, end: number }[]} words
+     * @param {{ type: string, explanation?: string }} technique
+     */
+    _wrap(words, technique) {
+        const segments = new Map();
+        for (const w of words) {
+            const seg = segments.get(w.node);
+            if (seg) seg.end = w.end;
+            else segments.set(w.node, { start: w.start, end: w.end });
+        }
+
+        const { label, color } = getTechnique(technique.type);
+        for (const [node, { start, end }] of segments) {
+            const mark = document.createElement('mark');
+            mark.setAttribute(MARK_ATTR, technique.type || 'other');
+            mark.dataset.llmSanitizerLabel = label;
+            mark.dataset.llmSanitizerExplanation = technique.explanation || '';
+            mark.style.cssText = `background: ${color}40; color: inherit; `
+                + `border-bottom: 2px solid ${color}; padding: 0; cursor: help;`;
+
+            const range = document.createRange();
+            range.setStart(node, start);
+            range.setEnd(node, end);
+            range.surroundContents(mark);
+            this._marks.push(mark);
+        }
+    }
+
+    /** Create the tooltip and the "clear" pill in an isolated shadow root. */
+    _mountUi() {
+        const host = document.createElement('div');
+        host.id = HIGHLIGHT_UI_ID;
+        const shadow = host.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `
+            <style>
+                .tooltip, .pill {
+                    position: fixed;
+                    z-index: 999998;
+                    font: 13px/1.5 -apple-system, sans-serif;
+                    color: #e0e0e0;
+                    background: #1e1e1e;
+                    border: 1px solid rgba(255,255,255,0.1);
+                    border-radius: 8px;
+                    box-shadow: 0 6px 20px rgba(0,0,0,0.4);
+                }
+                .tooltip { max-width: 320px; padding: 8px 10px; pointer-events: none; display: none; }
+                .tooltip strong { display: block; margin-bottom: 2px; }
+                .pill { right: 16px; bottom: 16px; padding: 6px 8px 6px 12px; display: flex; gap: 10px; align-items: center; }
+                .pill button {
+                    background: rgba(255,255,255,0.08); color: inherit; border: none;
+                    border-radius: 6px; padding: 3px 10px; cursor: pointer; font: inherit;
+                }
+                .pill button:hover { background: rgba(255,255,255,0.16); }
+            </style>
+            <div class="tooltip"><strong></strong><span></span></div>
+            <div class="pill"><span class="count"></span><button type="button">Clear</button></div>
+        `;
+        shadow.querySelector('.count').textContent = this._countLabel();
+        shadow.querySelector('button').onclick = () => this.clear();
+        this._tooltip = shadow.querySelector('.tooltip');
+
+        document.addEventListener('mouseover', this._onMouseOver);
+        document.addEventListener('mouseout', this._onMouseOut);
+        document.body.appendChild(host);
+        this._ui = host;
+    }
+
+    _unmountUi() {
+        document.removeEventListener('mouseover', this._onMouseOver);
+        document.removeEventListener('mouseout', this._onMouseOut);
+        if (this._ui) this._ui.remove();
+        this._ui = null;
+        this._tooltip = null;
+    }
+
+    _countLabel() {
+        const n = this._found;
+        return `${n} highlighted passage${n === 1 ? '' : 's'}`;
+    }
+
+    _showTooltip(e) {
+        const mark = e.target.closest?.(`mark[${MARK_ATTR}]`);
+        if (!mark || !this._tooltip) return;
+        this._tooltip.querySelector('strong').textContent = mark.dataset.llmSanitizerLabel;
+        this._tooltip.querySelector('span').textContent = mark.dataset.llmSanitizerExplanation;
+
+        const rect = mark.getBoundingClientRect();
+        this._tooltip.style.display = 'block';
+        this._tooltip.style.left = `${Math.max(8, rect.left)}px`;
+        const below = rect.bottom + 8;
+        const height = this._tooltip.offsetHeight;
+        this._tooltip.style.top = below + height > window.innerHeight
+            ? `${Math.max(8, rect.top - height - 8)}px`
+            : `${below}px`;
+    }
+
+    _hideTooltip(e) {
+        if (this._tooltip && e.target.closest?.(`mark[${MARK_ATTR}]`)) {
+            this._tooltip.style.display = 'none';
+        }
+    }
+}
+
+// ── Text matching ──
+
+/**
+ * Normalize a word for comparison: lowercase, letters and digits only.
+ * @param {string} word
+ * @returns {string}
+ */
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Split plain text into normalized words.
+ * @param {string} text
+ * @returns {{ norm: string }[]}
+ */
+function tokenize(text) {
+    const words = [];
+    for (const m of text.matchAll(/\S+/g)) {
+        const norm = normalizeWord(m[0]);
+        if (norm) words.push({ norm });
+    }
+    return words;
+}
+
+/**
+ * Index the visible text of a subtree as normalized words with DOM positions.
+ * @param {HTMLElement} root
+ * @returns {{ norm: string, node: Text, start: number, end: number }[]}
+ */
+function buildWordIndex(root) {
+    const words = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode(node) {
+            const parent = node.parentElement;
+            if (!parent || SKIP_TAGS.has(parent.tagName)) return NodeFilter.FILTER_REJECT;
+            if (parent.closest(`#${MODAL_ROOT_ID}, #${HIGHLIGHT_UI_ID}, mark[${MARK_ATTR}]`)) {
+                return NodeFilter.FILTER_REJECT;
+            }
+            return NodeFilter.FILTER_ACCEPT;
+        },
+    });
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        for (const m of node.data.matchAll(/\S+/g)) {
+            const norm = normalizeWord(m[0]);
+            if (norm) words.push({ norm, node, start: m.index, end: m.index + m[0].length });
+        }
+    }
+    return words;
+}
+
+/**
+ * Find the needle as a contiguous run of words.
+ * @param {{ norm: string }[]} haystack
+ * @param {string[]} needle - Normalized words
+ * @returns {{ start: number, end: number } | null} Inclusive word indices
+ */
+function findExact(haystack, needle) {
+    if (!needle.length) return null;
+    outer:
+    for (let i = 0; i + needle.length <= haystack.length; i++) {
+        for (let j = 0; j < needle.length; j++) {
+            if (haystack[i + j].norm !== needle[j]) continue outer;
+        }
+        return { start: i, end: i + needle.length - 1 };
+    }
+    return null;
+}
+
+/**
+ * Find the window of the haystack that shares the most words with the needle
+ * (bag-of-words overlap over a sliding window of the needle's length).
+ * @param {{ norm: string }[]} haystack
+ * @param {string[]} needle - Normalized words
+ * @returns {{ start: number, end: number } | null} Inclusive word indices, trimmed to matching words
+ */
+function findFuzzy(haystack, needle) {
+    const m = needle.length;
+    if (!m || haystack.length < m) return null;
+
+    const need = new Map();
+    for (const w of needle) need.set(w, (need.get(w) || 0) + 1);
+
+    const window = new Map();
+    let matched = 0;
+    let best = { score: 0, start: -1 };
+
+    for (let i = 0; i < haystack.length; i++) {
+        const add = haystack[i].norm;
+        const have = window.get(add) || 0;
+        if (have < (need.get(add) || 0)) matched++;
+        window.set(add, have + 1);
+
+        if (i >= m) {
+            const drop = haystack[i - m].norm;
+            const count = window.get(drop) - 1;
+            window.set(drop, count);
+            if (count < (need.get(drop) || 0)) matched--;
+        }
+
+        if (i >= m - 1 && matched > best.score) {
+            best = { score: matched, start: i - m + 1 };
+        }
+    }
+
+    if (best.score / m < MIN_MATCH_SCORE) return null;
+
+    let start = best.start;
+    let end = best.start + m - 1;
+    while (start < end && !need.has(haystack[start].norm)) start++;
+    while (end > start && !need.has(haystack[end].norm)) end--;
+    return { start, end };
+}
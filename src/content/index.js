@@ -1,6 +1,9 @@
 import { MSG } from '../shared/messages.js';
-import { extractContent } from './extractor.js';
+import { extractContent, extractSelection, isArticlePage } from './extractor.js';
 import { Modal } from './modal.js';
+import { Banner } from './banner.js';
+import { PageHighlighter } from './highlighter.js';
+import { HeadlineDecorator } from './headlines.js';
 
 /**
  * Content script message router.
@@ -8,6 +11,25 @@ import { Modal } from './modal.js';
  */
 
 let modal = null;
+/** Compact auto-sanitize banner; while shown it receives status and deltas instead of the modal. */
+let banner = null;
+/** Last selection analysed; re-runs from the modal use it once the page selection is gone. */
+let lastSelection = null;
+const highlighter = new PageHighlighter();
+const headlines = new HeadlineDecorator();
+
+/**
+ * Open the full modal with an already finished result (from the banner).
+ * @param {{ format: string, output: string, provider: string|null, fallback: boolean, sources: object[], article: object|null }} result
+ */
+function openResultInModal({ format, output, provider, fallback, sources, article }) {
+    banner = null;
+    highlighter.clear();
+    modal = new Modal({ highlighter });
+    modal.show('', { format, provider, sources, article });
+    if (fallback) modal.setProvider({ label: provider, format });
+    modal.updateContent(output);
+}
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     switch (request.type) {
@@ -15,37 +37,140 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             sendResponse({ alive: true });
             break;
 
+        case MSG.CHECK_ARTICLE:
+            sendResponse({ isArticle: isArticlePage() });
+            break;
+
         case MSG.GET_CONTENT:
             try {
-                const article = extractContent();
+                const article = extractContent({ rules: request.payload?.rules });
+                highlighter.articleText = article.textContent;
                 sendResponse(article);
             } catch (err) {
                 sendResponse({ error: err.message });
             }
             break;
 
+        case MSG.GET_SELECTION: {
+            const article = extractSelection() ?? (request.payload?.reuse ? lastSelection : null);
+            if (article) {
+                lastSelection = article;
+                highlighter.articleText = article.textContent;
+            }
+            sendResponse(article ?? {});
+            break;
+        }
+
         case MSG.SHOW_MODAL:
-            modal = new Modal();
+            if (banner) banner.remove();
+            banner = null;
+            highlighter.clear();
+            modal = new Modal({ highlighter });
             modal.show(request.payload.content, {
                 isError: request.payload.isError,
                 keepAlive: request.payload.keepAlive,
+                format: request.payload.format,
+                cachedAt: request.payload.cachedAt,
+                provider: request.payload.provider,
+                sources: request.payload.sources,
+                article: request.payload.article,
+                offerSelection: request.payload.offerSelection,
             });
             sendResponse({ success: true });
             break;
 
-        case MSG.SET_STATUS:
-            if (modal) {
-                modal.setStatus(request.payload.text, request.payload.progress);
+        case MSG.RESET_MODAL:
+            // Regenerate in place; fall back to a fresh modal if it was closed meanwhile
+            if (modal?.root) {
+                modal.reset(request.payload);
+            } else {
+                highlighter.clear();
+                modal = new Modal({ highlighter });
+                modal.show('', request.payload);
             }
             sendResponse({ success: true });
             break;
 
-        case MSG.UPDATE_CONTENT:
-            if (modal) {
-                modal.updateContent(request.payload.delta);
+        case MSG.SHOW_PREVIEW:
+            if (banner) banner.remove();
+            banner = null;
+            highlighter.clear();
+            modal = new Modal({ highlighter });
+            modal.showPreview(request.payload);
+            sendResponse({ success: true });
+            break;
+
+        case MSG.SHOW_COMPARISON:
+            if (banner) banner.remove();
+            banner = null;
+            highlighter.clear();
+            modal = new Modal({ highlighter });
+            modal.showComparison(request.payload);
+            sendResponse({ success: true });
+            break;
+
+        case MSG.COMPARISON_DONE:
+            modal?.finishColumn(request.payload.column, request.payload);
+            sendResponse({ success: true });
+            break;
+
+        case MSG.SHOW_BANNER:
+            if (banner) banner.remove();
+            banner = new Banner({ onView: openResultInModal });
+            banner.show(request.payload);
+            sendResponse({ success: true });
+            break;
+
+        case MSG.SET_STATUS: {
+            const view = banner?.root ? banner : modal;
+            if (view) {
+                view.setStatus(request.payload.text, request.payload.progress, request.payload.column);
             }
             sendResponse({ success: true });
             break;
+        }
+
+        case MSG.SET_PROVIDER: {
+            const view = banner?.root ? banner : modal;
+            if (view) view.setProvider(request.payload);
+            sendResponse({ success: true });
+            break;
+        }
+
+        case MSG.ADD_SOURCE: {
+            const view = banner?.root ? banner : modal;
+            if (view) view.addSource(request.payload);
+            sendResponse({ success: true });
+            break;
+        }
+
+        case MSG.UPDATE_CONTENT: {
+            const view = banner?.root ? banner : modal;
+            if (view) {
+                view.updateContent(request.payload.delta, request.payload.column);
+            }
+            sendResponse({ success: true });
+            break;
+        }
+
+        case MSG.ANALYSIS_DONE:
+            if (banner?.root) banner.complete(request.payload);
+            sendResponse({ success: true });
+            break;
+
+        case MSG.GET_HEADLINES:
+            sendResponse({ headlines: headlines.collect() });
+            break;
+
+        case MSG.SHOW_HEADLINE_STATUS:
+            headlines.showStatus(request.payload);
+            sendResponse({ success: true });
+            break;
+
+        case MSG.SHOW_HEADLINE_SCORES:
+            headlines.decorate(request.payload);
+            sendResponse({ success: true });
+            break;
 
         default:
             sendResponse({ error: 'Unknown message type' });
@@ -0,0 +1,235 @@
+import { VERDICTS } from '../shared/analysis.js';
+
+/**
+ * Minimal, safe markdown renderer for streamed model output.
+ *
+ * Supports headings, bullet/numbered lists (with nesting), blockquotes,
+ * horizontal rules, bold, italic, inline code, links and the fact-check tags
+ * ([Verified], [False], ...) as chips. Output is built from DOM nodes with
+ * textContent only — model text is never parsed as HTML — and link targets
+ * are limited to http(s) and mailto.
+ */
+
+/** Fact-check tag label → verdict id, e.g. "verified" for [Verified]. */
+const VERDICT_TAGS = new Map(
+    VERDICTS.filter((v) => v.id !== 'not_checked').map((v) => [v.label.toLowerCase(), v.id]),
+);
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+/**
+ * Inline patterns, tried in order at each position. The earliest match wins;
+ * on a tie, the pattern listed first wins.
+ */
+const INLINE_PATTERNS = [
+    { type: 'code', re: /`([^`\n]+)`/ },
+    { type: 'link', re: /\[([^\]\n]+)\]\(([^)\s]+)\)/ },
+    { type: 'verdict', re: /\[(Verified|Unverified|Misleading|False)\]/i },
+    { type: 'strong', re: /\*\*(?=\S)([^]+?\S)\*\*|__(?=\S)([^]+?\S)__/ },
+    { type: 'em', re: /\*(?=[^\s*])([^*]*[^\s*])\*|(?<![\p{L}\p{N}])_(?=[^\s_])([^_]*[^\s_])_(?![\p{L}\p{N}])/u },
+];
+
+/**
+ * Incrementally renders a growing markdown document into a container.
+ * The source is split into blank-line separated blocks; only blocks whose
+ * source changed since the last render (normally just the last one) are rebuilt.
+ */
+export class MarkdownRenderer {
+    /** @param {HTMLElement} container */
+    constructor(container) {
+        this.container = container;
+        this.source = '';
+        /** @type {{ src: string, nodes: Node[] }[]} */
+        this._blocks = [];
+    }
+
+    /**
+     * Append a streamed delta and update the DOM.
+     * @param {string} delta
+     */
+    append(delta) {
+        this.source += delta;
+        this._render();
+    }
+
+    _render() {
+        const blocks = splitBlocks(this.source);
+
+        let i = 0;
+        while (i < this._blocks.length && i < blocks.length && this._blocks[i].src === blocks[i]) i++;
+
+        // Drop stale blocks from the first changed one onwards
+        for (const stale of this._blocks.splice(i)) {
+            stale.nodes.forEach((n) => n.remove());
+        }
+
+        for (; i < blocks.length; i++) {
+            const fragment = renderBlock(blocks[i]);
+            const nodes = [...fragment.childNodes];
+            this.container.appendChild(fragment);
+            this._blocks.push({ src: blocks[i], nodes });
+        }
+    }
+}
+
+/**
+ * Render a complete markdown string.
+ * @param {string} text
+ * @returns {DocumentFragment}
+ */
+export function renderMarkdown(text) {
+    const fragment = document.createDocumentFragment();
+    for (const block of splitBlocks(text)) fragment.appendChild(renderBlock(block));
+    return fragment;
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]} Blank-line separated blocks (empty ones removed)
+ */
+function splitBlocks(text) {
+    return text.split(/\n[ \t]*\n/).filter((b) => b.trim());
+}
+
+/**
+ * Render one block, which may mix headings, list items and paragraph lines.
+ * @param {string} block
+ * @returns {DocumentFragment}
+ */
+function renderBlock(block) {
+    const fragment = document.createDocumentFragment();
+    /** Open lists, innermost last: { el, indent, ordered } */
+    let lists = [];
+    let paragraph = null;
+    let quote = null;
+
+    const closeAll = () => {
+        lists = [];
+        paragraph = null;
+        quote = null;
+    };
+
+    for (const rawLine of block.split('\n')) {
+        const line = rawLine.replace(/\s+$/, '');
+        if (!line) continue;
+
+        let m;
+        if ((m = /^\s{0,3}(#{1,6})\s+(.*)$/.exec(line))) {
+            closeAll();
+            const h = document.createElement(`h${Math.min(m[1].length + 2, 6)}`);
+            appendInline(h, m[2].replace(/\s#+$/, ''));
+            fragment.appendChild(h);
+        } else if (/^\s{0,3}([-*_])(\s*\1){2,}$/.test(line)) {
+            closeAll();
+            fragment.appendChild(document.createElement('hr'));
+        } else if ((m = /^(\s*)([-*+]|\d{1,3}[.)])\s+(.*)$/.exec(line))) {
+            paragraph = null;
+            quote = null;
+            const indent = m[1].replace(/\t/g, '    ').length;
+            const ordered = /\d/.test(m[2]);
+
+            while (lists.length && lists[lists.length - 1].indent > indent) lists.pop();
+            let top = lists[lists.length - 1];
+            if (!top || top.indent < indent || top.ordered !== ordered) {
+                if (top && top.indent === indent) lists.pop();
+                const el = document.createElement(ordered ? 'ol' : 'ul');
+                const parentLi = lists[lists.length - 1]?.el.lastElementChild;
+                (parentLi || fragment).appendChild(el);
+                top = { el, indent, ordered };
+                lists.push(top);
+            }
+            const li = document.createElement('li');
+            appendInline(li, m[3]);
+            top.el.appendChild(li);
+        } else if ((m = /^\s{0,3}>\s?(.*)$/.exec(line))) {
+            lists = [];
+            paragraph = null;
+            if (!quote) {
+                quote = document.createElement('blockquote');
+                fragment.appendChild(quote);
+            } else {
+                quote.appendChild(document.createElement('br'));
+            }
+            appendInline(quote, m[1]);
+        } else if (lists.length && /^\s+\S/.test(rawLine)) {
+            // Continuation line of a list item
+            const li = lists[lists.length - 1].el.lastElementChild;
+            li.appendChild(document.createElement('br'));
+            appendInline(li, line.trim());
+        } else {
+            lists = [];
+            quote = null;
+            if (!paragraph) {
+                paragraph = document.createElement('p');
+                fragment.appendChild(paragraph);
+            } else {
+                paragraph.appendChild(document.createElement('br'));
+            }
+            appendInline(paragraph, line.trim());
+        }
+    }
+    return fragment;
+}
+
+/**
+ * Parse inline markdown and append the resulting nodes.
+ * @param {HTMLElement} parent
+ * @param {string} text
+ */
+function appendInline(parent, text) {
+    while (text) {
+        let best = null;
+        for (const p of INLINE_PATTERNS) {
+            const m = p.re.exec(text);
+            if (m && (!best || m.index < best.m.index)) best = { type: p.type, m };
+        }
+        if (!best) {
+            parent.appendChild(document.createTextNode(text));
+            return;
+        }
+
+        const { type, m } = best;
+        if (m.index > 0) parent.appendChild(document.createTextNode(text.slice(0, m.index)));
+        parent.appendChild(renderInline(type, m));
+        text = text.slice(m.index + m[0].length);
+    }
+}
+
+/**
+ * @param {string} type - Inline pattern type
+ * @param {RegExpExecArray} m - Pattern match
+ * @returns {Node}
+ */
+function renderInline(type, m) {
+    switch (type) {
+        case 'code': {
+            const code = document.createElement('code');
+            code.textContent = m[1];
+            return code;
+        }
+        case 'link': {
+            if (!SAFE_URL.test(m[2])) return document.createTextNode(m[1]);
+            const a = document.createElement('a');
+            a.href = m[2];
+            a.target = '_blank';
+            a.rel = 'noopener noreferrer';
+            appendInline(a, m[1]);
+            return a;
+        }
+        case 'verdict': {
+            const chip = document.createElement('span');
+            chip.className = 'verdict-chip';
+            chip.dataset.verdict = VERDICT_TAGS.get(m[1].toLowerCase());
+            chip.textContent = m[1];
+            return chip;
+        }
+        case 'strong':
+        case 'em': {
+            const el = document.createElement(type);
+            appendInline(el, m[1] ?? m[2]);
+            return el;
+        }
+        default:
+            return document.createTextNode(m[0]);
+    }
+}
@@ -1,19 +1,64 @@
 import modalCss from './modal.css?raw';
-import { KEEPALIVE_PORT, MODAL_ROOT_ID } from '../shared/messages.js';
-import { VERBOSITY_OPTIONS, DEFAULT_VERBOSITY, THEME_OPTIONS, DEFAULT_THEME } from '../shared/defaults.js';
+import { KEEPALIVE_PORT, MODAL_ROOT_ID, MSG } from '../shared/messages.js';
+import {
+    VERBOSITY_OPTIONS,
+    DEFAULT_VERBOSITY,
+    THEME_OPTIONS,
+    DEFAULT_THEME,
+    OUTPUT_FORMAT,
+    LANGUAGE_OPTIONS,
+    formatPublishedDate,
+} from '../shared/defaults.js';
+import { parsePartialJson } from '../shared/partial-json.js';
+import { estimateTokens } from '../shared/tokens.js';
+import { findActiveProfile, loadSettings, migrateProfiles, updateActiveProfile } from '../shared/profiles.js';
+import { renderReport } from './report.js';
+import { MarkdownRenderer } from './markdown.js';
+import { ComparisonColumn } from './comparison.js';
+import { renderSources } from './sources.js';
+
+/**
+ * @typedef {object} ArticleMeta
+ * @property {string|null} [byline]
+ * @property {string|null} [siteName]
+ * @property {string|null} [publishedTime]
+ * @property {boolean} [selection] - Only the user's text selection was analysed
+ */
 
 /**
  * Modal UI for displaying sanitized content with streaming support.
  * Encapsulates all modal state and DOM management.
  */
 export class Modal {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {import('./highlighter.js').PageHighlighter} [options.highlighter] - Enables "Highlight on page"
+     */
+    constructor({ highlighter = null } = {}) {
+        this.highlighter = highlighter;
         this.root = null;
         this.contentDiv = null;
         this.statusDiv = null;
         this.keepAlivePort = null;
         this.isFirstUpdate = true;
         this.isError = false;
+        this.format = OUTPUT_FORMAT.TEXT;
+        this._rawText = '';
+        this._report = null;
+        this._markdown = null;
+        this.highlightToggle = null;
+        this.cachedInfo = null;
+        this.providerBadge = null;
+        this.articleMeta = null;
+        /** @type {ArticleMeta|null} Re-runs keep analysing the selection when set */
+        this._article = null;
+        this.sourcesDiv = null;
+        /** @type {import('./sources.js').Source[]} Web searches behind the result */
+        this._sources = [];
+        this.modalEl = null;
+        this._verbosityButtons = [];
+        /** @type {ComparisonColumn[]|null} Set in comparison mode */
+        this._columns = null;
         this._savedBodyOverflow = null;
     }
 
@@ -24,11 +69,32 @@ export class Modal {
      * @param {object} options - Modal options
      * @param {boolean} [options.isError=false] - Whether this is an error modal
      * @param {boolean} [options.keepAlive=false] - Whether to establish keepalive connection
+     * @param {string} [options.format] - One of OUTPUT_FORMAT; 'structured' renders a JSON report
+     * @param {number} [options.cachedAt] - Timestamp of a replayed cached result; shows "Cached" + "Re-run"
+     * @param {string} [options.provider] - Label of the provider producing the result
+     * @param {import('./sources.js').Source[]} [options.sources] - Web searches of a replayed result
+     * @param {ArticleMeta} [options.article] - Byline and date shown in the header
+     * @param {boolean} [options.offerSelection=false] - Error modal: offer to analyse the selected text instead
      */
-    show(content, { isError = false, keepAlive = false } = {}) {
+    show(content, {
+        isError = false,
+        keepAlive = false,
+        format = OUTPUT_FORMAT.TEXT,
+        cachedAt = null,
+        provider = null,
+        sources = [],
+        article = null,
+        offerSelection = false,
+    } = {}) {
         // Reset state
+        this._destroyColumns();
         this.isFirstUpdate = true;
         this.isError = isError;
+        this.format = format;
+        this._rawText = '';
+        this._report = null;
+        this._markdown = null;
+        this._sources = [...sources];
 
         // Disconnect existing port if any
         if (this.keepAlivePort) {
@@ -57,6 +123,7 @@ export class Modal {
         const modal = document.createElement('div');
         modal.className = isError ? 'modal error' : 'modal';
         modal.tabIndex = -1; // Make focusable
+        this.modalEl = modal;
 
         // ── Header (sticky) ──
         const header = document.createElement('div');
@@ -75,6 +142,34 @@ export class Modal {
             Settings
         `;
         headerLeft.appendChild(settingsToggle);
+
+        // Highlight toggle (shown once the report contains excerpts)
+        const highlightToggle = document.createElement('button');
+        highlightToggle.className = 'settings-toggle highlight-toggle';
+        highlightToggle.style.display = 'none';
+        highlightToggle.onclick = () => this._toggleHighlights();
+        this.highlightToggle = highlightToggle;
+        this._renderHighlightToggle();
+        headerLeft.appendChild(highlightToggle);
+
+        // Cached result indicator with a cache-bypassing re-run
+        this.cachedInfo = document.createElement('div');
+        this.cachedInfo.className = 'header-left';
+        this._renderCachedInfo(cachedAt);
+        headerLeft.appendChild(this.cachedInfo);
+
+        // Which provider answered (changes when the fallback chain switches)
+        this.providerBadge = document.createElement('span');
+        this.providerBadge.className = 'provider-badge';
+        this._renderProvider(provider);
+        headerLeft.appendChild(this.providerBadge);
+
+        // Who wrote the article and when
+        this.articleMeta = document.createElement('span');
+        this.articleMeta.className = 'article-meta';
+        this._renderArticleMeta(article);
+        headerLeft.appendChild(this.articleMeta);
+
         header.appendChild(headerLeft);
 
         // Close button
@@ -93,6 +188,31 @@ export class Modal {
         const settingsPanel = document.createElement('div');
         settingsPanel.className = 'settings-panel';
 
+        // Profile row
+        const profileRow = document.createElement('div');
+        profileRow.className = 'settings-row';
+
+        const profileLabel = document.createElement('span');
+        profileLabel.className = 'settings-label';
+        profileLabel.textContent = 'Profile:';
+        profileRow.appendChild(profileLabel);
+
+        profileRow.appendChild(this._createProfileSelect());
+        settingsPanel.appendChild(profileRow);
+
+        // Comparison row (hidden with fewer than two profiles)
+        const compareRow = document.createElement('div');
+        compareRow.className = 'settings-row';
+        compareRow.style.display = 'none';
+
+        const compareLabel = document.createElement('span');
+        compareLabel.className = 'settings-label';
+        compareLabel.textContent = 'Compare with:';
+        compareRow.appendChild(compareLabel);
+
+        this._createCompareControls(compareRow);
+        settingsPanel.appendChild(compareRow);
+
         // Theme row
         const themeRow = document.createElement('div');
         themeRow.className = 'settings-row';
@@ -119,6 +239,18 @@ export class Modal {
         verbosityRow.appendChild(verbosityGroup);
         settingsPanel.appendChild(verbosityRow);
 
+        // Language row
+        const languageRow = document.createElement('div');
+        languageRow.className = 'settings-row';
+
+        const languageLabel = document.createElement('span');
+        languageLabel.className = 'settings-label';
+        languageLabel.textContent = 'Language:';
+        languageRow.appendChild(languageLabel);
+
+        languageRow.appendChild(this._createLanguageSelect());
+        settingsPanel.appendChild(languageRow);
+
         // Toggle expansion
         settingsToggle.onclick = () => {
             settingsToggle.classList.toggle('open');
@@ -126,10 +258,7 @@ export class Modal {
         };
 
         // Establish keepalive connection if requested
-        if (keepAlive) {
-            this.keepAlivePort = chrome.runtime.connect({ name: KEEPALIVE_PORT });
-            this.keepAlivePort.onDisconnect.addListener(() => { this.keepAlivePort = null; });
-        }
+        if (keepAlive) this._connectKeepAlive();
 
         // ── Scrollable body ──
         const modalBody = document.createElement('div');
@@ -172,11 +301,29 @@ export class Modal {
             }
         });
 
+        // The page could not be extracted, but text is selected
+        if (offerSelection) {
+            const selectionBtn = document.createElement('button');
+            selectionBtn.className = 'settings-toggle';
+            selectionBtn.textContent = 'Analyze selection';
+            selectionBtn.onclick = () => {
+                selectionBtn.disabled = true;
+                chrome.runtime.sendMessage({ type: MSG.SANITIZE_SELECTION });
+            };
+            contentDiv.appendChild(selectionBtn);
+        }
+
         this.contentDiv = contentDiv;
 
+        // Fact-check sources (filled as the model searches)
+        this.sourcesDiv = document.createElement('div');
+        this.sourcesDiv.className = 'sources';
+        this._renderSources();
+
         // Assemble modal
         modalBody.appendChild(statusDiv);
         modalBody.appendChild(contentDiv);
+        modalBody.appendChild(this.sourcesDiv);
         modal.appendChild(header);
         modal.appendChild(settingsPanel);
         modal.appendChild(modalBody);
@@ -201,8 +348,10 @@ export class Modal {
                 e.preventDefault();
                 return;
             }
+            // In comparison mode each column scrolls on its own
+            const scroller = path.find((el) => el.classList?.contains('comparison-column')) ?? modalBody;
             // At scroll boundaries — block to prevent chaining
-            const { scrollTop, scrollHeight, clientHeight } = modalBody;
+            const { scrollTop, scrollHeight, clientHeight } = scroller;
             const atTop = scrollTop <= 0 && e.deltaY < 0;
             const atBottom = scrollTop + clientHeight >= scrollHeight && e.deltaY > 0;
             if (atTop || atBottom) {
@@ -221,13 +370,269 @@ export class Modal {
         setTimeout(() => modal.focus(), 50);
     }
 
+    /**
+     * Clear the result and prepare for a new run without re-creating the modal
+     * (used when the analysis is regenerated from the settings panel).
+     * 
+     * @param {object} options
+     * @param {boolean} [options.keepAlive=false] - Whether to establish a new keepalive connection
+     * @param {string} [options.format] - One of OUTPUT_FORMAT for the new run
+     * @param {number} [options.cachedAt] - Timestamp of a replayed cached result
+     * @param {string} [options.provider] - Label of the provider producing the result
+     * @param {import('./sources.js').Source[]} [options.sources] - Web searches of a replayed result
+     * @param {ArticleMeta} [options.article] - Byline and date shown in the header
+     */
+    reset({
+        keepAlive = false,
+        format = OUTPUT_FORMAT.TEXT,
+        cachedAt = null,
+        provider = null,
+        sources = [],
+        article = null,
+    } = {}) {
+        if (!this.root) return;
+
+        this.isFirstUpdate = true;
+        this.isError = false;
+        this.format = format;
+        this._rawText = '';
+        this._report = null;
+        this._markdown = null;
+        this._sources = [...sources];
+        this.modalEl.classList.remove('error');
+
+        if (this.highlighter) this.highlighter.clear();
+        this._destroyColumns();
+        this.contentDiv.replaceChildren();
+        this.setStatus('Preparing...', null);
+        this._renderHighlightToggle();
+        this._renderCachedInfo(cachedAt);
+        this._renderProvider(provider);
+        this._renderArticleMeta(article);
+        this._renderSources();
+
+        if (keepAlive) this._connectKeepAlive();
+    }
+
+    /**
+     * Show the modal in comparison mode: one column per run, each streaming
+     * independently (SET_STATUS / UPDATE_CONTENT carry the column index).
+     *
+     * @param {object} options
+     * @param {{ title: string, subtitle?: string, format?: string }[]} options.columns
+     * @param {boolean} [options.keepAlive=false] - Whether to establish keepalive connection
+     */
+    showComparison({ columns, keepAlive = false }) {
+        this.show('', { keepAlive });
+        this.statusDiv.style.display = 'none';
+        this.modalEl.classList.add('comparison-mode');
+
+        const grid = document.createElement('div');
+        grid.className = 'comparison';
+        this.contentDiv.appendChild(grid);
+        this._columns = columns.map((column) => new ComparisonColumn(grid, column));
+    }
+
+    /**
+     * Show the extracted text before anything is sent to the model.
+     * "Send" starts the analysis of exactly this article in this modal
+     * (MSG.REGENERATE with the article), "Cancel" closes it.
+     *
+     * @param {object} options
+     * @param {string} options.text - Text that would be analysed
+     * @param {ArticleMeta} [options.article] - Byline and date; `selection` keeps a selection run
+     * @param {{ rule: string|null, source: string|null, removed: number }} [options.extraction] - Rule applied before Readability
+     * @param {object} [options.extracted] - The full extracted article, sent back with "Send"
+     */
+    showPreview({ text, article = null, extraction = null, extracted = null }) {
+        this.show('', { article });
+        this.statusDiv.style.display = 'none';
+
+        const info = document.createElement('p');
+        info.className = 'preview-info';
+        const rule = extraction?.rule
+            ? `${extraction.source === 'user' ? 'your' : 'built-in'} rule for ${extraction.rule}`
+            : 'no site rule';
+        info.textContent = [
+            `${text.length.toLocaleString()} characters, ~${estimateTokens(text).toLocaleString()} tokens`,
+            article?.selection ? 'selected text' : rule,
+            extraction?.removed ? `${extraction.removed} page elements removed` : '',
+        ]
+            .filter(Boolean)
+            .join(' · ');
+
+        const preview = document.createElement('pre');
+        preview.className = 'preview-text';
+        preview.textContent = text.trim();
+
+        const actions = document.createElement('div');
+        actions.className = 'preview-actions';
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'settings-toggle';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.onclick = () => this.close();
+        const sendBtn = document.createElement('button');
+        sendBtn.className = 'settings-toggle';
+        sendBtn.textContent = 'Send to model';
+        sendBtn.onclick = () => {
+            sendBtn.disabled = true;
+            // The page may have changed since: analyse the text that was shown
+            chrome.runtime.sendMessage({
+                type: MSG.REGENERATE,
+                payload: { ...this._runOptions(), ...(extracted && { article: extracted }) },
+            });
+        };
+        actions.append(cancelBtn, sendBtn);
+
+        this.contentDiv.append(info, preview, actions);
+        setTimeout(() => sendBtn.focus(), 60);
+    }
+
+    /**
+     * Mark a comparison column as finished.
+     *
+     * @param {number} column - Column index
+     * @param {{ techniques?: string[], error?: string }} result
+     */
+    finishColumn(column, result) {
+        this._columns?.[column]?.finish(result);
+    }
+
+    /**
+     * Leave comparison mode, stopping the columns' clocks.
+     */
+    _destroyColumns() {
+        if (!this._columns) return;
+        this._columns.forEach((column) => column.destroy());
+        this._columns = null;
+        this.modalEl?.classList.remove('comparison-mode');
+    }
+
+    /**
+     * Switch to a fallback provider before any output arrived.
+     *
+     * @param {object} options
+     * @param {string} options.label - Label of the provider now running
+     * @param {string} [options.format] - One of OUTPUT_FORMAT it will produce
+     */
+    setProvider({ label, format = OUTPUT_FORMAT.TEXT }) {
+        if (!this.root) return;
+        this._renderProvider(label, { fallback: true });
+        if (this.isFirstUpdate) this.format = format;
+    }
+
+    /**
+     * Add a web search the model ran to the "Sources" panel.
+     *
+     * @param {import('./sources.js').Source} source
+     */
+    addSource(source) {
+        if (!this.root) return;
+        this._sources.push(source);
+        this._renderSources();
+    }
+
+    /**
+     * Re-render the "Sources" panel, linking results to the verdict tags that cite them.
+     */
+    _renderSources() {
+        if (!this.sourcesDiv || this._columns) return;
+        renderSources(this.sourcesDiv, this._sources, { output: this._rawText, format: this.format });
+    }
+
+    /**
+     * Open a new keepalive port, replacing the current one.
+     */
+    _connectKeepAlive() {
+        if (this.keepAlivePort) {
+            try { this.keepAlivePort.disconnect(); } catch (_) {}
+        }
+        const port = chrome.runtime.connect({ name: KEEPALIVE_PORT });
+        // A superseded port may disconnect later — only clear our reference if it's still current
+        port.onDisconnect.addListener(() => {
+            if (this.keepAlivePort === port) this.keepAlivePort = null;
+        });
+        this.keepAlivePort = port;
+    }
+
+    /**
+     * Show the "Cached" badge and "Re-run" button for a replayed result, or hide them.
+     * 
+     * @param {number|null} cachedAt - Timestamp of the cached result
+     */
+    _renderCachedInfo(cachedAt) {
+        if (!this.cachedInfo) return;
+        this.cachedInfo.replaceChildren();
+        if (!cachedAt) return;
+
+        const cachedBadge = document.createElement('span');
+        cachedBadge.className = 'cached-badge';
+        cachedBadge.textContent = `Cached · ${formatAge(cachedAt)}`;
+        cachedBadge.title = new Date(cachedAt).toLocaleString();
+        this.cachedInfo.appendChild(cachedBadge);
+
+        const rerunBtn = document.createElement('button');
+        rerunBtn.className = 'settings-toggle';
+        rerunBtn.textContent = 'Re-run';
+        rerunBtn.onclick = () => {
+            rerunBtn.disabled = true;
+            chrome.runtime.sendMessage({ type: MSG.RERUN, payload: this._runOptions() });
+        };
+        this.cachedInfo.appendChild(rerunBtn);
+    }
+
+    /**
+     * Show which provider produced the result, or hide the badge.
+     *
+     * @param {string|null} label - Provider label
+     * @param {object} [options]
+     * @param {boolean} [options.fallback=false] - The primary provider failed and a fallback took over
+     */
+    _renderProvider(label, { fallback = false } = {}) {
+        if (!this.providerBadge) return;
+        this.providerBadge.style.display = label ? '' : 'none';
+        this.providerBadge.classList.toggle('fallback', fallback);
+        this.providerBadge.textContent = fallback ? `Fallback · ${label}` : label || '';
+        this.providerBadge.title = fallback
+            ? 'The primary provider failed; this result comes from a fallback provider.'
+            : '';
+    }
+
+    /**
+     * Show the article's byline, site and publication date (or that only the
+     * selection was analysed), or hide the line.
+     *
+     * @param {ArticleMeta|null} article
+     */
+    _renderArticleMeta(article) {
+        this._article = article;
+        if (!this.articleMeta) return;
+        const { byline, siteName, publishedTime, selection } = article ?? {};
+        const text = [
+            selection && 'Selected text',
+            byline && `By ${byline.replace(/^by\s+/i, '')}`,
+            siteName,
+            formatPublishedDate(publishedTime),
+        ]
+            .filter(Boolean)
+            .join(' · ');
+        this.articleMeta.style.display = text ? '' : 'none';
+        this.articleMeta.textContent = text;
+        this.articleMeta.title = text;
+    }
+
     /**
      * Update the status indicator.
      * 
      * @param {string} text - Status text to display
      * @param {number|null} progress - Progress value (0-1) or null for indeterminate
+     * @param {number} [column] - Comparison column the status belongs to
      */
-    setStatus(text, progress) {
+    setStatus(text, progress, column) {
+        if (column !== undefined) {
+            this._columns?.[column]?.setStatus(text, progress);
+            return;
+        }
         if (!this.statusDiv) return;
 
         this.statusDiv.style.display = '';
@@ -251,8 +656,13 @@ export class Modal {
      * Update modal content with streaming delta.
      * 
      * @param {string} delta - Text chunk to append
+     * @param {number} [column] - Comparison column the chunk belongs to
      */
-    updateContent(delta) {
+    updateContent(delta, column) {
+        if (column !== undefined) {
+            this._columns?.[column]?.append(delta);
+            return;
+        }
         if (!this.contentDiv || this.isError) return;
 
         if (this.isFirstUpdate) {
@@ -263,36 +673,15 @@ export class Modal {
         // Hide status indicator whenever content is streaming
         if (this.statusDiv) this.statusDiv.style.display = 'none';
 
-        // Handle newlines by creating paragraphs
-        const lines = delta.split('\n');
-
-        if (lines.length === 1) {
-            // Append to last paragraph or create one
-            let lastP = this.contentDiv.lastElementChild;
-            if (!lastP || lastP.tagName !== 'P') {
-                lastP = document.createElement('p');
-                this.contentDiv.appendChild(lastP);
-            }
-            lastP.textContent += lines[0];
+        if (this.format === OUTPUT_FORMAT.STRUCTURED) {
+            this._updateReport(delta);
         } else {
-            // Handle multiple lines
-            lines.forEach((line, i) => {
-                if (i === 0) {
-                    // Append to last P
-                    let lastP = this.contentDiv.lastElementChild;
-                    if (!lastP || lastP.tagName !== 'P') {
-                        lastP = document.createElement('p');
-                        this.contentDiv.appendChild(lastP);
-                    }
-                    lastP.textContent += line;
-                } else {
-                    // New P
-                    const p = document.createElement('p');
-                    p.textContent = line;
-                    this.contentDiv.appendChild(p);
-                }
-            });
+            this._rawText += delta;
+            if (!this._markdown) this._markdown = new MarkdownRenderer(this.contentDiv);
+            this._markdown.append(delta);
         }
+        // New verdict tags may cite the listed results
+        if (this._sources.length) this._renderSources();
 
         // Auto-scroll only if the user hasn't scrolled up to read
         const modalBody = this.contentDiv.closest('.modal-body');
@@ -304,6 +693,62 @@ export class Modal {
         }
     }
 
+    /**
+     * Accumulate streamed JSON and re-render the structured report.
+     * 
+     * @param {string} delta - JSON text chunk to append
+     */
+    _updateReport(delta) {
+        this._rawText += delta;
+        const report = parsePartialJson(this._rawText);
+        if (!report) return;
+        this._report = report;
+        renderReport(this.contentDiv, report);
+        this._renderHighlightToggle();
+    }
+
+    /**
+     * Techniques from the current report that carry a complete excerpt.
+     * 
+     * @returns {object[]}
+     */
+    _highlightableTechniques() {
+        const techniques = Array.isArray(this._report?.techniques) ? this._report.techniques : [];
+        return techniques.filter(t => t && typeof t.excerpt === 'string' && t.excerpt.trim() && t.explanation);
+    }
+
+    /**
+     * Show/hide the highlight toggle and sync its label with the page state.
+     * 
+     * @param {string} [label] - Override label (e.g. after a failed search)
+     */
+    _renderHighlightToggle(label) {
+        const btn = this.highlightToggle;
+        if (!btn) return;
+        const available = !!this.highlighter && this._highlightableTechniques().length > 0;
+        btn.style.display = available ? '' : 'none';
+        if (!available) return;
+
+        const active = this.highlighter.active;
+        btn.classList.toggle('open', active);
+        btn.textContent = label || (active ? 'Remove highlights' : 'Highlight on page');
+    }
+
+    /**
+     * Apply or remove in-page highlights for the current report.
+     */
+    _toggleHighlights() {
+        if (!this.highlighter) return;
+        if (this.highlighter.active) {
+            this.highlighter.clear();
+            this._renderHighlightToggle();
+            return;
+        }
+        const techniques = this._highlightableTechniques();
+        const found = this.highlighter.highlight(techniques);
+        this._renderHighlightToggle(found ? undefined : 'No passages found on page');
+    }
+
     /**
      * Create the theme toggle button group.
      * Reads the current value from storage and saves on change.
@@ -343,9 +788,123 @@ export class Modal {
         return group;
     }
 
+    /**
+     * Create the response language picker.
+     * Reads the current value from storage; saves and regenerates on change.
+     * 
+     * @returns {HTMLSelectElement}
+     */
+    _createLanguageSelect() {
+        const select = document.createElement('select');
+        select.className = 'settings-select';
+
+        LANGUAGE_OPTIONS.forEach(({ code, label }) => {
+            const opt = document.createElement('option');
+            opt.value = code;
+            opt.textContent = label;
+            select.appendChild(opt);
+        });
+
+        select.onchange = async () => {
+            await chrome.storage.local.set({ language: select.value });
+            this._requestRegenerate();
+        };
+
+        chrome.storage.local.get(['language']).then(({ language }) => {
+            select.value = language ?? '';
+        });
+
+        return select;
+    }
+
+    /**
+     * Create the profile picker.
+     * Switching makes the chosen profile active and regenerates with it.
+     * 
+     * @returns {HTMLSelectElement}
+     */
+    _createProfileSelect() {
+        const select = document.createElement('select');
+        select.className = 'settings-select';
+
+        select.onchange = async () => {
+            await chrome.storage.local.set({ activeProfileId: select.value });
+            // Verbosity belongs to the profile
+            this._loadVerbosity();
+            this._requestRegenerate();
+        };
+
+        migrateProfiles().then(({ profiles, activeProfileId }) => {
+            profiles.forEach(({ id, name }) => {
+                const opt = document.createElement('option');
+                opt.value = id;
+                opt.textContent = name;
+                select.appendChild(opt);
+            });
+            select.value = findActiveProfile(profiles, activeProfileId).id;
+        });
+
+        return select;
+    }
+
+    /**
+     * Fill the comparison row: a profile to run side by side with the active one.
+     * The row stays hidden unless there are at least two profiles.
+     * 
+     * @param {HTMLElement} row - Settings row to fill and reveal
+     */
+    _createCompareControls(row) {
+        const select = document.createElement('select');
+        select.className = 'settings-select';
+
+        const button = document.createElement('button');
+        button.className = 'settings-toggle';
+        button.textContent = 'Run side by side';
+        button.onclick = async () => {
+            // The active profile may have been switched since the modal opened
+            const { profiles, activeProfileId } = await migrateProfiles();
+            const active = findActiveProfile(profiles, activeProfileId);
+            chrome.runtime.sendMessage({
+                type: MSG.COMPARE,
+                payload: { profileIds: [active.id, select.value], ...this._runOptions() },
+            });
+        };
+
+        migrateProfiles().then(({ profiles, activeProfileId }) => {
+            if (profiles.length < 2) return;
+            profiles.forEach(({ id, name }) => {
+                const opt = document.createElement('option');
+                opt.value = id;
+                opt.textContent = name;
+                select.appendChild(opt);
+            });
+            // Preselect the first profile that is not the active one
+            select.value = profiles.find((p) => p.id !== findActiveProfile(profiles, activeProfileId).id).id;
+            row.append(select, button);
+            row.style.display = '';
+        });
+    }
+
+    /**
+     * Ask the background to re-run the analysis with the current settings.
+     * The background aborts any in-flight generation and resets this modal in place.
+     */
+    _requestRegenerate() {
+        chrome.runtime.sendMessage({ type: MSG.REGENERATE, payload: this._runOptions() });
+    }
+
+    /**
+     * What a re-run analyses: the page, or the same selection again.
+     *
+     * @returns {{ selection: boolean }}
+     */
+    _runOptions() {
+        return { selection: !!this._article?.selection };
+    }
+
     /**
      * Create the verbosity toggle button group.
-     * Reads the current value from storage and saves on change.
+     * Reads the current value from the active profile; saves and regenerates on change.
      * 
      * @returns {HTMLElement}
      */
@@ -359,30 +918,38 @@ export class Modal {
             btn.textContent = label;
             btn.dataset.verbosity = id;
 
-            btn.onclick = () => {
+            btn.onclick = async () => {
+                if (btn.classList.contains('active')) return;
                 buttons.forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
-                chrome.storage.local.set({ verbosity: id });
+                await updateActiveProfile({ verbosity: id });
+                this._requestRegenerate();
             };
 
             group.appendChild(btn);
             return btn;
         });
+        this._verbosityButtons = buttons;
+        this._loadVerbosity();
+
+        return group;
+    }
 
-        // Load current value from storage and set active
-        chrome.storage.local.get(['verbosity']).then(({ verbosity }) => {
+    /**
+     * Mark the active profile's verbosity in the toggle group.
+     */
+    _loadVerbosity() {
+        loadSettings(['verbosity']).then(({ verbosity }) => {
             const current = verbosity || DEFAULT_VERBOSITY;
-            const active = buttons.find(b => b.dataset.verbosity === current);
-            if (active) active.classList.add('active');
+            this._verbosityButtons.forEach(b => b.classList.toggle('active', b.dataset.verbosity === current));
         });
-
-        return group;
     }
 
     /**
      * Close the modal and clean up resources.
      */
     close() {
+        this._destroyColumns();
         if (this.keepAlivePort) {
             try { this.keepAlivePort.disconnect(); } catch (_) {}
             this.keepAlivePort = null;
@@ -398,5 +965,25 @@ export class Modal {
         }
         this.contentDiv = null;
         this.statusDiv = null;
+        this.highlightToggle = null;
+        this.cachedInfo = null;
+        this.providerBadge = null;
+        this.articleMeta = null;
+        this.sourcesDiv = null;
+        this.modalEl = null;
+        this._markdown = null;
     }
 }
+
+/**
+ * Human-readable age of a timestamp, e.g. "just now", "5 min ago", "3 h ago".
+ * 
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {string}
+ */
+function formatAge(timestamp) {
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    return `${Math.round(minutes / 60)} h ago`;
+}
@@ -0,0 +1,174 @@
+import { getTechnique, VERDICTS } from '../shared/analysis.js';
+import { renderMarkdown } from './markdown.js';
+
+/**
+ * Renders the structured analysis report (see providers/analysis-schema.js)
+ * into collapsible sections. Safe to call repeatedly with a growing,
+ * partially parsed report: sections are created once and only their bodies
+ * are rebuilt, so the user's open/closed choices survive streaming updates.
+ * All model output is written via textContent.
+ */
+
+/** Section definitions, in display order. */
+const SECTIONS = [
+    { key: 'techniques', title: 'Manipulation techniques' },
+    { key: 'headline', title: 'Headline vs. body' },
+    { key: 'claims', title: 'Claims' },
+    { key: 'summary', title: 'Summary' },
+];
+
+/**
+ * @param {HTMLElement} container - Element that holds the report
+ * @param {object} report - (Partial) report object
+ */
+export function renderReport(container, report) {
+    if (!report || typeof report !== 'object') return;
+
+    const techniques = Array.isArray(report.techniques) ? report.techniques : null;
+    const claims = Array.isArray(report.claims) ? report.claims : null;
+    const mismatch = report.headlineMismatch && typeof report.headlineMismatch === 'object'
+        ? report.headlineMismatch
+        : null;
+
+    if (techniques) {
+        const body = _ensureSection(container, 'techniques', techniques.length);
+        _renderTechniques(body, techniques);
+    }
+    if (mismatch) {
+        const body = _ensureSection(container, 'headline', mismatch.detected ? '!' : null);
+        _renderMismatch(body, mismatch);
+    }
+    if (claims) {
+        const body = _ensureSection(container, 'claims', claims.length);
+        _renderClaims(body, claims);
+    }
+    if (typeof report.summary === 'string') {
+        const body = _ensureSection(container, 'summary', null);
+        body.appendChild(renderMarkdown(report.summary));
+    }
+}
+
+/**
+ * Find or create a section and return its (emptied) body element.
+ * @param {HTMLElement} container
+ * @param {string} key - Section key from SECTIONS
+ * @param {number|string|null} count - Value for the header counter, or null to hide it
+ * @returns {HTMLElement}
+ */
+function _ensureSection(container, key, count) {
+    let section = container.querySelector(`details[data-section="${key}"]`);
+    if (!section) {
+        const def = SECTIONS.find((s) => s.key === key);
+        section = document.createElement('details');
+        section.className = 'report-section';
+        section.dataset.section = key;
+        section.open = true;
+
+        const summary = document.createElement('summary');
+        const title = document.createElement('span');
+        title.textContent = def.title;
+        const counter = document.createElement('span');
+        counter.className = 'report-count';
+        summary.append(title, counter);
+
+        const body = document.createElement('div');
+        body.className = 'report-body';
+        section.append(summary, body);
+
+        // Keep sections in their canonical order regardless of arrival order
+        const order = SECTIONS.findIndex((s) => s.key === key);
+        const next = [...container.querySelectorAll('details[data-section]')]
+            .find((el) => SECTIONS.findIndex((s) => s.key === el.dataset.section) > order);
+        container.insertBefore(section, next || null);
+    }
+
+    const counter = section.querySelector('.report-count');
+    counter.textContent = count == null ? '' : String(count);
+    counter.style.display = count == null ? 'none' : '';
+
+    const body = section.querySelector('.report-body');
+    body.replaceChildren();
+    return body;
+}
+
+function _renderTechniques(body, techniques) {
+    if (!techniques.length) {
+        _appendNote(body, 'No manipulative techniques detected.');
+        return;
+    }
+    for (const t of techniques) {
+        if (!t || typeof t !== 'object') continue;
+        const item = document.createElement('div');
+        item.className = 'report-item';
+
+        if (t.type) {
+            const technique = getTechnique(t.type);
+            const badge = document.createElement('span');
+            badge.className = 'technique-badge';
+            badge.style.setProperty('--technique-color', technique.color);
+            badge.textContent = technique.label;
+            item.appendChild(badge);
+        }
+        if (t.excerpt) {
+            const quote = document.createElement('blockquote');
+            quote.textContent = t.excerpt;
+            item.appendChild(quote);
+        }
+        if (t.explanation) {
+            const p = document.createElement('p');
+            p.textContent = t.explanation;
+            item.appendChild(p);
+        }
+        body.appendChild(item);
+    }
+}
+
+function _renderMismatch(body, mismatch) {
+    if (mismatch.detected === false) {
+        _appendNote(body, 'The headline matches the article body.');
+    }
+    if (mismatch.explanation) {
+        const p = document.createElement('p');
+        p.textContent = mismatch.explanation;
+        body.appendChild(p);
+    }
+}
+
+function _renderClaims(body, claims) {
+    if (!claims.length) {
+        _appendNote(body, 'No key claims extracted.');
+        return;
+    }
+    const list = document.createElement('ul');
+    list.className = 'claims-list';
+    for (const c of claims) {
+        if (!c || typeof c !== 'object') continue;
+        const li = document.createElement('li');
+        if (c.verdict) {
+            const verdict = VERDICTS.find((v) => v.id === c.verdict);
+            const chip = document.createElement('span');
+            chip.className = 'verdict-chip';
+            chip.dataset.verdict = c.verdict;
+            chip.textContent = verdict ? verdict.label : c.verdict;
+            li.appendChild(chip);
+        }
+        const text = document.createElement('span');
+        text.textContent = c.claim ?? '';
+        li.appendChild(text);
+        if (c.note) {
+            const note = document.createElement('div');
+            note.className = 'claim-note';
+            note.textContent = c.note;
+            li.appendChild(note);
+        }
+        list.appendChild(li);
+    }
+    body.appendChild(list);
+}
+
+function _appendNote(body, text) {
+    const p = document.createElement('p');
+    p.className = 'report-note';
+    p.textContent = text;
+    body.appendChild(p);
+}
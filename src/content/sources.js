@@ -0,0 +1,190 @@
+import { VERDICTS } from '../shared/analysis.js';
+import { OUTPUT_FORMAT } from '../shared/defaults.js';
+import { parsePartialJson } from '../shared/partial-json.js';
+import { urlKey } from '../shared/urls.js';
+
+/**
+ * "Sources" panel of a fact-checked analysis: every web search the model ran,
+ * the results it got back, and which verdict tags cite each result.
+ *
+ * A result counts as cited when its URL appears on the line of a
+ * [Verified]/[False]/... tag (text output) or in the note of a checked claim
+ * (structured report); FACT_CHECK_INSTRUCTION asks the model to cite that way.
+ * All text is written via textContent and only http(s) links are rendered.
+ */
+
+/**
+ * @typedef {object} Source
+ * @property {string} query - Search query the model sent
+ * @property {{ title: string, url: string }[]} results - Results it got back
+ */
+
+/** Fact-check tag in text output, e.g. [Verified]. */
+const VERDICT_TAG = /\[(Verified|Unverified|Misleading|False)\]/i;
+
+const URL_PATTERN = /https?:\/\/[^\s<>()[\]"']+/gi;
+
+const SAFE_URL = /^https?:\/\//i;
+
+/** Longest claim excerpt shown in a citation tooltip. */
+const MAX_CLAIM_CHARS = 160;
+
+/**
+ * Render (or re-render) the panel. The open/closed state survives re-renders.
+ *
+ * @param {HTMLElement} container - Element that holds the panel
+ * @param {Source[]} sources - Searches in the order they ran
+ * @param {object} [analysis] - Model output so far, to find the citing tags
+ * @param {string} [analysis.output]
+ * @param {string} [analysis.format] - One of OUTPUT_FORMAT
+ */
+export function renderSources(container, sources, { output = '', format = OUTPUT_FORMAT.TEXT } = {}) {
+    if (!sources.length) {
+        container.replaceChildren();
+        return;
+    }
+
+    let section = container.querySelector('details[data-section="sources"]');
+    if (!section) {
+        section = document.createElement('details');
+        section.className = 'report-section sources-section';
+        section.dataset.section = 'sources';
+        section.open = true;
+
+        const summary = document.createElement('summary');
+        const title = document.createElement('span');
+        title.textContent = 'Sources';
+        const counter = document.createElement('span');
+        counter.className = 'report-count';
+        summary.append(title, counter);
+
+        const body = document.createElement('div');
+        body.className = 'report-body';
+        section.append(summary, body);
+        container.replaceChildren(section);
+    }
+
+    section.querySelector('.report-count').textContent = String(sources.length);
+    const body = section.querySelector('.report-body');
+    body.replaceChildren();
+
+    const citations = _findCitations(output, format);
+    for (const source of sources) {
+        body.appendChild(_renderSearch(source, citations));
+    }
+}
+
+/**
+ * Verdict tags in the output and the URLs each one cites.
+ *
+ * @param {string} output - Model output (markdown, or report JSON)
+ * @param {string} format - One of OUTPUT_FORMAT
+ * @returns {{ verdict: string, claim: string, urls: Set<string> }[]} urls are normalized
+ */
+function _findCitations(output, format) {
+    if (format === OUTPUT_FORMAT.STRUCTURED) {
+        const claims = parsePartialJson(output)?.claims;
+        if (!Array.isArray(claims)) return [];
+        return claims
+            .filter((c) => c && c.verdict && c.verdict !== 'not_checked' && typeof c.note === 'string')
+            .map((c) => ({ verdict: c.verdict, claim: String(c.claim ?? ''), urls: _extractUrls(c.note) }))
+            .filter((c) => c.urls.size);
+    }
+
+    const citations = [];
+    for (const line of output.split('\n')) {
+        const m = line.match(VERDICT_TAG);
+        if (!m) continue;
+        const urls = _extractUrls(line);
+        if (!urls.size) continue;
+        const verdict = VERDICTS.find((v) => v.label.toLowerCase() === m[1].toLowerCase()).id;
+        // The tagged sentence without list marker, markup and the citation itself
+        const claim = line
+            .replace(/^\s*(?:[-*+]|\d+\.)\s+/, '')
+            .replace(VERDICT_TAG, '')
+            .replace(URL_PATTERN, '')
+            .replace(/\(\s*(?:source:?)?\s*\)|[*_`]/gi, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        citations.push({ verdict, claim, urls });
+    }
+    return citations;
+}
+
+/**
+ * @param {Source} source
+ * @param {ReturnType<typeof _findCitations>} citations
+ * @returns {HTMLElement}
+ */
+function _renderSearch({ query, results }, citations) {
+    const item = document.createElement('div');
+    item.className = 'report-item';
+
+    const queryEl = document.createElement('div');
+    queryEl.className = 'source-query';
+    queryEl.textContent = `Search: ${query}`;
+    item.appendChild(queryEl);
+
+    if (!results.length) {
+        const note = document.createElement('p');
+        note.className = 'report-note';
+        note.textContent = 'No results.';
+        item.appendChild(note);
+        return item;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'source-list';
+    for (const { title, url } of results) {
+        if (!SAFE_URL.test(url)) continue;
+        const li = document.createElement('li');
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.target = '_blank';
+        a.rel = 'noopener noreferrer';
+        a.textContent = title || url;
+        a.title = url;
+        li.appendChild(a);
+
+        const host = document.createElement('span');
+        host.className = 'source-host';
+        host.textContent = _hostname(url);
+        li.appendChild(host);
+
+        const key = urlKey(url);
+        for (const citation of citations) {
+            if (!citation.urls.has(key)) continue;
+            const chip = document.createElement('span');
+            chip.className = 'verdict-chip';
+            chip.dataset.verdict = citation.verdict;
+            chip.textContent = VERDICTS.find((v) => v.id === citation.verdict)?.label ?? citation.verdict;
+            chip.title = _truncate(citation.claim, MAX_CLAIM_CHARS);
+            li.appendChild(chip);
+        }
+
+        list.appendChild(li);
+    }
+    item.appendChild(list);
+    return item;
+}
+
+/**
+ * @param {string} text
+ * @returns {Set<string>} Normalized URLs found in the text
+ */
+function _extractUrls(text) {
+    return new Set((text.match(URL_PATTERN) ?? []).map((url) => urlKey(url.replace(/[.,;:!?]+$/, ''))));
+}
+
+function _hostname(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+}
+
+function _truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
@@ -0,0 +1,37 @@
+import { Readability } from '@mozilla/readability';
+import { MSG } from '../shared/messages.js';
+
+/**
+ * Offscreen document: the service worker has no DOM, so pages opened by the
+ * fetch_page tool are parsed and run through Readability here.
+ */
+
+/**
+ * @param {string} html - Page source
+ * @param {string} url - Final URL of the page, to resolve relative links
+ * @returns {{ title: string, textContent: string }}
+ */
+function extractPage(html, url) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const base = doc.createElement('base');
+    base.href = url;
+    doc.head.prepend(base);
+
+    const article = new Readability(doc).parse();
+    if (article?.textContent) {
+        return { title: article.title ?? doc.title, textContent: article.textContent };
+    }
+    // Not article-shaped (e.g. a data table): fall back to the visible text
+    doc.querySelectorAll('script, style, noscript, template').forEach((el) => el.remove());
+    return { title: doc.title, textContent: doc.body?.textContent ?? '' };
+}
+
+chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+    if (request.type !== MSG.EXTRACT_PAGE) return false;
+    try {
+        sendResponse(extractPage(request.payload.html, request.payload.url));
+    } catch (err) {
+        sendResponse({ error: err?.message ?? String(err) });
+    }
+    return false;
+});
@@ -1,15 +1,62 @@
-import { DEFAULT_PROMPT, LANGUAGE_OPTIONS } from '../shared/defaults.js';
-import { DEFAULT_PROVIDER } from '../providers/index.js';
-import { SEARCH_PROVIDERS, SEARCH_SETTINGS_KEYS } from '../tools/web-search.js';
+import {
+    DEFAULT_PROMPT,
+    DEFAULT_VERBOSITY,
+    VERBOSITY_OPTIONS,
+    LANGUAGE_OPTIONS,
+    DEFAULT_OUTPUT_FORMAT,
+    OUTPUT_FORMAT_OPTIONS,
+    DEFAULT_HISTORY_MAX_ENTRIES,
+    DEFAULT_HISTORY_MAX_AGE_DAYS,
+} from '../shared/defaults.js';
+import { MSG } from '../shared/messages.js';
+import { parseDomainList } from '../shared/domains.js';
+import { createProfile, findActiveProfile, migrateProfiles } from '../shared/profiles.js';
+import { DEFAULT_PROVIDER, providers } from '../providers/index.js';
+import { OllamaProvider } from '../providers/ollama.js';
+import {
+    DEFAULT_MAX_SEARCHES_PER_RUN,
+    SEARCH_PROVIDERS,
+    SEARCH_SETTINGS_KEYS,
+    getSearchUsage,
+} from '../tools/web-search.js';
+import { FETCH_BLOCKED_DOMAINS_KEY } from '../tools/fetch-page.js';
+import {
+    BUNDLED_EXTRACTION_RULES,
+    EXTRACTION_PREVIEW_KEY,
+    EXTRACTION_RULES_KEY,
+    formatExtractionRules,
+    parseExtractionRules,
+} from '../shared/extraction-rules.js';
+
+/** Input placeholders per provider; fields without an entry keep their HTML placeholder. */
+const PROVIDER_PLACEHOLDERS = {
+    'openai-agents': { baseUrl: 'http://localhost:11434/v1', apiKey: 'sk-...', model: 'llama3.2' },
+    anthropic: { baseUrl: 'https://api.anthropic.com', apiKey: 'sk-ant-...', model: 'claude-sonnet-4-5' },
+    ollama: { baseUrl: 'http://localhost:11434', model: 'llama3.2' },
+};
 
 document.addEventListener('DOMContentLoaded', async () => {
+    const profileSelect = document.getElementById('profile');
+    const deleteProfileBtn = document.getElementById('delete-profile');
     const providerSelect = document.getElementById('provider');
     const baseUrlInput = document.getElementById('base-url');
     const apiKeyInput = document.getElementById('api-key');
     const modelInput = document.getElementById('model');
     const contextLengthInput = document.getElementById('context-length');
+    const verbositySelect = document.getElementById('verbosity');
     const languageSelect = document.getElementById('response-language');
+    const outputFormatSelect = document.getElementById('output-format');
     const promptInput = document.getElementById('active-prompt');
+    const autoSanitizeSelect = document.getElementById('auto-sanitize');
+    const autoSanitizeDomainsInput = document.getElementById('auto-sanitize-domains');
+    const historyEnabledSelect = document.getElementById('history-enabled');
+    const historyMaxEntriesInput = document.getElementById('history-max-entries');
+    const historyMaxAgeInput = document.getElementById('history-max-age');
+    const searchAggregateSelect = document.getElementById('search-aggregate');
+    const searchMaxPerRunInput = document.getElementById('search-max-per-run');
+    const fetchBlockedDomainsInput = document.getElementById('fetch-blocked-domains');
+    const extractionPreviewSelect = document.getElementById('extraction-preview');
+    const extractionRulesInput = document.getElementById('extraction-rules');
     const saveBtn = document.getElementById('save-settings');
     const statusDiv = document.getElementById('status');
 
@@ -21,32 +68,167 @@ document.addEventListener('DOMContentLoaded', async () => {
         languageSelect.appendChild(opt);
     });
 
+    // Populate verbosity options
+    VERBOSITY_OPTIONS.forEach(({ id, label }) => {
+        const opt = document.createElement('option');
+        opt.value = id;
+        opt.textContent = label;
+        verbositySelect.appendChild(opt);
+    });
+
+    // Populate output format options
+    OUTPUT_FORMAT_OPTIONS.forEach(({ id, label }) => {
+        const opt = document.createElement('option');
+        opt.value = id;
+        opt.textContent = label;
+        outputFormatSelect.appendChild(opt);
+    });
+
     // ── Build search provider key fields dynamically ──
     const searchContainer = document.getElementById('search-keys-container');
     const searchInputs = searchContainer ? buildSearchFields(searchContainer) : {};
+    showSearchUsage();
 
-    // Toggle OpenAI-specific fields based on provider selection
+    // Show the fields the selected provider uses (data-providers lists provider ids)
     function updateProviderFields() {
-        const isOpenAI = providerSelect.value === 'openai-agents';
-        document.querySelectorAll('.openai-only').forEach(el => {
-            el.style.display = isOpenAI ? '' : 'none';
+        const id = providerSelect.value;
+        document.querySelectorAll('[data-providers]').forEach(el => {
+            el.style.display = el.dataset.providers.split(' ').includes(id) ? '' : 'none';
         });
+        document.getElementById('output-format-group').style.display =
+            providers[id]?.supportsStructuredOutput ? '' : 'none';
+
+        const placeholders = PROVIDER_PLACEHOLDERS[id] ?? {};
+        if (placeholders.baseUrl) baseUrlInput.placeholder = placeholders.baseUrl;
+        if (placeholders.apiKey) apiKeyInput.placeholder = placeholders.apiKey;
+        if (placeholders.model) modelInput.placeholder = placeholders.model;
+
+        updateModelOptions();
+    }
+
+    // Offer installed models as suggestions for providers that can list them
+    const modelOptions = document.getElementById('model-options');
+    const modelDesc = document.getElementById('model-desc');
+    const defaultModelDesc = modelDesc.textContent;
+
+    async function updateModelOptions() {
+        modelOptions.replaceChildren();
+        modelDesc.textContent = defaultModelDesc;
+        if (providerSelect.value !== OllamaProvider.id) return;
+
+        const provider = providerSelect.value;
+        try {
+            const models = await OllamaProvider.listModels(baseUrlInput.value.trim());
+            if (providerSelect.value !== provider) return;
+            models.forEach((name) => {
+                const opt = document.createElement('option');
+                opt.value = name;
+                modelOptions.appendChild(opt);
+            });
+            modelDesc.textContent = models.length
+                ? `${models.length} installed model${models.length === 1 ? '' : 's'}. A model that is not installed is pulled on first use.`
+                : 'No models installed yet. Enter a model name (e.g. llama3.2) — it is pulled on first use.';
+        } catch (err) {
+            if (providerSelect.value !== provider) return;
+            modelDesc.textContent = err.message;
+        }
     }
 
     providerSelect.addEventListener('change', updateProviderFields);
+    baseUrlInput.addEventListener('change', updateModelOptions);
+
+    // Fallback chain rows
+    const fallbackList = document.getElementById('fallback-list');
+    document.getElementById('add-fallback').addEventListener('click', () => {
+        fallbackList.appendChild(buildFallbackRow());
+    });
+
+    // ── Profiles: edited in memory, written on save ──
+    const stored = await migrateProfiles();
+    const profiles = stored.profiles.map((p) => ({ ...p }));
+    let currentProfile = findActiveProfile(profiles, stored.activeProfileId);
+
+    function renderProfileOptions() {
+        profileSelect.replaceChildren();
+        profiles.forEach(({ id, name }) => {
+            const opt = document.createElement('option');
+            opt.value = id;
+            opt.textContent = name;
+            profileSelect.appendChild(opt);
+        });
+        profileSelect.value = currentProfile.id;
+        deleteProfileBtn.disabled = profiles.length < 2;
+    }
+
+    function loadProfileIntoForm(profile) {
+        providerSelect.value = profile.provider || DEFAULT_PROVIDER;
+        baseUrlInput.value = profile.baseUrl ?? '';
+        apiKeyInput.value = profile.apiKey ?? '';
+        modelInput.value = profile.model ?? '';
+        contextLengthInput.value = profile.contextLength ?? '';
+        verbositySelect.value = profile.verbosity || DEFAULT_VERBOSITY;
+        promptInput.value = profile.prompt || DEFAULT_PROMPT;
+        updateProviderFields();
+    }
+
+    function readFormIntoProfile(profile) {
+        profile.provider = providerSelect.value;
+        profile.baseUrl = baseUrlInput.value.trim() || undefined;
+        profile.apiKey = apiKeyInput.value.trim() || undefined;
+        profile.model = modelInput.value.trim() || undefined;
+        profile.contextLength = parseInt(contextLengthInput.value, 10) || undefined;
+        profile.verbosity = verbositySelect.value;
+        profile.prompt = promptInput.value.trim() || undefined;
+    }
+
+    profileSelect.addEventListener('change', () => {
+        readFormIntoProfile(currentProfile);
+        currentProfile = profiles.find((p) => p.id === profileSelect.value);
+        loadProfileIntoForm(currentProfile);
+    });
+
+    document.getElementById('new-profile').addEventListener('click', () => {
+        const name = window.prompt('Name of the new profile (starts as a copy of the current one):')?.trim();
+        if (!name) return;
+        readFormIntoProfile(currentProfile);
+        currentProfile = createProfile(name, currentProfile);
+        profiles.push(currentProfile);
+        renderProfileOptions();
+    });
+
+    document.getElementById('rename-profile').addEventListener('click', () => {
+        const name = window.prompt('Profile name:', currentProfile.name)?.trim();
+        if (!name) return;
+        currentProfile.name = name;
+        renderProfileOptions();
+    });
+
+    deleteProfileBtn.addEventListener('click', () => {
+        if (profiles.length < 2) return;
+        if (!confirm(`Delete profile "${currentProfile.name}"?`)) return;
+        profiles.splice(profiles.indexOf(currentProfile), 1);
+        currentProfile = profiles[0];
+        renderProfileOptions();
+        loadProfileIntoForm(currentProfile);
+    });
 
     // Load saved settings
     const settings = await chrome.storage.local.get([
-        'provider', 'prompt', 'baseUrl', 'apiKey', 'model',
-        'contextLength', 'language',
-        ...SEARCH_SETTINGS_KEYS,
+        'fallbackChain', 'language', 'outputFormat',
+        'historyEnabled', 'historyMaxEntries', 'historyMaxAgeDays',
+        'autoSanitize', 'autoSanitizeDomains',
+        ...SEARCH_SETTINGS_KEYS, FETCH_BLOCKED_DOMAINS_KEY,
+        EXTRACTION_PREVIEW_KEY, EXTRACTION_RULES_KEY,
     ]);
 
-    providerSelect.value = settings.provider || DEFAULT_PROVIDER;
-    if (settings.baseUrl) baseUrlInput.value = settings.baseUrl;
-    if (settings.apiKey) apiKeyInput.value = settings.apiKey;
-    if (settings.model) modelInput.value = settings.model;
-    if (settings.contextLength) contextLengthInput.value = settings.contextLength;
+    renderProfileOptions();
+    (settings.fallbackChain ?? []).forEach((entry) => fallbackList.appendChild(buildFallbackRow(entry)));
+    outputFormatSelect.value = settings.outputFormat || DEFAULT_OUTPUT_FORMAT;
+    autoSanitizeSelect.value = settings.autoSanitize ? 'on' : 'off';
+    autoSanitizeDomainsInput.value = (settings.autoSanitizeDomains ?? []).join('\n');
+    historyEnabledSelect.value = settings.historyEnabled === false ? 'off' : 'on';
+    historyMaxEntriesInput.value = settings.historyMaxEntries ?? DEFAULT_HISTORY_MAX_ENTRIES;
+    historyMaxAgeInput.value = settings.historyMaxAgeDays ?? DEFAULT_HISTORY_MAX_AGE_DAYS;
     
     // Set language (default to browser language if not set)
     if (settings.language !== undefined) {
@@ -57,26 +239,35 @@ document.addEventListener('DOMContentLoaded', async () => {
         languageSelect.value = hasOption ? browserCode : '';
     }
     
-    promptInput.value = settings.prompt || DEFAULT_PROMPT;
-
     // Load search keys into inputs
     for (const [key, input] of Object.entries(searchInputs)) {
         if (settings[key]) input.value = settings[key];
     }
     updateSearchBadges(searchInputs);
+    searchAggregateSelect.value = settings.searchAggregate ? 'on' : 'off';
+    searchMaxPerRunInput.value = settings.searchMaxPerRun ?? DEFAULT_MAX_SEARCHES_PER_RUN;
+    fetchBlockedDomainsInput.value = (settings[FETCH_BLOCKED_DOMAINS_KEY] ?? []).join('\n');
+    extractionPreviewSelect.value = settings[EXTRACTION_PREVIEW_KEY] ? 'on' : 'off';
+    extractionRulesInput.value = formatExtractionRules(settings[EXTRACTION_RULES_KEY] ?? []);
+    document.getElementById('extraction-bundled').textContent =
+        `Built-in rules: ${BUNDLED_EXTRACTION_RULES.map((rule) => rule.domain).join(', ')}.`;
 
-    // Update field visibility based on loaded provider
-    updateProviderFields();
+    // Fill the provider fields (and their visibility) from the active profile
+    loadProfileIntoForm(currentProfile);
 
     // Save Settings
     saveBtn.addEventListener('click', async () => {
-        const provider = providerSelect.value;
-        const baseUrl = baseUrlInput.value.trim() || undefined;
-        const apiKey = apiKeyInput.value.trim() || undefined;
-        const model = modelInput.value.trim() || undefined;
-        const contextLength = parseInt(contextLengthInput.value, 10) || undefined;
+        readFormIntoProfile(currentProfile);
+        const fallbackChain = readFallbackRows(fallbackList);
         const language = languageSelect.value;
-        const prompt = promptInput.value.trim() || undefined;
+        const outputFormat = outputFormatSelect.value;
+        const autoSanitize = autoSanitizeSelect.value === 'on';
+        const autoSanitizeDomains = parseDomainList(autoSanitizeDomainsInput.value);
+        const fetchBlockedDomains = parseDomainList(fetchBlockedDomainsInput.value);
+        const extractionRules = parseExtractionRules(extractionRulesInput.value, isValidSelector);
+        const historyEnabled = historyEnabledSelect.value === 'on';
+        const historyMaxEntries = parseNonNegativeInt(historyMaxEntriesInput.value, DEFAULT_HISTORY_MAX_ENTRIES);
+        const historyMaxAgeDays = parseNonNegativeInt(historyMaxAgeInput.value, DEFAULT_HISTORY_MAX_AGE_DAYS);
 
         // Collect search keys
         const searchData = {};
@@ -85,17 +276,34 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         await chrome.storage.local.set({
-            provider,
-            baseUrl,
-            apiKey,
-            model,
-            contextLength,
+            profiles,
+            activeProfileId: currentProfile.id,
+            fallbackChain,
             language,
-            prompt,
+            outputFormat,
+            autoSanitize,
+            autoSanitizeDomains,
+            historyEnabled,
+            historyMaxEntries,
+            historyMaxAgeDays,
             ...searchData,
+            searchAggregate: searchAggregateSelect.value === 'on',
+            searchMaxPerRun: parseNonNegativeInt(searchMaxPerRunInput.value, DEFAULT_MAX_SEARCHES_PER_RUN),
+            [FETCH_BLOCKED_DOMAINS_KEY]: fetchBlockedDomains,
+            [EXTRACTION_PREVIEW_KEY]: extractionPreviewSelect.value === 'on',
+            [EXTRACTION_RULES_KEY]: extractionRules.rules,
         });
 
-        statusDiv.textContent = 'Settings saved successfully!';
+        autoSanitizeDomainsInput.value = autoSanitizeDomains.join('\n');
+        fetchBlockedDomainsInput.value = fetchBlockedDomains.join('\n');
+        // Invalid lines stay in the textarea so they can be fixed
+        if (!extractionRules.invalid.length) {
+            extractionRulesInput.value = formatExtractionRules(extractionRules.rules);
+        }
+
+        statusDiv.textContent = extractionRules.invalid.length
+            ? `Settings saved. Site rules skipped (invalid) on line ${extractionRules.invalid.join(', ')}.`
+            : 'Settings saved successfully!';
         statusDiv.classList.add('visible');
 
         saveBtn.disabled = true;
@@ -104,8 +312,132 @@ document.addEventListener('DOMContentLoaded', async () => {
             saveBtn.disabled = false;
         }, 2000);
     });
+
+    // History actions
+    const historyStatus = document.getElementById('history-status');
+
+    document.getElementById('open-history').addEventListener('click', async () => {
+        const win = await chrome.windows.getCurrent();
+        await chrome.sidePanel.open({ windowId: win.id });
+    });
+
+    document.getElementById('clear-history').addEventListener('click', async () => {
+        if (!confirm('Delete all saved analyses? This cannot be undone.')) return;
+        const response = await chrome.runtime.sendMessage({ type: MSG.HISTORY_CLEAR });
+        historyStatus.textContent = response?.error ? `Error: ${response.error}` : 'History cleared.';
+        historyStatus.classList.add('visible');
+        setTimeout(() => historyStatus.classList.remove('visible'), 2000);
+    });
 });
 
+/**
+ * Parse a non-negative integer input, falling back when empty or invalid.
+ * @param {string} value - Raw input value
+ * @param {number} fallback - Value used for empty / invalid input
+ * @returns {number}
+ */
+function parseNonNegativeInt(value, fallback) {
+    const n = parseInt(value, 10);
+    return Number.isNaN(n) || n < 0 ? fallback : n;
+}
+
+/**
+ * Whether a CSS selector list parses (site rules are checked before saving).
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function isValidSelector(selector) {
+    try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Build one row of the fallback chain editor.
+ * Inputs a provider does not use (see PROVIDER_PLACEHOLDERS) are hidden;
+ * the context length applies to every provider.
+ * @param {{ provider?: string, baseUrl?: string, apiKey?: string, model?: string, contextLength?: number }} [entry]
+ * @returns {HTMLElement}
+ */
+function buildFallbackRow(entry = {}) {
+    const row = document.createElement('div');
+    row.className = 'fallback-row';
+
+    const select = document.createElement('select');
+    select.className = 'fallback-provider';
+    for (const { id, label } of Object.values(providers)) {
+        const opt = document.createElement('option');
+        opt.value = id;
+        opt.textContent = label;
+        select.appendChild(opt);
+    }
+    select.value = providers[entry.provider] ? entry.provider : DEFAULT_PROVIDER;
+    row.appendChild(select);
+
+    const inputs = {};
+    for (const [key, type] of [['baseUrl', 'url'], ['apiKey', 'password'], ['model', 'text']]) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.dataset.key = key;
+        input.value = entry[key] ?? '';
+        row.appendChild(input);
+        inputs[key] = input;
+    }
+
+    const contextInput = document.createElement('input');
+    contextInput.type = 'number';
+    contextInput.min = '512';
+    contextInput.step = '256';
+    contextInput.className = 'fallback-context';
+    contextInput.placeholder = 'Context (auto)';
+    contextInput.title = 'Context length (tokens). Leave empty to auto-detect.';
+    contextInput.value = entry.contextLength ?? '';
+    row.appendChild(contextInput);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'secondary-btn remove-btn';
+    removeBtn.title = 'Remove';
+    removeBtn.textContent = '✕';
+    removeBtn.onclick = () => row.remove();
+    row.appendChild(removeBtn);
+
+    const updateFields = () => {
+        const placeholders = PROVIDER_PLACEHOLDERS[select.value] ?? {};
+        for (const [key, input] of Object.entries(inputs)) {
+            // Keep the grid aligned: hide, but keep the cell
+            input.style.visibility = placeholders[key] ? '' : 'hidden';
+            input.placeholder = placeholders[key] ?? '';
+        }
+    };
+    select.addEventListener('change', updateFields);
+    updateFields();
+
+    return row;
+}
+
+/**
+ * Read the fallback chain from the editor rows, dropping fields the provider does not use.
+ * @param {HTMLElement} list - Container of fallback rows
+ * @returns {{ provider: string, baseUrl?: string, apiKey?: string, model?: string, contextLength?: number }[]}
+ */
+function readFallbackRows(list) {
+    return [...list.querySelectorAll('.fallback-row')].map((row) => {
+        const provider = row.querySelector('.fallback-provider').value;
+        const placeholders = PROVIDER_PLACEHOLDERS[provider] ?? {};
+        const entry = { provider };
+        row.querySelectorAll('input[data-key]').forEach((input) => {
+            const value = input.value.trim();
+            if (placeholders[input.dataset.key] && value) entry[input.dataset.key] = value;
+        });
+        const contextLength = parseInt(row.querySelector('.fallback-context').value, 10);
+        if (contextLength > 0) entry.contextLength = contextLength;
+        return entry;
+    });
+}
+
 /**
  * Build search provider input fields from SEARCH_PROVIDERS config.
  * @param {HTMLElement} container - Container element
@@ -141,7 +473,8 @@ function buildSearchFields(container) {
 
         const quota = document.createElement('span');
         quota.className = 'search-quota';
-        quota.textContent = `Free: ${sp.freeQuota}`;
+        quota.dataset.provider = sp.id;
+        quota.textContent = sp.quota ? `Free: ${sp.freeQuota}` : sp.freeQuota;
         meta.appendChild(quota);
 
         header.appendChild(label);
@@ -153,7 +486,8 @@ function buildSearchFields(container) {
         fieldsDiv.className = 'search-fields' + (sp.extraKeys?.length ? ' has-extra' : '');
 
         const input = document.createElement('input');
-        input.type = 'password';
+        // Instance / endpoint URLs of self-hosted backends are not secrets
+        input.type = sp.secret === false ? 'text' : 'password';
         input.id = sp.settingsKey;
         input.placeholder = sp.placeholder || 'API key';
         input.addEventListener('input', () => updateSearchBadges(inputs));
@@ -181,6 +515,22 @@ function buildSearchFields(container) {
     return inputs;
 }
 
+/**
+ * Add the requests made in the current quota period to each provider's free quota.
+ */
+async function showSearchUsage() {
+    const usage = await getSearchUsage();
+    for (const sp of SEARCH_PROVIDERS) {
+        const quota = document.querySelector(`.search-quota[data-provider="${sp.id}"]`);
+        if (!quota) continue;
+        const used = usage[sp.id] ?? 0;
+        const period = sp.quota?.period === 'day' ? 'today' : 'this month';
+        const limit = sp.quota ? `Free: ${sp.freeQuota}` : sp.freeQuota;
+        quota.textContent = `${limit} · ${used} used ${period}`;
+        quota.classList.toggle('exhausted', !!sp.quota && used >= sp.quota.limit);
+    }
+}
+
 /**
  * Update "Active" badge on the first provider with a key.
  * @param {Record<string, HTMLInputElement>} inputs
@@ -196,7 +546,7 @@ function updateSearchBadges(inputs) {
         let hasAllExtra = true;
         if (sp.extraKeys) {
             for (const ek of sp.extraKeys) {
-                if (!inputs[ek.settingsKey]?.value.trim()) {
+                if (!ek.optional && !inputs[ek.settingsKey]?.value.trim()) {
                     hasAllExtra = false;
                     break;
                 }
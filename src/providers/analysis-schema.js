@@ -0,0 +1,25 @@
+import { z } from 'zod';
+import { TECHNIQUES, VERDICTS } from '../shared/analysis.js';
+
+/**
+ * Zod schema for the structured analysis report.
+ * Every field is required (strict structured-output APIs reject optional keys);
+ * empty arrays / strings stand in for "nothing found".
+ */
+export const AnalysisSchema = z.object({
+    techniques: z.array(z.object({
+        type: z.enum(TECHNIQUES.map((t) => t.id)).describe('Manipulation technique category'),
+        excerpt: z.string().describe('Verbatim quote from the article that shows the technique'),
+        explanation: z.string().describe('Why this excerpt is manipulative'),
+    })).describe('Manipulation techniques detected; empty if the article is neutral'),
+    headlineMismatch: z.object({
+        detected: z.boolean().describe('Whether the headline exaggerates, contradicts, or misrepresents the body'),
+        explanation: z.string().describe('What the headline implies vs. what the body says; empty if none'),
+    }),
+    claims: z.array(z.object({
+        claim: z.string().describe('A key factual claim from the article'),
+        verdict: z.enum(VERDICTS.map((v) => v.id)).describe('Fact-check verdict; "not_checked" if not verified'),
+        note: z.string().describe('Source or reasoning behind the verdict, with the URL of any search result it rests on; empty if not checked'),
+    })).describe('Key claims, with fact-check verdicts'),
+    summary: z.string().describe('Neutral summary of the article; paragraphs separated by blank lines'),
+});
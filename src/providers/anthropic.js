@@ -0,0 +1,381 @@
+import { Provider, ProviderError, ERROR_CATEGORY } from './provider.js';
+import { z } from 'zod';
+import { readSseEvents } from '../shared/sse.js';
+import { AnalysisSchema } from './analysis-schema.js';
+import { chunkForContext, inputBudgetFor } from './budget.js';
+import { withArticleMetadata } from './chunk-context.js';
+import { tokenCounterFor } from './tokenizer.js';
+import { collectNotes } from './map-reduce.js';
+import { invokeTool, toolStatus } from './tools.js';
+import { SYNTHESIS_INSTRUCTION } from '../shared/defaults.js';
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const DEFAULT_MODEL = 'claude-sonnet-4-5';
+const API_VERSION = '2023-06-01';
+/** Context window of current Claude models (tokens), used when not set in settings. */
+const DEFAULT_CONTEXT_TOKENS = 200000;
+/** max_tokens per request; also reserved when sizing chunks. */
+const MAX_OUTPUT_TOKENS = 4096;
+/** Timeout for a single request (prompt processing + streaming). */
+const REQUEST_TIMEOUT_MS = 300000;
+/** Max model turns per request when the model keeps calling tools. */
+const MAX_TOOL_TURNS = 8;
+
+/** Tool the model calls to hand in the structured report (settings.structured). */
+const REPORT_TOOL = {
+    name: 'submit_report',
+    description: 'Submit the final analysis report. Call this exactly once, after any fact-checking.',
+    input_schema: toInputSchema(z.toJSONSchema(AnalysisSchema)),
+};
+
+/**
+ * Native Anthropic Messages API provider.
+ *
+ * Streams over SSE and runs the tool-use loop itself: function tools from
+ * @openai/agents (e.g. web_search) are declared as Anthropic tools and
+ * executed through their invoke(). Structured output is a forced
+ * `submit_report` tool call whose streamed input is the JSON report.
+ */
+export class AnthropicProvider extends Provider {
+    static id = 'anthropic';
+    static label = 'Anthropic (Messages API)';
+    static supportsStructuredOutput = true;
+
+    static async checkAvailability() {
+        // Connectivity and the API key are validated at call time.
+        return { available: true };
+    }
+
+    /**
+     * @param {{
+     *   baseUrl?: string,
+     *   apiKey?: string,
+     *   model?: string,
+     *   contextLength?: number,
+     *   tools?: import('@openai/agents').FunctionTool[],
+     *   structured?: boolean,
+     *   requestTimeoutMs?: number,
+     * }} settings - requestTimeoutMs: per request, default 5 minutes
+     */
+    constructor(settings = {}) {
+        super(settings);
+    }
+
+    /** @returns {number} Context length in tokens */
+    get _contextLength() {
+        return Math.max(512, this.settings.contextLength || DEFAULT_CONTEXT_TOKENS);
+    }
+
+    async getInputBudget(prompt, { signal } = {}) {
+        return inputBudgetFor(this._contextLength, prompt, tokenCounterFor(this.settings.model), {
+            responseTokens: MAX_OUTPUT_TOKENS,
+            signal,
+        });
+    }
+
+    async call({ text, article, prompt, onStatus, onUpdate, onToolCall, signal }) {
+        if (onStatus) onStatus('Connecting to Anthropic...', null);
+
+        const tools = this.settings.tools || [];
+        const structured = !!this.settings.structured;
+        const synthesisPrompt = `${prompt}\n\n${SYNTHESIS_INSTRUCTION}`;
+        const { chunks, maxChunkChars } = await chunkForContext(text, prompt, {
+            ctx: this._contextLength,
+            counter: tokenCounterFor(this.settings.model),
+            article,
+            responseTokens: MAX_OUTPUT_TOKENS,
+            signal,
+        });
+
+        if (onStatus) {
+            onStatus(chunks.length > 1 ? `Processing ${chunks.length} parts...` : 'Processing article...', null);
+        }
+
+        let content;
+        try {
+            if (chunks.length === 1) {
+                content = await this._run(prompt, withArticleMetadata(chunks[0], article), { tools, structured, onStatus, onUpdate, onToolCall, signal });
+            } else {
+                const combined = await collectNotes(chunks, {
+                    maxChunkChars,
+                    run: (system, input) => this._run(system, input, { signal }),
+                    onStatus,
+                    signal,
+                });
+                if (onStatus) onStatus('Writing final report...', null);
+                content = await this._run(synthesisPrompt, withArticleMetadata(combined, article), { tools, structured, onStatus, onUpdate, onToolCall, signal });
+            }
+        } catch (err) {
+            if (err?.name === 'AbortError') throw err;
+            const error = toProviderError(err);
+            if (onStatus) onStatus(`Error: ${error.message}`, null);
+            throw error;
+        }
+
+        return { content };
+    }
+
+    /**
+     * Run one conversation to completion, executing tool calls as the model makes them.
+     * @param {string} system - System prompt
+     * @param {string} userText - User message
+     * @param {object} opts
+     * @param {import('@openai/agents').FunctionTool[]} [opts.tools]
+     * @param {boolean} [opts.structured] - Require the report through REPORT_TOOL
+     * @param {function} [opts.onStatus]
+     * @param {function} [opts.onUpdate]
+     * @param {function} [opts.onToolCall]
+     * @param {AbortSignal} [opts.signal]
+     * @returns {Promise<string>} Final text, or the report JSON when structured
+     */
+    async _run(system, userText, { tools = [], structured = false, onStatus, onUpdate, onToolCall, signal } = {}) {
+        const toolsByName = new Map(tools.map((t) => [t.name, t]));
+        const toolDefs = tools.map((t) => ({
+            name: t.name,
+            description: t.description,
+            input_schema: toInputSchema(t.parameters),
+        }));
+        if (structured) toolDefs.push(REPORT_TOOL);
+
+        const messages = [{ role: 'user', content: userText }];
+        let output = '';
+
+        for (let turn = 0; turn < MAX_TOOL_TURNS; turn++) {
+            const lastTurn = turn === MAX_TOOL_TURNS - 1;
+            let toolChoice;
+            if (structured) {
+                // Search first if the model wants to, but always end with the report
+                toolChoice = tools.length && !lastTurn
+                    ? { type: 'any' }
+                    : { type: 'tool', name: REPORT_TOOL.name };
+            } else if (tools.length && lastTurn) {
+                toolChoice = { type: 'none' };
+            }
+
+            // Separate the text of consecutive turns (e.g. before and after a search)
+            let separated = !output;
+            const onText = structured ? null : (delta) => {
+                const chunk = separated ? delta : `\n\n${delta}`;
+                separated = true;
+                output += chunk;
+                if (onUpdate) onUpdate(chunk);
+            };
+            let reportJson = '';
+            const onReportJson = structured ? (delta) => {
+                reportJson += delta;
+                if (onUpdate) onUpdate(delta);
+            } : null;
+
+            const { content, stopReason } = await this._streamMessage({
+                system,
+                messages,
+                tools: toolDefs,
+                toolChoice,
+                onText,
+                onReportJson,
+                signal,
+            });
+
+            if (structured && content.some((b) => b.type === 'tool_use' && b.name === REPORT_TOOL.name)) {
+                return reportJson;
+            }
+            if (stopReason !== 'tool_use') {
+                if (structured) throw new Error('The model did not return a report.');
+                return output;
+            }
+
+            const results = [];
+            for (const block of content) {
+                if (block.type !== 'tool_use') continue;
+                if (onStatus) onStatus(toolStatus(block.name, block.input), null);
+                const output = await invokeTool(toolsByName.get(block.name), block.name, block.input);
+                if (onToolCall) onToolCall({ name: block.name, input: block.input ?? {}, output });
+                results.push({ type: 'tool_result', tool_use_id: block.id, content: output });
+            }
+            messages.push({ role: 'assistant', content });
+            messages.push({ role: 'user', content: results });
+        }
+
+        throw new Error('The model kept calling tools without giving an answer.');
+    }
+
+    /**
+     * Send one Messages API request and consume its SSE stream.
+     * @param {object} params
+     * @returns {Promise<{ content: object[], stopReason: string|null }>} Assistant content blocks
+     */
+    async _streamMessage({ system, messages, tools, toolChoice, onText, onReportJson, signal }) {
+        const baseUrl = (this.settings.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        const timeout = AbortSignal.timeout(this.settings.requestTimeoutMs || REQUEST_TIMEOUT_MS);
+        const requestSignal = signal ? AbortSignal.any([signal, timeout]) : timeout;
+
+        try {
+            return await this._sendAndRead(baseUrl, { system, messages, tools, toolChoice, onText, onReportJson }, requestSignal, signal);
+        } catch (err) {
+            // The timeout also ends the body stream: report it as a timeout, not as a user cancel
+            if (timeout.aborted && !signal?.aborted) throw timeout.reason;
+            throw err;
+        }
+    }
+
+    /**
+     * @param {string} baseUrl
+     * @param {object} params - See _streamMessage
+     * @param {AbortSignal} requestSignal - User cancel or request timeout; aborts the fetch and its body
+     * @param {AbortSignal} [signal] - User cancel only, raced against each read
+     * @returns {Promise<{ content: object[], stopReason: string|null }>}
+     */
+    async _sendAndRead(baseUrl, { system, messages, tools, toolChoice, onText, onReportJson }, requestSignal, signal) {
+        const res = await fetch(`${baseUrl}/v1/messages`, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                'x-api-key': this.settings.apiKey || '',
+                'anthropic-version': API_VERSION,
+                'anthropic-dangerous-direct-browser-access': 'true',
+            },
+            body: JSON.stringify({
+                model: this.settings.model || DEFAULT_MODEL,
+                max_tokens: MAX_OUTPUT_TOKENS,
+                system,
+                messages,
+                stream: true,
+                ...(tools.length && { tools }),
+                ...(toolChoice && { tool_choice: toolChoice }),
+            }),
+            signal: requestSignal,
+        });
+
+        if (!res.ok) throw await readApiError(res);
+
+        const blocks = [];
+        let stopReason = null;
+
+        for await (const { data } of readSseEvents(res, signal)) {
+            const evt = JSON.parse(data);
+            switch (evt.type) {
+                case 'content_block_start':
+                    blocks[evt.index] = { ...evt.content_block };
+                    if (evt.content_block.type === 'tool_use') blocks[evt.index].json = '';
+                    break;
+                case 'content_block_delta': {
+                    const block = blocks[evt.index];
+                    if (evt.delta.type === 'text_delta') {
+                        block.text += evt.delta.text;
+                        if (onText) onText(evt.delta.text);
+                    } else if (evt.delta.type === 'input_json_delta') {
+                        block.json += evt.delta.partial_json;
+                        if (onReportJson && block.name === REPORT_TOOL.name) {
+                            onReportJson(evt.delta.partial_json);
+                        }
+                    }
+                    break;
+                }
+                case 'content_block_stop': {
+                    const block = blocks[evt.index];
+                    if (block?.type === 'tool_use') {
+                        block.input = block.json ? JSON.parse(block.json) : {};
+                        delete block.json;
+                    }
+                    break;
+                }
+                case 'message_delta':
+                    stopReason = evt.delta?.stop_reason ?? stopReason;
+                    break;
+                case 'error':
+                    throw new AnthropicApiError(null, evt.error?.type, evt.error?.message);
+            }
+        }
+
+        // Only text and tool_use blocks are replayed to the API
+        const content = blocks.filter((b) => b && (b.type === 'tool_use' || (b.type === 'text' && b.text)));
+        return { content, stopReason };
+    }
+}
+
+/**
+ * Error response from the Messages API (HTTP status or streamed `error` event).
+ */
+class AnthropicApiError extends Error {
+    /**
+     * @param {number|null} status - HTTP status, null for errors inside the stream
+     * @param {string} [type] - API error type (e.g. 'rate_limit_error')
+     * @param {string} [message] - API error message
+     * @param {string|null} [retryAfter] - retry-after header, seconds
+     */
+    constructor(status, type, message, retryAfter = null) {
+        super(message || `Anthropic API error${status ? ` ${status}` : ''}`);
+        this.name = 'AnthropicApiError';
+        this.status = status;
+        this.type = type || '';
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * @param {Response} res - Non-OK response
+ * @returns {Promise<AnthropicApiError>}
+ */
+async function readApiError(res) {
+    let type;
+    let message;
+    try {
+        const body = await res.json();
+        type = body?.error?.type;
+        message = body?.error?.message;
+    } catch {
+        // Not JSON (proxy error page etc.) — status alone will do
+    }
+    return new AnthropicApiError(res.status, type, message || res.statusText, res.headers.get('retry-after'));
+}
+
+/**
+ * JSON schema as Anthropic's input_schema (without the $schema dialect marker).
+ * @param {Record<string, unknown>} schema
+ * @returns {Record<string, unknown>}
+ */
+function toInputSchema({ $schema, ...schema }) {
+    return schema;
+}
+
+/**
+ * @param {unknown} err
+ * @returns {ProviderError}
+ */
+function toProviderError(err) {
+    if (err?.name === 'TimeoutError') {
+        return new ProviderError('Request timed out. Try again or reduce context length.', ERROR_CATEGORY.TIMEOUT);
+    }
+    if (err instanceof AnthropicApiError) {
+        const { status, type } = err;
+        if (status === 401 || type === 'authentication_error') {
+            return new ProviderError('Authentication failed. Check the Anthropic API key in settings.', ERROR_CATEGORY.AUTH);
+        }
+        if (status === 403 || type === 'permission_error') {
+            return new ProviderError('The API key is not allowed to use this model or feature.', ERROR_CATEGORY.AUTH);
+        }
+        if (status === 404 || type === 'not_found_error') {
+            return new ProviderError(`Not found: ${err.message}. Check the API URL and model name.`);
+        }
+        if (status === 429 || type === 'rate_limit_error') {
+            return new ProviderError(err.retryAfter
+                ? `Rate limit exceeded. Try again in ${err.retryAfter} s.`
+                : 'Rate limit exceeded. Wait a moment and try again.', ERROR_CATEGORY.RATE_LIMIT);
+        }
+        if (status === 529 || type === 'overloaded_error') {
+            return new ProviderError('Anthropic API is overloaded. Try again in a moment.', ERROR_CATEGORY.AVAILABILITY);
+        }
+        if (status >= 500 || type === 'api_error') {
+            return new ProviderError(`Anthropic API is unavailable: ${err.message}`, ERROR_CATEGORY.AVAILABILITY);
+        }
+        if (/prompt is too long|context/i.test(err.message)) {
+            return new ProviderError('Context size exceeded. Reduce "Context length" in settings.', ERROR_CATEGORY.CONTEXT);
+        }
+        return new ProviderError(`Anthropic API error: ${err.message}`);
+    }
+    const m = err?.message ?? String(err);
+    if (/failed to fetch|network|ECONNREFUSED|ECONNRESET/i.test(m)) {
+        return new ProviderError('Network error. Check API URL and your connection.', ERROR_CATEGORY.NETWORK);
+    }
+    return new ProviderError(m);
+}
@@ -0,0 +1,113 @@
+import { CHUNK_ANALYSIS_PROMPT, SYNTHESIS_INSTRUCTION } from '../shared/defaults.js';
+import { splitByTokens } from './tokenizer.js';
+import { chunkHeader, extractLede, withArticleMetadata } from './chunk-context.js';
+
+/**
+ * Context-window budgeting shared by providers that chunk long articles.
+ */
+
+/**
+ * @typedef {object} InputBudget
+ * @property {number} maxTokens - Tokens of input one request may take
+ * @property {import('./tokenizer.js').TokenCounter} counter - Counter the budget is measured with
+ */
+
+/** Reserve for response + overhead (tokens). */
+const RESPONSE_BUFFER_TOKENS = 1024;
+/** Minimum tokens left for content so chunks are never empty. */
+const MIN_CONTENT_TOKENS = 256;
+/** Tokens each part repeats from the end of the previous one. */
+const CHUNK_OVERLAP_TOKENS = 100;
+
+/**
+ * The longest instructions any pass may use, so chunks fit every pass.
+ * @param {string} prompt - Base prompt
+ * @returns {string}
+ */
+export function longestPrompt(prompt) {
+    const synthesisPrompt = `${prompt}\n\n${SYNTHESIS_INSTRUCTION}`;
+    return synthesisPrompt.length >= CHUNK_ANALYSIS_PROMPT.length ? synthesisPrompt : CHUNK_ANALYSIS_PROMPT;
+}
+
+/**
+ * Tokens of content that fit in one request.
+ * Reserves room for the instructions and the response, never going below MIN_CONTENT_TOKENS.
+ * @param {number} ctx - Context length in tokens
+ * @param {number} promptTokens - Tokens of the instructions
+ * @param {number} [responseTokens] - Tokens reserved for the response
+ * @returns {number}
+ */
+export function maxChunkTokensFor(ctx, promptTokens, responseTokens = RESPONSE_BUFFER_TOKENS) {
+    const reserveTokens = Math.min(
+        ctx - MIN_CONTENT_TOKENS,
+        promptTokens + responseTokens,
+    );
+    return Math.max(MIN_CONTENT_TOKENS, ctx - reserveTokens);
+}
+
+/**
+ * Input budget of one request next to the longest instructions, for callers
+ * that batch their own input (headline scoring) and measure it with `counter`.
+ * @param {number} ctx - Context length in tokens
+ * @param {string} prompt - Base prompt
+ * @param {import('./tokenizer.js').TokenCounter} counter
+ * @param {{ responseTokens?: number, signal?: AbortSignal }} [options]
+ * @returns {Promise<InputBudget>}
+ */
+export async function inputBudgetFor(ctx, prompt, counter, { responseTokens = RESPONSE_BUFFER_TOKENS, signal } = {}) {
+    const promptTokens = await counter.count(longestPrompt(prompt), { signal });
+    return { maxTokens: maxChunkTokensFor(ctx, promptTokens, responseTokens), counter };
+}
+
+/**
+ * Split an article so every chunk fits one request next to the longest
+ * instructions, measuring both with the model's token counter.
+ *
+ * When the article does not fit in one chunk, every part starts with a short
+ * article context header (title, byline, lede, "Part i of n") and repeats the
+ * end of the previous part; both count against the budget. Room for the
+ * article metadata block is reserved as well (see withArticleMetadata).
+ *
+ * @param {string} text - Article text
+ * @param {string} prompt - Base prompt
+ * @param {object} opts
+ * @param {number} opts.ctx - Context length in tokens
+ * @param {import('./tokenizer.js').TokenCounter} opts.counter
+ * @param {import('./chunk-context.js').ArticleInfo} [opts.article] - Title and byline for the header, metadata block
+ * @param {number} [opts.overlapTokens] - Overlap between parts; 0 = none
+ * @param {number} [opts.responseTokens] - Tokens reserved for the response
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<{ chunks: string[], maxChunkTokens: number, maxChunkChars: number }>}
+ *   maxChunkChars: the same budget in characters of this text, for the notes passes
+ */
+export async function chunkForContext(text, prompt, {
+    ctx,
+    counter,
+    article = {},
+    overlapTokens = CHUNK_OVERLAP_TOKENS,
+    responseTokens = RESPONSE_BUFFER_TOKENS,
+    signal,
+}) {
+    const promptTokens = await counter.count(longestPrompt(prompt), { signal });
+    const metadataTokens = article.metadata ? await counter.count(withArticleMetadata('', article), { signal }) : 0;
+    const maxChunkTokens = maxChunkTokensFor(ctx, promptTokens + metadataTokens, responseTokens);
+    let { chunks, charsPerToken } = await splitByTokens(text, maxChunkTokens, counter, { signal });
+
+    if (chunks.length > 1) {
+        const info = { ...article, lede: extractLede(text) };
+        const headerTokens = await counter.count(chunkHeader(info, chunks.length, chunks.length), { signal });
+        const partTokens = Math.max(MIN_CONTENT_TOKENS, maxChunkTokens - headerTokens);
+        ({ chunks } = await splitByTokens(text, partTokens, counter, {
+            overlapTokens: Math.min(overlapTokens, Math.floor(partTokens / 4)),
+            signal,
+        }));
+        // Part 1 opens with the lede itself
+        chunks = chunks.map((chunk, i) => chunkHeader(i ? info : { ...info, lede: '' }, i + 1, chunks.length) + chunk);
+    }
+
+    console.log(
+        `Split text (${text.length} chars) into ${chunks.length} chunk(s) `
+        + `(budget: ${maxChunkTokens} tokens, counter: ${counter.id})`,
+    );
+    return { chunks, maxChunkTokens, maxChunkChars: Math.floor(maxChunkTokens * charsPerToken) };
+}
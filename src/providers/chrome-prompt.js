@@ -0,0 +1,239 @@
+import { Provider, ProviderError, ERROR_CATEGORY } from './provider.js';
+import { z } from 'zod';
+import { raceWithSignal, throwIfAborted } from '../shared/abort-utils.js';
+import { AnalysisSchema } from './analysis-schema.js';
+import { collectNotes } from './map-reduce.js';
+import { chunkForContext, longestPrompt, maxChunkTokensFor } from './budget.js';
+import { withArticleMetadata } from './chunk-context.js';
+import { chromeCounter } from './tokenizer.js';
+import { SYNTHESIS_INSTRUCTION } from '../shared/defaults.js';
+
+/** Fallback token quota when the API doesn't expose inputQuota. */
+const DEFAULT_TOKEN_QUOTA = 4000;
+/** Tokens kept free for the response (it shares the session context). */
+const RESPONSE_RESERVE_TOKENS = 1024;
+
+/** JSON schema passed as responseConstraint for the structured report. */
+const REPORT_SCHEMA = (({ $schema, ...schema }) => schema)(z.toJSONSchema(AnalysisSchema));
+
+/**
+ * On-device analysis with Chrome's Prompt API (LanguageModel, Gemini Nano).
+ *
+ * Unlike the Summarizer API it takes a system prompt, so it follows the full
+ * DEFAULT_PROMPT format. One base session is created per system prompt and
+ * cloned for every request, so responses never pile up in the context.
+ * Chunks are sized with measureInputUsage() against the session's inputQuota.
+ */
+export class ChromePromptProvider extends Provider {
+    static id = 'chrome-prompt';
+    static label = 'Chrome Prompt API (Gemini Nano)';
+    static supportsStructuredOutput = true;
+
+    static async checkAvailability() {
+        if (!('LanguageModel' in self)) {
+            return {
+                available: false,
+                reason: 'Prompt API (LanguageModel) is not available. '
+                    + 'Requires Chrome 138+ with the required flags or an active origin trial token.',
+            };
+        }
+
+        const availability = await LanguageModel.availability();
+        if (availability === 'unavailable') {
+            return {
+                available: false,
+                reason: 'Gemini Nano is unavailable on this device. '
+                    + 'Check hardware requirements at chrome://flags.',
+            };
+        }
+
+        return { available: true };
+    }
+
+    /** @param {{ contextLength?: number, structured?: boolean }} settings */
+    constructor(settings = {}) {
+        super(settings);
+        /** @type {Map<string, Promise<LanguageModel>>} System prompt -> base session */
+        this._sessions = new Map();
+    }
+
+    async getInputBudget(prompt, { signal } = {}) {
+        const session = await this._session(prompt, null, signal);
+        return {
+            maxTokens: this._maxChunkTokens(session, await this._longestPromptTokens(session, prompt, signal)),
+            counter: chromeCounter(session),
+        };
+    }
+
+    async call({ text, article, prompt, onStatus, onUpdate, signal }) {
+        const { available, reason } = await ChromePromptProvider.checkAvailability();
+        if (!available) throw new ProviderError(reason, ERROR_CATEGORY.AVAILABILITY);
+
+        const availability = await LanguageModel.availability();
+        throwIfAborted(signal);
+
+        if (availability === 'downloadable' && onStatus) {
+            onStatus('Downloading AI model...', null);
+        }
+
+        const structured = !!this.settings.structured;
+        const synthesisPrompt = `${prompt}\n\n${SYNTHESIS_INSTRUCTION}`;
+
+        try {
+            const session = await this._session(prompt, onStatus, signal);
+            throwIfAborted(signal);
+
+            if (onStatus) onStatus('Analyzing article...', null);
+
+            const { chunks, maxChunkChars } = await chunkForContext(text, prompt, {
+                ctx: this._tokenQuota(session),
+                counter: chromeCounter(session),
+                article,
+                responseTokens: RESPONSE_RESERVE_TOKENS,
+                signal,
+            });
+
+            if (chunks.length === 1) {
+                const content = await this._prompt(prompt, withArticleMetadata(chunks[0], article), { structured, onStatus, onUpdate, signal });
+                return { content };
+            }
+
+            const combined = await collectNotes(chunks, {
+                maxChunkChars,
+                run: (system, input) => this._prompt(system, input, { onStatus, signal }),
+                onStatus,
+                signal,
+            });
+            throwIfAborted(signal);
+            if (onStatus) onStatus('Writing final report...', null);
+            const content = await this._prompt(synthesisPrompt, withArticleMetadata(combined, article), { structured, onStatus, onUpdate, signal });
+            return { content };
+        } catch (err) {
+            if (err?.name === 'AbortError') throw err;
+            const error = toProviderError(err);
+            if (onStatus) onStatus(`Error: ${error.message}`, null);
+            throw error;
+        }
+    }
+
+    /**
+     * Base session for a system prompt, created on first use.
+     * Any creation may have to wait for the model download (not only the
+     * first one), so every caller that shows status passes onStatus for its progress.
+     * @param {string} system - System prompt
+     * @param {function} [onStatus]
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<LanguageModel>}
+     */
+    _session(system, onStatus, signal) {
+        if (!this._sessions.has(system)) {
+            const created = raceWithSignal(LanguageModel.create({
+                initialPrompts: [{ role: 'system', content: system }],
+                monitor(m) {
+                    m.addEventListener('downloadprogress', (e) => {
+                        console.log(`Model download: ${(e.loaded * 100).toFixed(0)}%`);
+                        if (onStatus) onStatus('Downloading AI model...', e.loaded);
+                    });
+                },
+            }), signal);
+            // Don't cache a failed creation
+            created.catch(() => this._sessions.delete(system));
+            this._sessions.set(system, created);
+        }
+        return this._sessions.get(system);
+    }
+
+    /**
+     * Run one prompt on a clone of the system prompt's base session.
+     * @param {string} system - System prompt
+     * @param {string} input - User message
+     * @param {object} opts
+     * @param {boolean} [opts.structured] - Constrain output to the report schema
+     * @param {function} [opts.onStatus] - Gets model download progress if the base session has to wait for it
+     * @param {function} [opts.onUpdate] - Streaming delta callback; without it the call is not streamed
+     * @param {AbortSignal} [opts.signal]
+     * @returns {Promise<string>}
+     */
+    async _prompt(system, input, { structured = false, onStatus, onUpdate, signal } = {}) {
+        const base = await this._session(system, onStatus, signal);
+        const session = await base.clone({ signal });
+        const options = {
+            signal,
+            ...(structured && { responseConstraint: REPORT_SCHEMA }),
+        };
+        try {
+            if (!onUpdate) return await session.prompt(input, options);
+
+            let fullText = '';
+            for await (const chunk of session.promptStreaming(input, options)) {
+                throwIfAborted(signal);
+                fullText += chunk;
+                onUpdate(chunk);
+            }
+            return fullText;
+        } finally {
+            session.destroy();
+        }
+    }
+
+    /**
+     * Token budget for content in one request.
+     * @param {LanguageModel} session - Any session (for inputQuota)
+     * @param {number} promptTokens - Tokens of the longest system prompt
+     * @returns {number}
+     */
+    _maxChunkTokens(session, promptTokens) {
+        return maxChunkTokensFor(this._tokenQuota(session), promptTokens, RESPONSE_RESERVE_TOKENS);
+    }
+
+    /**
+     * @param {LanguageModel} session - Any session (for inputQuota)
+     * @returns {number} Tokens one request may use
+     */
+    _tokenQuota(session) {
+        return this.settings.contextLength || session.inputQuota || DEFAULT_TOKEN_QUOTA;
+    }
+
+    /**
+     * Tokens of the longest system prompt any pass may use.
+     * @param {LanguageModel} session
+     * @param {string} prompt - Base prompt
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<number>}
+     */
+    async _longestPromptTokens(session, prompt, signal) {
+        return session.measureInputUsage(longestPrompt(prompt), { signal });
+    }
+
+    destroy() {
+        for (const created of this._sessions.values()) {
+            created.then((session) => session.destroy(), () => {});
+        }
+        this._sessions.clear();
+    }
+}
+
+/**
+ * @param {unknown} err
+ * @returns {ProviderError}
+ */
+function toProviderError(err) {
+    if (err instanceof ProviderError) return err;
+    const m = err?.message ?? String(err);
+    if (err?.name === 'QuotaExceededError') {
+        return new ProviderError(
+            'Input is too large for the on-device model. Reduce "Context length" in settings.',
+            ERROR_CATEGORY.CONTEXT,
+        );
+    }
+    if (err?.name === 'NotSupportedError') {
+        return new ProviderError(`The on-device model cannot handle this request: ${m}`, ERROR_CATEGORY.AVAILABILITY);
+    }
+    if (err?.name === 'NotAllowedError') {
+        return new ProviderError(
+            'Chrome did not allow the on-device model to start. Click the extension icon again to retry.',
+            ERROR_CATEGORY.AVAILABILITY,
+        );
+    }
+    return new ProviderError(m);
+}
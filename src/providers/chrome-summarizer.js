@@ -1,12 +1,15 @@
-import { Provider } from './provider.js';
+import { Provider, ProviderError, ERROR_CATEGORY } from './provider.js';
 import { splitText } from '../shared/split-text.js';
 import { raceWithSignal, throwIfAborted } from '../shared/abort-utils.js';
-import { CHARS_PER_TOKEN } from '../shared/constants.js';
+import { chromeCounter, estimateCounter, splitByTokens } from './tokenizer.js';
 import { VERBOSITY } from '../shared/defaults.js';
 
 /** Fallback token quota when the API doesn't expose inputQuota. */
 const DEFAULT_TOKEN_QUOTA = 4000;
 
+/** Tokens left for article text when the metadata block takes most of the quota. */
+const MIN_CHUNK_TOKENS = 256;
+
 /** Map verbosity levels to Chrome Summarizer length parameter. */
 const VERBOSITY_TO_LENGTH = {
     [VERBOSITY.SHORT]: 'short',
@@ -45,9 +48,9 @@ export class ChromeSummarizerProvider extends Provider {
         this._summarizer = null;
     }
 
-    async call({ text, prompt, onStatus, onUpdate, signal }) {
+    async call({ text, article, prompt, onStatus, onUpdate, signal }) {
         const { available, reason } = await ChromeSummarizerProvider.checkAvailability();
-        if (!available) throw new Error(reason);
+        if (!available) throw new ProviderError(reason, ERROR_CATEGORY.AVAILABILITY);
 
         const availability = await Summarizer.availability();
         throwIfAborted(signal);
@@ -75,20 +78,26 @@ export class ChromeSummarizerProvider extends Provider {
 
         if (onStatus) onStatus('Analyzing article...', null);
 
-        // Determine max chunk size in characters based on available token quota
+        // Size chunks by the available token quota, measured by the model where supported
         const tokenQuota = this.settings.contextLength
             || this._summarizer.inputQuota
             || DEFAULT_TOKEN_QUOTA;
-        const maxChars = tokenQuota * CHARS_PER_TOKEN;
-
-        const chunks = splitText(text, maxChars);
+        const counter = typeof this._summarizer.measureInputUsage === 'function'
+            ? chromeCounter(this._summarizer)
+            : estimateCounter;
+        // The metadata block is the context of the final summary and shares its quota
+        const context = article?.metadata || undefined;
+        const contextTokens = context ? await counter.count(context, { signal }) : 0;
+        const chunkQuota = Math.max(MIN_CHUNK_TOKENS, tokenQuota - contextTokens);
+        const { chunks, charsPerToken } = await splitByTokens(text, chunkQuota, counter, { signal });
+        const maxChars = Math.floor(chunkQuota * charsPerToken);
         console.log(
             `Split text (${text.length} chars) into ${chunks.length} chunk(s) `
-            + `(quota: ${tokenQuota} tokens, maxChars: ${maxChars})`,
+            + `(quota: ${chunkQuota} tokens, counter: ${counter.id}, maxChars: ${maxChars})`,
         );
 
         if (chunks.length === 1) {
-            return this._streamSummary(chunks[0], onStatus, onUpdate, signal);
+            return this._streamSummary(chunks[0], context, onStatus, onUpdate, signal);
         }
 
         const summaries = [];
@@ -107,7 +116,7 @@ export class ChromeSummarizerProvider extends Provider {
         throwIfAborted(signal);
         const combined = await this._recursiveSummarize(summaries, maxChars, onStatus, signal);
         throwIfAborted(signal);
-        return this._streamSummary(combined, onStatus, onUpdate, signal);
+        return this._streamSummary(combined, context, onStatus, onUpdate, signal);
     }
 
     /**
@@ -142,11 +151,11 @@ export class ChromeSummarizerProvider extends Provider {
         return this._recursiveSummarize(reduced, maxChars, onStatus, signal);
     }
 
-    async _streamSummary(text, onStatus, onUpdate, signal) {
+    async _streamSummary(text, context, onStatus, onUpdate, signal) {
         if (onStatus) onStatus('Generating final summary...', null);
 
         let fullText = '';
-        const stream = this._summarizer.summarizeStreaming(text);
+        const stream = this._summarizer.summarizeStreaming(text, { context });
 
         for await (const chunk of stream) {
             throwIfAborted(signal);
@@ -0,0 +1,64 @@
+import { isHeading } from '../shared/split-text.js';
+
+/**
+ * Compact header prepended to every part of a split article, so a part from
+ * the middle is still read against the headline and the lede (where clickbait
+ * and framing mismatches show up). CHUNK_ANALYSIS_PROMPT explains it to the model.
+ */
+
+/** Longest lede quoted in the header. */
+const MAX_LEDE_CHARS = 300;
+
+/** Shortest paragraph taken as the lede (skips datelines, captions, bylines). */
+const MIN_LEDE_CHARS = 80;
+
+/**
+ * @typedef {object} ArticleInfo
+ * @property {string} [title] - Headline
+ * @property {string} [byline] - Author line
+ * @property {string} [metadata] - Article metadata block (getArticleMetadataBlock), sent before the input of the final pass
+ */
+
+/**
+ * First real paragraph of the article, shortened at a word boundary.
+ * @param {string} text - Article text
+ * @returns {string} '' if there is none
+ */
+export function extractLede(text) {
+    const lede = text
+        .split(/\n/)
+        .map((line) => line.replace(/\s+/g, ' ').trim())
+        .find((line) => line.length >= MIN_LEDE_CHARS && !isHeading(line));
+    if (!lede) return '';
+    if (lede.length <= MAX_LEDE_CHARS) return lede;
+    const cut = lede.slice(0, MAX_LEDE_CHARS);
+    return `${cut.slice(0, Math.max(cut.lastIndexOf(' '), 0)) || cut}…`;
+}
+
+/**
+ * User input of the final pass (the article, or the notes of a split one),
+ * preceded by the article metadata block. The block comes from the page, so
+ * it is sent as input, not as instructions.
+ * @param {string} input
+ * @param {ArticleInfo} [article]
+ * @returns {string}
+ */
+export function withArticleMetadata(input, article) {
+    return article?.metadata ? `${article.metadata}\n\n${input}` : input;
+}
+
+/**
+ * Build the header for one part.
+ * @param {ArticleInfo & { lede?: string }} info
+ * @param {number} part - 1-based
+ * @param {number} total - Number of parts
+ * @returns {string}
+ */
+export function chunkHeader({ title, byline, lede }, part, total) {
+    const lines = ['[Article context]'];
+    if (title) lines.push(`Title: ${title.trim()}`);
+    if (byline) lines.push(`By: ${byline.trim()}`);
+    if (lede) lines.push(`Lede: ${lede}`);
+    lines.push(`[Part ${part} of ${total}]`);
+    return `${lines.join('\n')}\n\n`;
+}
@@ -0,0 +1,110 @@
+import { Provider, ProviderError, ERROR_CATEGORY } from './provider.js';
+import { throwIfAborted } from '../shared/abort-utils.js';
+import { STRUCTURED_OUTPUT_INSTRUCTION } from '../shared/defaults.js';
+
+/** Failures that another provider in the chain may not have. */
+const FAILOVER_CATEGORIES = new Set([
+    ERROR_CATEGORY.NETWORK,
+    ERROR_CATEGORY.AUTH,
+    ERROR_CATEGORY.AVAILABILITY,
+    ERROR_CATEGORY.RATE_LIMIT,
+    ERROR_CATEGORY.TIMEOUT,
+]);
+
+/**
+ * Ordered fallback chain over several providers.
+ *
+ * Providers are tried in order: one that reports itself unavailable is
+ * skipped, one that fails with a network, auth, availability, rate-limit or
+ * timeout error hands over to the next. Other errors (context overflow, bad
+ * responses) and any failure after output was streamed end the run,
+ * since the next provider would not do better or the user has already
+ * seen part of the answer.
+ *
+ * call() additionally resolves with the id and model of the provider that
+ * produced the result, the chain entry it came from and whether it honoured
+ * settings.structured. Two entries may share a provider and model (e.g. two
+ * Ollama hosts), so only the entry tells the primary's answer apart.
+ */
+export class FailoverProvider extends Provider {
+    static id = 'failover';
+    static label = 'Fallback chain';
+
+    static async checkAvailability() {
+        return { available: true };
+    }
+
+    /**
+     * @param {{
+     *   chain: { ProviderClass: typeof Provider, settings: Record<string, unknown>, index?: number }[],
+     *   structured?: boolean,
+     *   onSwitch?: (next: { id: string, label: string, structured: boolean }) => void,
+     * }} settings - onSwitch is called before each provider after the first is tried;
+     *   index numbers the entry in the caller's chain (defaults to its position here)
+     */
+    constructor(settings) {
+        super(settings);
+        /** @type {Provider|null} */
+        this._current = null;
+    }
+
+    /**
+     * @returns {Promise<{ content: string, providerId: string, model?: string, chainIndex: number, structured: boolean }>}
+     */
+    async call({ text, article, prompt, onStatus, onUpdate, onToolCall, signal }) {
+        const { chain, onSwitch } = this.settings;
+        /** @type {{ label: string, error: Error }[]} */
+        const failures = [];
+
+        for (const [i, { ProviderClass, settings, index = i }] of chain.entries()) {
+            const { id, label } = ProviderClass;
+            const { available, reason } = await ProviderClass.checkAvailability()
+                .catch((err) => ({ available: false, reason: err?.message ?? String(err) }));
+            throwIfAborted(signal);
+            if (!available) {
+                console.log(`Skipping ${label}: ${reason}`);
+                failures.push({ label, error: new ProviderError(reason, ERROR_CATEGORY.AVAILABILITY) });
+                continue;
+            }
+
+            const structured = !!this.settings.structured && ProviderClass.supportsStructuredOutput;
+            if (i > 0 && onSwitch) onSwitch({ id, label, structured });
+
+            let streamed = false;
+            this._current = new ProviderClass({ ...settings, structured });
+            try {
+                const result = await this._current.call({
+                    text,
+                    article,
+                    // Markdown fallback for a provider that cannot emit the report
+                    prompt: structured ? prompt : prompt.replace(`\n\n${STRUCTURED_OUTPUT_INSTRUCTION}`, ''),
+                    onStatus,
+                    onToolCall,
+                    onUpdate: onUpdate && ((delta) => {
+                        streamed = true;
+                        onUpdate(delta);
+                    }),
+                    signal,
+                });
+                return { ...result, providerId: id, model: settings.model, chainIndex: index, structured };
+            } catch (err) {
+                if (err?.name === 'AbortError' || streamed || !FAILOVER_CATEGORIES.has(err?.category)) throw err;
+                console.log(`${label} failed, trying the next provider:`, err.message);
+                failures.push({ label, error: err });
+                if (onStatus && i < chain.length - 1) onStatus(`${label} failed. Trying the next provider...`, null);
+            } finally {
+                this._current.destroy();
+                this._current = null;
+            }
+        }
+
+        // Without fallbacks, surface the provider's own error unchanged
+        if (failures.length === 1) throw failures[0].error;
+        const details = failures.map(({ label, error }) => `${label}: ${error.message}`).join(' ');
+        throw new ProviderError(`No provider could handle the request. ${details}`, ERROR_CATEGORY.AVAILABILITY);
+    }
+
+    destroy() {
+        this._current?.destroy();
+    }
+}
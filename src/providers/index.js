@@ -1,10 +1,17 @@
 import { ChromeSummarizerProvider } from "./chrome-summarizer.js";
+import { ChromePromptProvider } from "./chrome-prompt.js";
 import { OpenAIAgentsProvider } from "./openai-agents.js";
+import { AnthropicProvider } from "./anthropic.js";
+import { OllamaProvider } from "./ollama.js";
+import { FailoverProvider } from "./failover.js";
 
 /** All registered providers, keyed by id. */
 export const providers = {
   [ChromeSummarizerProvider.id]: ChromeSummarizerProvider,
+  [ChromePromptProvider.id]: ChromePromptProvider,
   [OpenAIAgentsProvider.id]: OpenAIAgentsProvider,
+  [AnthropicProvider.id]: AnthropicProvider,
+  [OllamaProvider.id]: OllamaProvider,
 };
 
 export const DEFAULT_PROVIDER = OpenAIAgentsProvider.id;
@@ -24,3 +31,28 @@ export function createProvider(id, settings = {}) {
   }
   return new ProviderClass(settings);
 }
+
+/**
+ * Create a provider that fails over along an ordered chain of providers.
+ * Unknown ids are dropped; a single-entry chain still reports which provider ran,
+ * and `chainIndex` in the result counts entries of the chain given here.
+ * @param {{ id: string, settings: Record<string, unknown> }[]} chain — primary first
+ * @param {{ structured?: boolean, onSwitch?: function }} [options] — see FailoverProvider
+ * @returns {FailoverProvider}
+ */
+export function createProviderChain(
+  chain,
+  { structured = false, onSwitch } = {},
+) {
+  return new FailoverProvider({
+    chain: chain
+      .map(({ id, settings }, index) => ({
+        ProviderClass: providers[id],
+        settings,
+        index,
+      }))
+      .filter(({ ProviderClass }) => ProviderClass),
+    structured,
+    onSwitch,
+  });
+}
@@ -0,0 +1,69 @@
+import { splitText } from '../shared/split-text.js';
+import { throwIfAborted } from '../shared/abort-utils.js';
+import { CHUNK_ANALYSIS_PROMPT, NOTES_MERGE_PROMPT } from '../shared/defaults.js';
+
+/**
+ * Map and reduce stages shared by the prompt-based providers (OpenAI, Anthropic,
+ * Ollama, Chrome Prompt), so the merge rules stay the same across them.
+ * Map: extract techniques and claims from each chunk.
+ * Reduce: merge the notes recursively until they fit in one request.
+ * The caller streams the final report from the result with SYNTHESIS_INSTRUCTION.
+ */
+
+/**
+ * @callback RunPass
+ * @param {string} system - Instructions for this pass
+ * @param {string} input - Text to process
+ * @returns {Promise<string>} Model output (not streamed)
+ */
+
+/**
+ * @param {string[]} chunks - Article chunks
+ * @param {object} opts
+ * @param {number} opts.maxChunkChars - Maximum request size in characters
+ * @param {RunPass} opts.run - Makes one request
+ * @param {function} [opts.onStatus] - Status callback
+ * @param {AbortSignal} [opts.signal] - Abort signal
+ * @returns {Promise<string>} Notes for the whole article that fit in one request
+ */
+export async function collectNotes(chunks, { maxChunkChars, run, onStatus, signal }) {
+    const notes = [];
+    for (let i = 0; i < chunks.length; i++) {
+        throwIfAborted(signal);
+        if (onStatus) onStatus(`Analyzing part ${i + 1} of ${chunks.length}...`, i / chunks.length);
+        notes.push((await run(CHUNK_ANALYSIS_PROMPT, chunks[i])).trim());
+    }
+    return reduceNotes(notes, { maxChunkChars, run, onStatus, signal });
+}
+
+/**
+ * Recursively merge per-chunk notes until they fit in a single request.
+ * @param {string[]} notes - Notes from the previous level
+ * @param {object} opts - Same as collectNotes()
+ * @returns {Promise<string>}
+ */
+async function reduceNotes(notes, { maxChunkChars, run, onStatus, signal }) {
+    throwIfAborted(signal);
+    const combined = notes
+        .map((note, i) => `Part ${i + 1}:\n${note}`)
+        .join('\n\n');
+
+    if (combined.length <= maxChunkChars || notes.length === 1) {
+        return combined;
+    }
+
+    const groups = splitText(combined, maxChunkChars);
+    // Splitting did not reduce anything — truncate rather than loop forever
+    if (groups.length >= notes.length) {
+        return combined.slice(0, maxChunkChars);
+    }
+
+    const merged = [];
+    for (let i = 0; i < groups.length; i++) {
+        throwIfAborted(signal);
+        if (onStatus) onStatus(`Combining findings ${i + 1} of ${groups.length}...`, i / groups.length);
+        merged.push((await run(NOTES_MERGE_PROMPT, groups[i])).trim());
+    }
+
+    return reduceNotes(merged, { maxChunkChars, run, onStatus, signal });
+}
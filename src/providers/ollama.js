@@ -0,0 +1,375 @@
+import { Provider, ProviderError, ERROR_CATEGORY } from './provider.js';
+import { z } from 'zod';
+import { readNdjson } from '../shared/ndjson.js';
+import { AnalysisSchema } from './analysis-schema.js';
+import { chunkForContext, inputBudgetFor } from './budget.js';
+import { withArticleMetadata } from './chunk-context.js';
+import { tokenCounterFor } from './tokenizer.js';
+import { collectNotes } from './map-reduce.js';
+import { invokeTool, toolStatus } from './tools.js';
+import { SYNTHESIS_INSTRUCTION } from '../shared/defaults.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+/** Ollama's own num_ctx default, used when the model reports nothing. */
+const DEFAULT_CONTEXT_TOKENS = 4096;
+/**
+ * Upper bound for context length taken from model metadata. Many models
+ * advertise 128k tokens; allocating that much KV cache exhausts memory
+ * on typical machines. An explicit setting or Modelfile num_ctx is not capped.
+ */
+const AUTO_CONTEXT_CAP = 32768;
+/** Timeout for a single chat request (prompt processing + streaming). */
+const REQUEST_TIMEOUT_MS = 300000;
+/** Max model turns per request when the model keeps calling tools. */
+const MAX_TOOL_TURNS = 8;
+
+/** JSON schema passed as `format` for the structured report. */
+const REPORT_FORMAT = (({ $schema, ...schema }) => schema)(z.toJSONSchema(AnalysisSchema));
+
+/**
+ * Native Ollama provider (/api/chat).
+ *
+ * Unlike the OpenAI-compatible endpoint, the native API exposes installed
+ * models (/api/tags), model metadata (/api/show) and downloads (/api/pull):
+ * the context length is read from the model, a missing model is pulled with
+ * progress reported through onStatus, and num_ctx is sent with every request
+ * so Ollama actually allocates the context the chunks were sized for.
+ */
+export class OllamaProvider extends Provider {
+    static id = 'ollama';
+    static label = 'Ollama (native API)';
+    static supportsStructuredOutput = true;
+
+    static async checkAvailability() {
+        // The server is checked at call time.
+        return { available: true };
+    }
+
+    /**
+     * Names of the models installed on an Ollama server.
+     * @param {string} [baseUrl]
+     * @returns {Promise<string[]>}
+     */
+    static async listModels(baseUrl) {
+        let res;
+        try {
+            res = await fetch(`${normalizeBaseUrl(baseUrl)}/api/tags`);
+        } catch (err) {
+            throw toProviderError(err, baseUrl);
+        }
+        if (!res.ok) throw toProviderError(await readApiError(res), baseUrl);
+        const data = await res.json();
+        return (data.models ?? []).map((m) => m.name).sort();
+    }
+
+    /**
+     * @param {{
+     *   baseUrl?: string,
+     *   apiKey?: string,
+     *   model?: string,
+     *   contextLength?: number,
+     *   requestTimeoutMs?: number,
+     *   tools?: import('@openai/agents').FunctionTool[],
+     *   structured?: boolean,
+     * }} settings - requestTimeoutMs: per chat request, default 5 minutes
+     */
+    constructor(settings = {}) {
+        super(settings);
+        /** @type {number|null} Resolved context length (tokens), cached per instance */
+        this._contextLength = null;
+    }
+
+    async getInputBudget(prompt, { signal } = {}) {
+        const ctx = await this._resolveContextLength(null, signal);
+        return inputBudgetFor(ctx, prompt, tokenCounterFor(this.settings.model), { signal });
+    }
+
+    async call({ text, article, prompt, onStatus, onUpdate, onToolCall, signal }) {
+        if (onStatus) onStatus('Connecting to Ollama...', null);
+
+        const tools = this.settings.tools || [];
+        const structured = !!this.settings.structured;
+
+        let content;
+        try {
+            const ctx = await this._resolveContextLength(onStatus, signal);
+            const synthesisPrompt = `${prompt}\n\n${SYNTHESIS_INSTRUCTION}`;
+            const { chunks, maxChunkChars } = await chunkForContext(text, prompt, {
+                ctx,
+                counter: tokenCounterFor(this.settings.model),
+                article,
+                signal,
+            });
+
+            if (onStatus) {
+                onStatus(chunks.length > 1 ? `Processing ${chunks.length} parts...` : 'Processing article...', null);
+            }
+
+            if (chunks.length === 1) {
+                content = await this._run(prompt, withArticleMetadata(chunks[0], article), { tools, structured, onStatus, onUpdate, onToolCall, signal });
+            } else {
+                const combined = await collectNotes(chunks, {
+                    maxChunkChars,
+                    run: (system, input) => this._run(system, input, { signal }),
+                    onStatus,
+                    signal,
+                });
+                if (onStatus) onStatus('Writing final report...', null);
+                content = await this._run(synthesisPrompt, withArticleMetadata(combined, article), { tools, structured, onStatus, onUpdate, onToolCall, signal });
+            }
+        } catch (err) {
+            if (err?.name === 'AbortError') throw err;
+            const error = toProviderError(err, this.settings.baseUrl);
+            if (onStatus) onStatus(`Error: ${error.message}`, null);
+            throw error;
+        }
+
+        return { content };
+    }
+
+    /** @returns {string} Configured model name */
+    get _model() {
+        const model = this.settings.model;
+        if (!model) {
+            throw new ProviderError('No Ollama model selected. Choose one in the extension settings.', ERROR_CATEGORY.AVAILABILITY);
+        }
+        return model;
+    }
+
+    /**
+     * Resolve the context length once per instance, pulling the model if it is missing.
+     * Priority chain: user setting > Modelfile num_ctx > model metadata (capped) > default
+     * @param {function|null} onStatus - Receives pull progress; null = do not pull
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<number>} Context length in tokens
+     */
+    async _resolveContextLength(onStatus, signal) {
+        if (this._contextLength) return this._contextLength;
+
+        let info;
+        try {
+            info = await this._request('/api/show', { model: this._model }, signal);
+        } catch (err) {
+            if (err?.status !== 404 || !onStatus) throw err;
+            await this._pullModel(onStatus, signal);
+            info = await this._request('/api/show', { model: this._model }, signal);
+        }
+
+        const numCtx = Number(/^num_ctx\s+(\d+)/m.exec(info.parameters ?? '')?.[1]);
+        const trained = Object.entries(info.model_info ?? {})
+            .find(([key]) => key.endsWith('.context_length'))?.[1];
+
+        let ctx = DEFAULT_CONTEXT_TOKENS;
+        if (this.settings.contextLength) {
+            ctx = this.settings.contextLength;
+        } else if (numCtx) {
+            ctx = numCtx;
+        } else if (trained) {
+            ctx = Math.min(trained, AUTO_CONTEXT_CAP);
+        }
+        console.log(`Ollama context length for ${this._model}: ${ctx} tokens`);
+        this._contextLength = Math.max(512, ctx);
+        return this._contextLength;
+    }
+
+    /**
+     * Download the configured model, reporting progress like the Gemini Nano download.
+     * @param {function} onStatus
+     * @param {AbortSignal} [signal]
+     */
+    async _pullModel(onStatus, signal) {
+        const model = this._model;
+        onStatus(`Downloading model ${model}...`, null);
+        const res = await this._post('/api/pull', { model, stream: true }, signal);
+        for await (const line of readNdjson(res, signal)) {
+            if (line.error) throw new Error(line.error);
+            if (line.total) {
+                onStatus(`Downloading model ${model}...`, (line.completed ?? 0) / line.total);
+            } else if (line.status) {
+                onStatus(`Downloading model ${model}: ${line.status}`, null);
+            }
+        }
+    }
+
+    /**
+     * Run one chat to completion, executing tool calls as the model makes them.
+     * @param {string} system - System prompt
+     * @param {string} userText - User message
+     * @param {object} opts
+     * @param {import('@openai/agents').FunctionTool[]} [opts.tools]
+     * @param {boolean} [opts.structured] - Constrain the output to the report schema
+     * @param {function} [opts.onStatus]
+     * @param {function} [opts.onUpdate]
+     * @param {function} [opts.onToolCall]
+     * @param {AbortSignal} [opts.signal]
+     * @returns {Promise<string>} Final text (report JSON when structured)
+     */
+    async _run(system, userText, { tools = [], structured = false, onStatus, onUpdate, onToolCall, signal } = {}) {
+        const toolsByName = new Map(tools.map((t) => [t.name, t]));
+        const toolDefs = tools.map((t) => ({
+            type: 'function',
+            function: { name: t.name, description: t.description, parameters: t.parameters },
+        }));
+        const messages = [
+            { role: 'system', content: system },
+            { role: 'user', content: userText },
+        ];
+        let output = '';
+
+        for (let turn = 0; turn < MAX_TOOL_TURNS; turn++) {
+            // On the last turn, withhold tools so the model has to answer
+            const offerTools = toolDefs.length && turn < MAX_TOOL_TURNS - 1;
+            const timeout = AbortSignal.timeout(this.settings.requestTimeoutMs || REQUEST_TIMEOUT_MS);
+            const requestSignal = signal ? AbortSignal.any([signal, timeout]) : timeout;
+
+            let turnText = '';
+            const toolCalls = [];
+            try {
+                const res = await this._post('/api/chat', {
+                    model: this._model,
+                    messages,
+                    stream: true,
+                    options: { num_ctx: this._contextLength },
+                    ...(offerTools && { tools: toolDefs }),
+                    ...(structured && { format: REPORT_FORMAT }),
+                }, requestSignal);
+
+                // Only the user's signal races the reads; the timeout ends the body stream itself
+                for await (const line of readNdjson(res, signal)) {
+                    if (line.error) throw new Error(line.error);
+                    const delta = line.message?.content;
+                    if (delta) {
+                        // Separate the text of consecutive turns (e.g. before and after a search)
+                        const chunk = !turnText && output && !structured ? `\n\n${delta}` : delta;
+                        turnText += delta;
+                        output += chunk;
+                        if (onUpdate) onUpdate(chunk);
+                    }
+                    if (line.message?.tool_calls) toolCalls.push(...line.message.tool_calls);
+                }
+            } catch (err) {
+                // Report a stalled model as a timeout, not as a user cancel
+                if (timeout.aborted && !signal?.aborted) throw timeout.reason;
+                throw err;
+            }
+
+            if (!toolCalls.length) return output;
+
+            messages.push({ role: 'assistant', content: turnText, tool_calls: toolCalls });
+            for (const call of toolCalls) {
+                const { name, arguments: args } = call.function ?? {};
+                if (onStatus) onStatus(toolStatus(name, args), null);
+                const output = await invokeTool(toolsByName.get(name), name, args);
+                if (onToolCall) onToolCall({ name, input: args ?? {}, output });
+                messages.push({ role: 'tool', tool_name: name, content: output });
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * POST JSON and return the response JSON.
+     * @param {string} path
+     * @param {object} body
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<any>}
+     */
+    async _request(path, body, signal) {
+        const res = await this._post(path, body, signal);
+        return res.json();
+    }
+
+    /**
+     * POST JSON; rejects with an OllamaApiError for non-OK responses.
+     * @param {string} path
+     * @param {object} body
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Response>}
+     */
+    async _post(path, body, signal) {
+        const res = await fetch(`${normalizeBaseUrl(this.settings.baseUrl)}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                // Only needed behind an authenticating reverse proxy
+                ...(this.settings.apiKey && { Authorization: `Bearer ${this.settings.apiKey}` }),
+            },
+            body: JSON.stringify(body),
+            signal,
+        });
+        if (!res.ok) throw await readApiError(res);
+        return res;
+    }
+}
+
+/**
+ * Error response from the Ollama API.
+ */
+class OllamaApiError extends Error {
+    /**
+     * @param {number} status - HTTP status
+     * @param {string} message - Error from the response body
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'OllamaApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * Base URL of the native API; a pasted OpenAI-compatible URL (…/v1) is accepted too.
+ * @param {string} [baseUrl]
+ * @returns {string}
+ */
+function normalizeBaseUrl(baseUrl) {
+    return (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '').replace(/\/v1$/, '');
+}
+
+/**
+ * @param {Response} res - Non-OK response
+ * @returns {Promise<OllamaApiError>}
+ */
+async function readApiError(res) {
+    let message = '';
+    try {
+        message = (await res.json())?.error ?? '';
+    } catch {
+        // Empty body (e.g. 403 from the origin check)
+    }
+    return new OllamaApiError(res.status, message || res.statusText || `HTTP ${res.status}`);
+}
+
+/**
+ * @param {unknown} err
+ * @param {string} [baseUrl]
+ * @returns {ProviderError}
+ */
+function toProviderError(err, baseUrl) {
+    if (err instanceof ProviderError) return err;
+    if (err?.name === 'TimeoutError') {
+        return new ProviderError(
+            'Request timed out. The model may be too slow — try a smaller model or context length.',
+            ERROR_CATEGORY.TIMEOUT,
+        );
+    }
+    if (err instanceof OllamaApiError) {
+        if (err.status === 403) {
+            return new ProviderError('Ollama rejected the request (403). Allow the extension origin, '
+                + 'e.g. start Ollama with OLLAMA_ORIGINS=chrome-extension://*', ERROR_CATEGORY.AUTH);
+        }
+        if (err.status === 404) {
+            return new ProviderError(`${err.message}. Pick an installed model in settings.`, ERROR_CATEGORY.AVAILABILITY);
+        }
+        return new ProviderError(`Ollama error: ${err.message}`);
+    }
+    const m = err?.message ?? String(err);
+    if (/failed to fetch|fetch failed|network|ECONNREFUSED|ECONNRESET/i.test(m)) {
+        return new ProviderError(
+            `Cannot reach Ollama at ${normalizeBaseUrl(baseUrl)}. Make sure it is running.`,
+            ERROR_CATEGORY.NETWORK,
+        );
+    }
+    return new ProviderError(m);
+}
@@ -1,14 +1,16 @@
-import { Provider } from './provider.js';
+import { Provider, ProviderError, ERROR_CATEGORY } from './provider.js';
 import { Agent, Runner, OpenAIChatCompletionsModel } from '@openai/agents';
 import OpenAI from 'openai';
 import { splitText } from '../shared/split-text.js';
 import { raceReadWithSignal } from '../shared/abort-utils.js';
-import { CHARS_PER_TOKEN } from '../shared/constants.js';
+import { AnalysisSchema } from './analysis-schema.js';
+import { chunkForContext, inputBudgetFor } from './budget.js';
+import { withArticleMetadata } from './chunk-context.js';
+import { collectNotes } from './map-reduce.js';
+import { tokenCounterFor } from './tokenizer.js';
+import { toolStatus } from './tools.js';
+import { SYNTHESIS_INSTRUCTION } from '../shared/defaults.js';
 
-/** Reserve for response + overhead (tokens). */
-const RESPONSE_BUFFER_TOKENS = 1024;
-/** Minimum tokens left for content so chunks are never empty. */
-const MIN_CONTENT_TOKENS = 256;
 /** Timeout for a single request (prompt processing + streaming). LM Studio can take 1–2 min on first token. */
 const REQUEST_TIMEOUT_MS = 300000;
 /** Max wait per chunk; if no completion by then, show timeout (avoids infinite "Part 1 of N..."). */
@@ -19,6 +21,7 @@ const MAX_RETRY_DEPTH = 2;
 export class OpenAIAgentsProvider extends Provider {
     static id = 'openai-agents';
     static label = 'OpenAI-compatible (Agents SDK)';
+    static supportsStructuredOutput = true;
 
     static async checkAvailability() {
         // Always available if the package is bundled.
@@ -33,10 +36,13 @@ export class OpenAIAgentsProvider extends Provider {
      *   model?: string,
      *   contextLength?: number,
      *   tools?: import('@openai/agents').Tool[],
+     *   structured?: boolean,
      * }} settings
      */
     constructor(settings = {}) {
         super(settings);
+        /** @type {number|null} Resolved context length (tokens), cached per instance */
+        this._contextLength = null;
     }
 
     /**
@@ -134,21 +140,100 @@ export class OpenAIAgentsProvider extends Provider {
         }
     }
 
-    async call({ text, prompt, onStatus, onUpdate, signal }) {
-        if (onStatus) onStatus('Connecting to LLM...', null);
+    /**
+     * Map-reduce pass for articles that span several chunks.
+     * Map and reduce run through the shared stages (map-reduce.js, not streamed);
+     * the merged notes are synthesized into a single streamed two-section report.
+     * @param {string[]} chunks - Article chunks
+     * @param {object} opts
+     * @returns {Promise<string>} Final synthesized text
+     */
+    async _mapReduce(chunks, { model, tools, structured, synthesisPrompt, maxChunkChars, article, runner, onStatus, onUpdate, signal }) {
+        const combined = await collectNotes(chunks, {
+            maxChunkChars,
+            run: (system, input) => {
+                const passAgent = new Agent({
+                    name: 'Extractor',
+                    instructions: system,
+                    ...(model && { model }),
+                });
+                return this._processChunkWithRetry(input, maxChunkChars, runner, passAgent, null, signal);
+            },
+            onStatus,
+            signal,
+        });
 
+        if (signal?.aborted) throw new DOMException("Cancelled", "AbortError");
+        if (onStatus) onStatus('Writing final report...', null);
+
+        const synthAgent = new Agent({
+            name: 'Sanitizer',
+            instructions: synthesisPrompt,
+            ...(model && { model }),
+            ...(tools.length && { tools }),
+            ...(structured && { outputType: AnalysisSchema }),
+        });
+        return this._streamChunk(withArticleMetadata(combined, article), runner, synthAgent, onUpdate, signal);
+    }
+
+    /**
+     * Create an API client; requests are aborted together with the signal.
+     * @param {AbortSignal} [signal]
+     * @returns {OpenAI}
+     */
+    _createClient(signal) {
         const fetchOpts = signal
             ? (input, init) => fetch(input, { ...init, signal: init?.signal ?? signal })
             : undefined;
 
-        const client = new OpenAI({
+        return new OpenAI({
             baseURL: this.settings.baseUrl || 'http://localhost:11434/v1',
             apiKey: this.settings.apiKey || 'sk-no-key-required',
             dangerouslyAllowBrowser: true,
             timeout: REQUEST_TIMEOUT_MS,
             ...(fetchOpts && { fetch: fetchOpts }),
         });
+    }
+
+    /**
+     * Resolve the context length once per instance.
+     * Priority chain: user setting > API auto-detection > default (4096)
+     * @param {OpenAI} client - OpenAI client instance
+     * @param {string} model - Model name
+     * @returns {Promise<number>} Context length in tokens
+     */
+    async _resolveContextLength(client, model) {
+        if (this._contextLength) return this._contextLength;
+        let ctx;
+        if (this.settings.contextLength) {
+            ctx = this.settings.contextLength;
+        } else {
+            const detected = await this._detectContextLength(client, model);
+            ctx = detected || 4096;
+            if (detected) {
+                console.log(`Auto-detected context length: ${detected} tokens`);
+            }
+        }
+        this._contextLength = Math.max(512, ctx);
+        return this._contextLength;
+    }
+
+    /**
+     * Input that fits in one request next to the given instructions, in tokens of the model's counter.
+     * @param {string} prompt - Instructions that will accompany the text
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<import('./budget.js').InputBudget>}
+     */
+    async getInputBudget(prompt, { signal } = {}) {
+        const client = this._createClient(signal);
+        const ctx = await this._resolveContextLength(client, this.settings.model);
+        return inputBudgetFor(ctx, prompt, tokenCounterFor(this.settings.model), { signal });
+    }
 
+    async call({ text, article, prompt, onStatus, onUpdate, onToolCall, signal }) {
+        if (onStatus) onStatus('Connecting to LLM...', null);
+
+        const client = this._createClient(signal);
         const model = this.settings.model;
 
         const runner = new Runner({
@@ -157,36 +242,38 @@ export class OpenAIAgentsProvider extends Provider {
             },
         });
 
+        if (onStatus) {
+            runner.on('agent_tool_start', (_context, _agent, tool, { toolCall }) => {
+                onStatus(toolStatus(tool.name, parseToolArguments(toolCall?.arguments)), null);
+            });
+        }
+        if (onToolCall) {
+            // The runner reports every tool call of the run, whichever agent made it
+            runner.on('agent_tool_end', (_context, _agent, tool, output, { toolCall }) => {
+                onToolCall({ name: tool.name, input: parseToolArguments(toolCall?.arguments), output });
+            });
+        }
+
         const tools = this.settings.tools || [];
+        const structured = !!this.settings.structured;
 
         const agent = new Agent({
             name: 'Sanitizer',
             instructions: prompt,
             ...(model && { model }),
             ...(tools.length && { tools }),
+            ...(structured && { outputType: AnalysisSchema }),
         });
 
-        // Priority chain: user setting > API auto-detection > default (4096)
-        let ctx;
-        if (this.settings.contextLength) {
-            ctx = this.settings.contextLength;
-        } else {
-            const detected = await this._detectContextLength(client, model);
-            ctx = detected || 4096;
-            if (detected) {
-                console.log(`Auto-detected context length: ${detected} tokens`);
-            }
-        }
-        ctx = Math.max(512, ctx);
+        const ctx = await this._resolveContextLength(client, model);
 
-        const promptTokensEst = Math.ceil((prompt?.length ?? 0) / CHARS_PER_TOKEN);
-        const reserveTokens = Math.min(
-            ctx - MIN_CONTENT_TOKENS,
-            promptTokensEst + RESPONSE_BUFFER_TOKENS,
-        );
-        const maxChunkTokens = Math.max(MIN_CONTENT_TOKENS, ctx - reserveTokens);
-        const maxChunkChars = maxChunkTokens * CHARS_PER_TOKEN;
-        const chunks = splitText(text, maxChunkChars);
+        const synthesisPrompt = `${prompt}\n\n${SYNTHESIS_INSTRUCTION}`;
+        const { chunks, maxChunkChars } = await chunkForContext(text, prompt, {
+            ctx,
+            counter: tokenCounterFor(model),
+            article,
+            signal,
+        });
 
         if (onStatus) {
             onStatus(chunks.length > 1 ? `Processing ${chunks.length} parts...` : 'Processing article...', null);
@@ -194,28 +281,39 @@ export class OpenAIAgentsProvider extends Provider {
 
         let fullText = '';
 
+        const mapReduceOpts = {
+            model,
+            tools,
+            structured,
+            synthesisPrompt,
+            maxChunkChars,
+            article,
+            runner,
+            onStatus,
+            onUpdate,
+            signal,
+        };
+
         try {
-            for (let i = 0; i < chunks.length; i++) {
-                if (signal?.aborted) throw new DOMException("Cancelled", "AbortError");
-                if (chunks.length > 1 && onStatus) {
-                    onStatus(`Part ${i + 1} of ${chunks.length}...`, i / chunks.length);
+            if (chunks.length === 1) {
+                // A report cannot be stitched together from halves —
+                // on overflow, re-split and go through map-reduce instead.
+                try {
+                    fullText = await this._streamChunk(withArticleMetadata(chunks[0], article), runner, agent, onUpdate, signal);
+                } catch (err) {
+                    if (!isContextError(err)) throw err;
+                    console.log('Context overflow detected, falling back to map-reduce...');
+                    const halves = splitText(chunks[0], Math.floor(maxChunkChars / 2));
+                    fullText = await this._mapReduce(halves, mapReduceOpts);
                 }
-
-                const chunkText = await this._processChunkWithRetry(
-                    chunks[i],
-                    maxChunkChars,
-                    runner,
-                    agent,
-                    onUpdate,
-                    signal
-                );
-                fullText += chunkText;
+            } else {
+                fullText = await this._mapReduce(chunks, mapReduceOpts);
             }
         } catch (err) {
             if (err?.name === 'AbortError') throw err;
-            const msg = formatErrorMessage(err);
-            if (onStatus) onStatus(`Error: ${msg}`, null);
-            throw new Error(msg);
+            const error = toProviderError(err);
+            if (onStatus) onStatus(`Error: ${error.message}`, null);
+            throw error;
         }
 
         return { content: fullText };
@@ -238,6 +336,18 @@ function withTimeout(ms, promise, timeoutMessage) {
     ]);
 }
 
+/**
+ * @param {string} [args] - JSON arguments of a function call
+ * @returns {Record<string, unknown>}
+ */
+function parseToolArguments(args) {
+    try {
+        return JSON.parse(args || '{}');
+    } catch {
+        return {};
+    }
+}
+
 /**
  * Check if an error is a context length overflow error.
  * @param {unknown} err - Error to check
@@ -250,21 +360,36 @@ function isContextError(err) {
 
 /**
  * @param {unknown} err
- * @returns {string}
+ * @returns {ProviderError}
  */
-function formatErrorMessage(err) {
+function toProviderError(err) {
     if (err?.name === 'AbortError') {
-        return 'Cancelled (tab closed or reloaded).';
+        return new ProviderError('Cancelled (tab closed or reloaded).');
     }
     const m = err?.message ?? String(err);
     if (/timeout|timed out|ETIMEDOUT|abort/i.test(m)) {
-        return 'Request timed out. Try increasing timeout or reducing context length.';
+        return new ProviderError(
+            'Request timed out. Try increasing timeout or reducing context length.',
+            ERROR_CATEGORY.TIMEOUT,
+        );
+    }
+    if (err?.status === 401 || err?.status === 403 || /incorrect api key|invalid api key|unauthorized/i.test(m)) {
+        return new ProviderError('Authentication failed. Check the API key in settings.', ERROR_CATEGORY.AUTH);
+    }
+    if (err?.status === 429 || /rate limit|quota/i.test(m)) {
+        return new ProviderError('Rate limit or quota exceeded. Wait a moment and try again.', ERROR_CATEGORY.RATE_LIMIT);
     }
     if (isContextError(err)) {
-        return 'Context size exceeded. Reduce "Context length" in settings or shorten the prompt.';
+        return new ProviderError(
+            'Context size exceeded. Reduce "Context length" in settings or shorten the prompt.',
+            ERROR_CATEGORY.CONTEXT,
+        );
     }
     if (/fetch|network|failed to fetch|Connection|ECONNREFUSED|ECONNRESET/i.test(m)) {
-        return 'Network error. Check API URL and that the server is running.';
+        return new ProviderError('Network error. Check API URL and that the server is running.', ERROR_CATEGORY.NETWORK);
+    }
+    if (err?.status === 503) {
+        return new ProviderError(`Service unavailable: ${m}`, ERROR_CATEGORY.AVAILABILITY);
     }
-    return m;
+    return new ProviderError(m);
 }
@@ -5,16 +5,62 @@
  *  - static id       — unique string key (e.g. 'chrome-rewriter')
  *  - static label    — human-readable name shown in settings
  *  - static checkAvailability() → { available, reason? }
- *  - call({ text, prompt, onStatus?, onUpdate?, signal? }) → { content }
+ *  - static supportsStructuredOutput — whether settings.structured is honoured
+ *  - call({ text, article?, prompt, onStatus?, onUpdate?, onToolCall?, signal? }) → { content }
+ *      article: { title?, byline?, metadata? } of the text: title and byline for
+ *      the context header of split articles (see budget.js chunkForContext),
+ *      metadata sent before the input of the final pass (withArticleMetadata)
  *  - destroy()
  *
+ * Optionally:
+ *  - getInputBudget(prompt, { signal? }) → { maxTokens, counter }|null
+ *      Budget for callers that batch their own input (e.g. headline scoring),
+ *      with the token counter to measure that input (see budget.js inputBudgetFor).
+ *
  * Callbacks passed to call():
  *  - onStatus(text: string, progress: number|null)
  *      Status message (e.g. "Downloading model…").
  *      progress is 0–1 for determinate, null for indeterminate.
  *  - onUpdate(delta: string)
  *      Incremental chunk of output text (streaming).
+ *  - onToolCall({ name: string, input: object, output: string })
+ *      A tool from settings.tools (e.g. web_search) ran; output is what the model saw.
+ *
+ * call() rejects with a ProviderError so the failover layer
+ * (providers/failover.js) can tell which failures another provider may fix.
  */
+
+/** Categories of ProviderError. */
+export const ERROR_CATEGORY = Object.freeze({
+    /** Server unreachable */
+    NETWORK: 'network',
+    /** Missing, invalid or unauthorized credentials */
+    AUTH: 'auth',
+    /** Provider or model not usable right now (overloaded, not supported on this device) */
+    AVAILABILITY: 'availability',
+    /** Rate limit or quota exceeded */
+    RATE_LIMIT: 'rate_limit',
+    /** Input does not fit the context window */
+    CONTEXT: 'context',
+    TIMEOUT: 'timeout',
+    OTHER: 'other',
+});
+
+/**
+ * Error thrown by call(): a user-facing message plus one of ERROR_CATEGORY.
+ */
+export class ProviderError extends Error {
+    /**
+     * @param {string} message — user-facing message
+     * @param {string} [category] — one of ERROR_CATEGORY
+     */
+    constructor(message, category = ERROR_CATEGORY.OTHER) {
+        super(message);
+        this.name = 'ProviderError';
+        this.category = category;
+    }
+}
+
 export class Provider {
     /** @type {string} Unique provider key */
     static id = '';
@@ -22,6 +68,13 @@ export class Provider {
     /** @type {string} Display name */
     static label = '';
 
+    /**
+     * Whether the provider can emit the JSON analysis report
+     * (see providers/analysis-schema.js) when settings.structured is set.
+     * @type {boolean}
+     */
+    static supportsStructuredOutput = false;
+
     /**
      * Check whether this provider can be used in the current environment.
      * @returns {Promise<{ available: boolean, reason?: string }>}
@@ -44,16 +97,30 @@ export class Provider {
      * Send text to the LLM and stream back the result.
      * @param {object}   params
      * @param {string}   params.text     — source text to process
+     * @param {{ title?: string, byline?: string, metadata?: string }} [params.article] — where the text comes from
      * @param {string}   params.prompt   — system instructions / context
      * @param {function} [params.onStatus] — status callback
      * @param {function} [params.onUpdate] — streaming delta callback
+     * @param {function} [params.onToolCall] — called after each tool call
      * @param {AbortSignal} [params.signal] — abort when tab is closed/reloaded
      * @returns {Promise<{ content: string }>}
      */
-    async call({ text, prompt, onStatus, onUpdate, signal }) {
+    async call({ text, article, prompt, onStatus, onUpdate, onToolCall, signal }) {
         throw new Error('call() must be implemented by subclass');
     }
 
+    /**
+     * Largest input (in tokens of the returned counter) that call() sends in a
+     * single request next to the given instructions, or null if the provider
+     * has no known limit.
+     * @param {string} prompt — instructions that will accompany the text
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<import('./budget.js').InputBudget|null>}
+     */
+    async getInputBudget(prompt, options) {
+        return null;
+    }
+
     /** Release any resources held by this provider instance. */
     destroy() {}
 }
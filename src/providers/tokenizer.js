@@ -0,0 +1,110 @@
+import { splitText } from '../shared/split-text.js';
+import { estimateTokens } from '../shared/tokens.js';
+
+/**
+ * Pluggable token counting for chunk sizing.
+ *
+ * - OpenAI-family models: the bundled o200k_base BPE (exact for GPT-4o and
+ *   later, close for older GPT-4 / GPT-3.5 and gpt-oss). Its 2.5 MB rank
+ *   table is registered by the service worker only (background/bpe.js), so
+ *   pages that import providers (options) do not bundle it.
+ * - Chrome built-in AI: the session's own measureInputUsage()
+ * - Everything else: the script-aware estimate from shared/tokens.js
+ */
+
+/**
+ * @typedef {object} TokenCounter
+ * @property {string} id - For logs, e.g. "o200k_base"
+ * @property {(text: string, options?: { signal?: AbortSignal }) => Promise<number>} count
+ */
+
+/** Chunks are cut slightly below the budget, then re-measured. */
+const SPLIT_SAFETY = 0.9;
+
+/** Model names tokenized with o200k_base / cl100k_base. */
+const OPENAI_MODEL = /^(?:.*\/)?(?:gpt-|chatgpt-|o\d|ft:gpt-)/i;
+
+/** @type {(() => { countTokens: (text: string) => number }) | null} Creates the o200k_base encoder */
+let loadBpe = null;
+/** @type {{ countTokens: (text: string) => number } | null} */
+let bpe = null;
+
+/**
+ * Make the o200k_base encoder available; it is created on first use.
+ * @param {() => { countTokens: (text: string) => number }} load
+ */
+export function registerBpeEncoder(load) {
+    loadBpe = load;
+    bpe = null;
+}
+
+/** @type {TokenCounter} */
+export const bpeCounter = {
+    id: 'o200k_base',
+    count: async (text) => {
+        bpe ??= loadBpe();
+        return bpe.countTokens(text);
+    },
+};
+
+/** @type {TokenCounter} */
+export const estimateCounter = {
+    id: 'estimate',
+    count: async (text) => estimateTokens(text),
+};
+
+/**
+ * Counter backed by a Chrome built-in AI session (LanguageModel, Summarizer).
+ * @param {{ measureInputUsage: (text: string, options?: object) => Promise<number> }} session
+ * @returns {TokenCounter}
+ */
+export function chromeCounter(session) {
+    return {
+        id: 'measureInputUsage',
+        count: (text, { signal } = {}) => session.measureInputUsage(text, { signal }),
+    };
+}
+
+/**
+ * Counter for a model served over an API. Falls back to the estimate where
+ * no encoder was registered.
+ * @param {string} [model] - Model name, e.g. "gpt-4o-mini" or "openai/gpt-oss-20b"
+ * @returns {TokenCounter}
+ */
+export function tokenCounterFor(model) {
+    return model && OPENAI_MODEL.test(model) && loadBpe ? bpeCounter : estimateCounter;
+}
+
+/**
+ * Split text into chunks of at most maxTokens, as measured by the counter.
+ *
+ * The text is cut at natural boundaries (splitText) using its own
+ * characters-per-token ratio, then every chunk is measured and split again
+ * if it still exceeds the budget.
+ *
+ * @param {string} text
+ * @param {number} maxTokens - Budget per chunk, overlap included
+ * @param {TokenCounter} counter
+ * @param {{ overlapTokens?: number, signal?: AbortSignal }} [options]
+ *   overlapTokens: repeated from the end of the previous chunk (see splitText)
+ * @returns {Promise<{ chunks: string[], charsPerToken: number }>}
+ *   charsPerToken: measured ratio of the text, to convert other token budgets of
+ *   the run (e.g. for notes in the same language) to characters
+ */
+export async function splitByTokens(text, maxTokens, counter, { overlapTokens = 0, signal } = {}) {
+    const total = await counter.count(text, { signal });
+    const charsPerToken = total ? text.length / total : 1;
+    if (total <= maxTokens) return { chunks: [text], charsPerToken };
+
+    const overlap = Math.floor(overlapTokens * charsPerToken);
+    const chunks = [];
+    for (const chunk of splitText(text, Math.floor(maxTokens * charsPerToken * SPLIT_SAFETY), { overlap })) {
+        const tokens = await counter.count(chunk, { signal });
+        if (tokens <= maxTokens) {
+            chunks.push(chunk);
+        } else {
+            chunks.push(...splitText(chunk, Math.floor(chunk.length * (maxTokens / tokens) * SPLIT_SAFETY)));
+        }
+    }
+    return { chunks, charsPerToken };
+}
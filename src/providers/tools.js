@@ -0,0 +1,40 @@
+import { RunContext } from '@openai/agents';
+
+/**
+ * Running @openai/agents function tools (e.g. web_search) outside the Agents SDK,
+ * for providers that implement the tool-call loop themselves.
+ */
+
+/**
+ * Execute a tool call; failures are returned to the model as text.
+ * @param {import('@openai/agents').FunctionTool|undefined} tool - Tool the model asked for
+ * @param {string} name - Tool name from the model's call
+ * @param {Record<string, unknown>} [input] - Parsed arguments
+ * @returns {Promise<string>}
+ */
+export async function invokeTool(tool, name, input) {
+    if (!tool) return `Unknown tool: ${name}`;
+    try {
+        const result = await tool.invoke(new RunContext(), JSON.stringify(input ?? {}));
+        return typeof result === 'string' ? result : JSON.stringify(result);
+    } catch (err) {
+        return `Tool failed: ${err?.message ?? String(err)}`;
+    }
+}
+
+/**
+ * Status line shown while a tool runs, e.g. "Searching: …" or "Reading: …".
+ * @param {string} name - Tool name from the model's call
+ * @param {Record<string, unknown>} [input] - Parsed arguments
+ * @returns {string}
+ */
+export function toolStatus(name, input) {
+    switch (name) {
+        case 'web_search':
+            return `Searching: ${input?.query ?? ''}`;
+        case 'fetch_page':
+            return `Reading: ${input?.url ?? ''}`;
+        default:
+            return `Running ${name}...`;
+    }
+}
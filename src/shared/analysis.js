@@ -0,0 +1,57 @@
+import { parsePartialJson } from './partial-json.js';
+
+/**
+ * Vocabulary of the structured analysis report.
+ * Shared by the provider schema (background) and the report renderer (content).
+ */
+
+/**
+ * Manipulation techniques the model may report.
+ * `pattern` finds mentions of the technique in free-form (text mode) output.
+ */
+export const TECHNIQUES = [
+    { id: 'clickbait', label: 'Clickbait', color: '#ff9800', pattern: /click[-\s]?bait/i },
+    { id: 'emotional_pressure', label: 'Emotional pressure', color: '#e91e63', pattern: /emotional (pressure|appeal|manipulation)/i },
+    { id: 'fear_mongering', label: 'Fear-mongering', color: '#f44336', pattern: /fear[-\s]?mongering/i },
+    { id: 'false_urgency', label: 'False urgency', color: '#ff5722', pattern: /(false|artificial) urgency/i },
+    { id: 'leading_question', label: 'Leading question', color: '#9c27b0', pattern: /leading question/i },
+    { id: 'loaded_framing', label: 'Loaded framing', color: '#3f51b5', pattern: /loaded (framing|language)/i },
+    { id: 'unsubstantiated_claim', label: 'Unsubstantiated claim', color: '#795548', pattern: /unsubstantiated|unsupported claim/i },
+    { id: 'other', label: 'Other', color: '#607d8b', pattern: null },
+];
+
+/** Fact-check verdicts, matching the tags in FACT_CHECK_INSTRUCTION. */
+export const VERDICTS = [
+    { id: 'verified', label: 'Verified' },
+    { id: 'unverified', label: 'Unverified' },
+    { id: 'misleading', label: 'Misleading' },
+    { id: 'false', label: 'False' },
+    { id: 'not_checked', label: 'Not checked' },
+];
+
+/**
+ * Look up a technique by id, falling back to 'other'.
+ * @param {string} id
+ * @returns {{ id: string, label: string, color: string }}
+ */
+export function getTechnique(id) {
+    return TECHNIQUES.find((t) => t.id === id) || TECHNIQUES[TECHNIQUES.length - 1];
+}
+
+/**
+ * Technique ids mentioned in a finished analysis.
+ * Structured reports are read directly; text output is scanned for technique names.
+ * @param {string} output - Final model output
+ * @param {boolean} structured - Whether the output is a JSON report
+ * @returns {string[]}
+ */
+export function detectTechniques(output, structured) {
+    if (structured) {
+        const report = parsePartialJson(output);
+        const techniques = Array.isArray(report?.techniques) ? report.techniques : [];
+        return [...new Set(techniques.map((t) => t?.type).filter(Boolean))];
+    }
+    return TECHNIQUES
+        .filter((t) => t.pattern?.test(output))
+        .map((t) => t.id);
+}
@@ -1,9 +0,0 @@
-/**
- * Shared constants used across providers and utilities.
- */
-
-/**
- * Approximate characters per token (conservative estimate).
- * Used for estimating token counts from text length.
- */
-export const CHARS_PER_TOKEN = 3;
@@ -0,0 +1,38 @@
+/**
+ * Domain list helpers (allow lists entered on the options page).
+ */
+
+/**
+ * Normalize a user-entered domain: strip scheme, path, port and "www.".
+ * @param {string} input - e.g. "https://www.example.com/news"
+ * @returns {string} e.g. "example.com", or '' if nothing usable
+ */
+export function normalizeDomain(input) {
+    return input
+        .trim()
+        .toLowerCase()
+        .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+        .replace(/[/:?#].*$/, '')
+        .replace(/^www\./, '')
+        .replace(/\.$/, '');
+}
+
+/**
+ * Parse a textarea (one domain per line, commas also accepted) into a de-duplicated list.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseDomainList(text) {
+    return [...new Set(text.split(/[\n,]+/).map(normalizeDomain).filter(Boolean))];
+}
+
+/**
+ * Whether a hostname is one of the domains or a subdomain of one.
+ * @param {string} hostname - e.g. "edition.cnn.com"
+ * @param {string[]} domains - e.g. ["cnn.com"]
+ * @returns {boolean}
+ */
+export function matchesDomainList(hostname, domains) {
+    const host = normalizeDomain(hostname);
+    return domains.some((d) => host === d || host.endsWith(`.${d}`));
+}
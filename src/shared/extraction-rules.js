@@ -0,0 +1,156 @@
+import { matchesDomainList, normalizeDomain } from './domains.js';
+
+/**
+ * Site-specific extraction rules, applied to the page before Readability runs.
+ *
+ * A rule names a domain (subdomains included) and two CSS selector lists:
+ * `include` narrows the page to the article body, `exclude` removes boxes
+ * inside it (related articles, newsletter sign-ups, comment threads).
+ * GENERIC_EXCLUDE is removed on every page. User rules from the options page
+ * replace the bundled rule of the same domain.
+ */
+
+/** Storage key of the user's rules ({ domain, include, exclude }[]). */
+export const EXTRACTION_RULES_KEY = 'extractionRules';
+
+/** Storage key of the "preview extracted text before sending" switch. */
+export const EXTRACTION_PREVIEW_KEY = 'extractionPreview';
+
+/**
+ * @typedef {object} ExtractionRule
+ * @property {string} domain - Normalized domain, e.g. "nytimes.com"
+ * @property {string} [include] - Selector list of the article body; the page is narrowed to it when it matches
+ * @property {string} [exclude] - Selector list of elements to remove
+ * @property {'user'|'bundled'} [source] - Set by findExtractionRule
+ */
+
+/** Removed on every page: comment threads, sign-up and paywall prompts, share bars, related links. */
+export const GENERIC_EXCLUDE = [
+    '#comments', '.comments', '.comment-list', '#disqus_thread', '[data-component="comments"]',
+    '.newsletter', '.newsletter-signup', '[class*="newsletter-signup" i]', '[class*="newsletter-promo" i]',
+    '.tp-modal', '.tp-backdrop', '[id^="piano-"]', '[class*="paywall-prompt" i]', '[class*="paywall-banner" i]',
+    '.share-bar', '.social-share', '[class*="share-buttons" i]',
+    '.related-articles', '.related-posts', '.read-more-links', '[class*="related-stories" i]',
+].join(', ');
+
+/**
+ * Rules for major outlets. Best effort: an `include` that matches nothing
+ * leaves the page as it is, so a site redesign degrades to plain Readability.
+ * @type {ExtractionRule[]}
+ */
+export const BUNDLED_EXTRACTION_RULES = [
+    {
+        domain: 'nytimes.com',
+        include: 'section[name="articleBody"]',
+        exclude: '[data-testid="inline-message"], [id^="story-ad-"], [data-testid="related-links"]',
+    },
+    {
+        domain: 'theguardian.com',
+        include: '[data-gu-name="body"]',
+        exclude: '[data-component="rich-link"], [data-component="newsletter-signup"], [data-gu-name="onwards"]',
+    },
+    {
+        domain: 'washingtonpost.com',
+        include: '.article-body',
+        exclude: '[data-qa="article-body-ad"], [data-qa="subscribe-promo"], [data-qa="related-links"]',
+    },
+    {
+        domain: 'bbc.com',
+        include: 'article',
+        exclude: '[data-component="links-block"], [data-component="tags"], [data-component="related-internet-links"]',
+    },
+    {
+        domain: 'bbc.co.uk',
+        include: 'article',
+        exclude: '[data-component="links-block"], [data-component="tags"], [data-component="related-internet-links"]',
+    },
+    {
+        domain: 'cnn.com',
+        include: '.article__content',
+        exclude: '.related-content, [data-component-name="ad-slot"], .ad-feedback-link-container',
+    },
+    {
+        domain: 'reuters.com',
+        include: '[class*="article-body__content"]',
+        exclude: '[data-testid*="ReadNext"], [class*="related-coverage"]',
+    },
+    {
+        domain: 'apnews.com',
+        include: '.RichTextStoryBody',
+        exclude: '.Enhancement, .Advertisement',
+    },
+    {
+        domain: 'substack.com',
+        include: '.available-content',
+        exclude: '.subscription-widget-wrap, .subscribe-widget, .comments-section',
+    },
+];
+
+/**
+ * The rule for a page: the user's rule for its domain, else the bundled one.
+ * The most specific domain wins (news.example.com over example.com).
+ *
+ * @param {string} hostname - e.g. "www.nytimes.com"
+ * @param {ExtractionRule[]} [userRules]
+ * @returns {ExtractionRule|null}
+ */
+export function findExtractionRule(hostname, userRules = []) {
+    for (const [rules, source] of [[userRules, 'user'], [BUNDLED_EXTRACTION_RULES, 'bundled']]) {
+        const match = rules
+            .filter((rule) => matchesDomainList(hostname, [rule.domain]))
+            .sort((a, b) => b.domain.length - a.domain.length)[0];
+        if (match) return { ...match, source };
+    }
+    return null;
+}
+
+/**
+ * Parse the options textarea. One rule per line:
+ *
+ *     example.com exclude .related, .newsletter-box
+ *     example.com include article .story-body
+ *
+ * Lines for the same domain are merged; "#" starts a comment line.
+ *
+ * @param {string} text
+ * @param {(selector: string) => boolean} isValidSelector - e.g. a querySelector() probe
+ * @returns {{ rules: ExtractionRule[], invalid: number[] }} invalid: 1-based numbers of skipped lines
+ */
+export function parseExtractionRules(text, isValidSelector) {
+    /** @type {Map<string, ExtractionRule>} */
+    const byDomain = new Map();
+    const invalid = [];
+
+    text.split('\n').forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) return;
+        const m = line.match(/^(\S+)\s+(include|exclude)\s+(.+)$/i);
+        const domain = m && normalizeDomain(m[1]);
+        const selector = m?.[3].trim();
+        if (!domain || !isValidSelector(selector)) {
+            invalid.push(i + 1);
+            return;
+        }
+        const kind = m[2].toLowerCase();
+        const rule = byDomain.get(domain) ?? { domain };
+        rule[kind] = rule[kind] ? `${rule[kind]}, ${selector}` : selector;
+        byDomain.set(domain, rule);
+    });
+
+    return { rules: [...byDomain.values()], invalid };
+}
+
+/**
+ * Rules back to the textarea format of parseExtractionRules.
+ * @param {ExtractionRule[]} rules
+ * @returns {string}
+ */
+export function formatExtractionRules(rules) {
+    return rules
+        .flatMap(({ domain, include, exclude }) => [
+            include && `${domain} include ${include}`,
+            exclude && `${domain} exclude ${exclude}`,
+        ])
+        .filter(Boolean)
+        .join('\n');
+}
@@ -0,0 +1,17 @@
+/**
+ * Hashing helpers (Web Crypto, available in the service worker and extension pages).
+ */
+
+/**
+ * SHA-256 of a string, as lowercase hex.
+ *
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(text) {
+    const bytes = new TextEncoder().encode(text);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)]
+        .map((b) => b.toString(16).padStart(2, '0'))
+        .join('');
+}
@@ -4,9 +4,36 @@
 export const MSG = {
     PING: 'PING',
     GET_CONTENT: 'GET_CONTENT',
+    GET_SELECTION: 'GET_SELECTION',
     SHOW_MODAL: 'SHOW_MODAL',
     SET_STATUS: 'SET_STATUS',
+    SET_PROVIDER: 'SET_PROVIDER',
     UPDATE_CONTENT: 'UPDATE_CONTENT',
+    ADD_SOURCE: 'ADD_SOURCE',
+    RESET_MODAL: 'RESET_MODAL',
+    CHECK_ARTICLE: 'CHECK_ARTICLE',
+    SHOW_BANNER: 'SHOW_BANNER',
+    ANALYSIS_DONE: 'ANALYSIS_DONE',
+    SHOW_PREVIEW: 'SHOW_PREVIEW',
+    // Headline scoring (index pages)
+    GET_HEADLINES: 'GET_HEADLINES',
+    SHOW_HEADLINE_STATUS: 'SHOW_HEADLINE_STATUS',
+    SHOW_HEADLINE_SCORES: 'SHOW_HEADLINE_SCORES',
+    // Side-by-side comparison (SET_STATUS / UPDATE_CONTENT carry a column index)
+    SHOW_COMPARISON: 'SHOW_COMPARISON',
+    COMPARISON_DONE: 'COMPARISON_DONE',
+    // Modal → background
+    RERUN: 'RERUN',
+    REGENERATE: 'REGENERATE',
+    COMPARE: 'COMPARE',
+    SANITIZE_SELECTION: 'SANITIZE_SELECTION',
+    // History (side panel / options → background)
+    HISTORY_LIST: 'HISTORY_LIST',
+    HISTORY_DELETE: 'HISTORY_DELETE',
+    HISTORY_CLEAR: 'HISTORY_CLEAR',
+    HISTORY_OPEN: 'HISTORY_OPEN',
+    // Background → offscreen document (fetch_page)
+    EXTRACT_PAGE: 'EXTRACT_PAGE',
 };
 
 /**
@@ -18,3 +45,18 @@ export const KEEPALIVE_PORT = 'sanitize-keepalive';
  * ID for the modal root element in the DOM.
  */
 export const MODAL_ROOT_ID = 'llm-sanitizer-modal-root';
+
+/**
+ * ID for the in-page highlight UI (tooltip and "clear" pill) in the DOM.
+ */
+export const HIGHLIGHT_UI_ID = 'llm-sanitizer-highlight-ui';
+
+/**
+ * ID for the auto-sanitize banner root element in the DOM.
+ */
+export const BANNER_ROOT_ID = 'llm-sanitizer-banner-root';
+
+/**
+ * ID for the headline scoring status pill in the DOM.
+ */
+export const HEADLINE_UI_ID = 'llm-sanitizer-headline-ui';
@@ -0,0 +1,33 @@
+import { raceReadWithSignal } from './abort-utils.js';
+
+/**
+ * Reader for newline-delimited JSON streams (e.g. Ollama's streaming API).
+ *
+ * @param {Response} response - Streaming fetch response
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {AsyncGenerator<any>} One parsed object per non-empty line
+ */
+export async function* readNdjson(response, signal) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { done, value } = await raceReadWithSignal(reader, signal);
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newline).trim();
+                buffer = buffer.slice(newline + 1);
+                if (line) yield JSON.parse(line);
+            }
+        }
+        if (buffer.trim()) yield JSON.parse(buffer);
+    } catch (e) {
+        reader.cancel().catch(() => {});
+        throw e;
+    }
+}
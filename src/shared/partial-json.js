@@ -0,0 +1,138 @@
+/**
+ * Tolerant JSON parser for streamed model output.
+ *
+ * Parses a JSON document that may be cut off at any point and returns
+ * everything that is complete so far: unterminated strings are kept as-is,
+ * unterminated arrays/objects are closed, and keys without a value are dropped.
+ * Leading text before the first '{' or '[' (e.g. a ```json fence) is skipped.
+ */
+
+/**
+ * @param {string} text - Possibly incomplete JSON text
+ * @returns {unknown} Parsed value, or undefined if nothing usable yet
+ */
+export function parsePartialJson(text) {
+    const start = text.search(/[{[]/);
+    if (start === -1) return undefined;
+    const state = { text, pos: start };
+    try {
+        return _parseValue(state);
+    } catch {
+        return undefined;
+    }
+}
+
+const INCOMPLETE = Symbol('incomplete');
+
+function _skipWs(state) {
+    while (state.pos < state.text.length && /\s/.test(state.text[state.pos])) state.pos++;
+}
+
+function _eof(state) {
+    return state.pos >= state.text.length;
+}
+
+function _parseValue(state) {
+    _skipWs(state);
+    if (_eof(state)) return INCOMPLETE;
+
+    const ch = state.text[state.pos];
+    if (ch === '{') return _parseObject(state);
+    if (ch === '[') return _parseArray(state);
+    if (ch === '"') return _parseString(state).value;
+    if (ch === '-' || (ch >= '0' && ch <= '9')) return _parseNumber(state);
+    return _parseLiteral(state);
+}
+
+function _parseObject(state) {
+    state.pos++; // {
+    const obj = {};
+    while (true) {
+        _skipWs(state);
+        if (_eof(state)) return obj;
+        const ch = state.text[state.pos];
+        if (ch === '}') { state.pos++; return obj; }
+        if (ch === ',') { state.pos++; continue; }
+        if (ch !== '"') throw new SyntaxError(`Unexpected "${ch}" in object`);
+
+        const key = _parseString(state);
+        if (key.incomplete) return obj;
+        _skipWs(state);
+        if (_eof(state)) return obj;
+        if (state.text[state.pos] !== ':') throw new SyntaxError('Expected ":"');
+        state.pos++;
+
+        const value = _parseValue(state);
+        if (value === INCOMPLETE) return obj;
+        obj[key.value] = value;
+    }
+}
+
+function _parseArray(state) {
+    state.pos++; // [
+    const arr = [];
+    while (true) {
+        _skipWs(state);
+        if (_eof(state)) return arr;
+        const ch = state.text[state.pos];
+        if (ch === ']') { state.pos++; return arr; }
+        if (ch === ',') { state.pos++; continue; }
+
+        const value = _parseValue(state);
+        if (value === INCOMPLETE) return arr;
+        arr.push(value);
+    }
+}
+
+/** Strings are returned as { value, incomplete } so object keys can be checked. */
+function _parseString(state) {
+    state.pos++; // opening quote
+    let out = '';
+    while (!_eof(state)) {
+        const ch = state.text[state.pos++];
+        if (ch === '"') return { value: out, incomplete: false };
+        if (ch !== '\\') { out += ch; continue; }
+
+        if (_eof(state)) break;
+        const esc = state.text[state.pos++];
+        switch (esc) {
+            case 'n': out += '\n'; break;
+            case 't': out += '\t'; break;
+            case 'r': out += '\r'; break;
+            case 'b': out += '\b'; break;
+            case 'f': out += '\f'; break;
+            case 'u': {
+                const hex = state.text.slice(state.pos, state.pos + 4);
+                if (hex.length < 4) return { value: out, incomplete: true };
+                out += String.fromCharCode(parseInt(hex, 16));
+                state.pos += 4;
+                break;
+            }
+            default: out += esc;
+        }
+    }
+    return { value: out, incomplete: true };
+}
+
+function _parseNumber(state) {
+    const match = /^-?\d*\.?\d*(?:[eE][+-]?\d*)?/.exec(state.text.slice(state.pos));
+    state.pos += match[0].length;
+    // A number touching EOF may still be growing
+    if (_eof(state)) return INCOMPLETE;
+    const n = Number(match[0]);
+    if (Number.isNaN(n)) throw new SyntaxError(`Invalid number "${match[0]}"`);
+    return n;
+}
+
+function _parseLiteral(state) {
+    for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+        const rest = state.text.slice(state.pos, state.pos + word.length);
+        if (rest === word) { state.pos += word.length; return value; }
+        if (word.startsWith(rest) && state.pos + rest.length >= state.text.length) {
+            state.pos = state.text.length;
+            return INCOMPLETE;
+        }
+    }
+    throw new SyntaxError(`Unexpected "${state.text[state.pos]}"`);
+}
+
@@ -0,0 +1,95 @@
+/**
+ * Named provider profiles.
+ *
+ * A profile bundles the settings that change together when switching between
+ * models (provider, endpoint, key, model, context length, prompt, verbosity).
+ * Profiles are stored in chrome.storage.local as `profiles` plus
+ * `activeProfileId`; all other settings remain flat keys.
+ */
+
+/** Settings keys stored per profile rather than as flat keys. */
+export const PROFILE_KEYS = ['provider', 'baseUrl', 'apiKey', 'model', 'contextLength', 'prompt', 'verbosity'];
+
+export const DEFAULT_PROFILE_NAME = 'Default';
+
+/**
+ * @typedef {object} Profile
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [provider]
+ * @property {string} [baseUrl]
+ * @property {string} [apiKey]
+ * @property {string} [model]
+ * @property {number} [contextLength]
+ * @property {string} [prompt]
+ * @property {string} [verbosity]
+ */
+
+/**
+ * @param {string} name - Display name
+ * @param {Record<string, unknown>} [fields] - Initial values; only PROFILE_KEYS are taken
+ * @returns {Profile}
+ */
+export function createProfile(name, fields = {}) {
+    // Not crypto.randomUUID(): it is missing in content scripts on http pages
+    const profile = { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, name };
+    for (const key of PROFILE_KEYS) {
+        if (fields[key] !== undefined) profile[key] = fields[key];
+    }
+    return profile;
+}
+
+/**
+ * Profile list and active id, moving the pre-profile flat settings into a
+ * default profile the first time.
+ * @returns {Promise<{ profiles: Profile[], activeProfileId: string }>}
+ */
+export async function migrateProfiles() {
+    const stored = await chrome.storage.local.get(['profiles', 'activeProfileId', ...PROFILE_KEYS]);
+    if (stored.profiles?.length) {
+        return { profiles: stored.profiles, activeProfileId: stored.activeProfileId };
+    }
+
+    const profile = createProfile(DEFAULT_PROFILE_NAME, stored);
+    await chrome.storage.local.set({ profiles: [profile], activeProfileId: profile.id });
+    await chrome.storage.local.remove(PROFILE_KEYS);
+    return { profiles: [profile], activeProfileId: profile.id };
+}
+
+/**
+ * @param {Profile[]} profiles
+ * @param {string} [activeProfileId]
+ * @returns {Profile} The active profile, or the first one if the id is stale
+ */
+export function findActiveProfile(profiles, activeProfileId) {
+    return profiles.find((p) => p.id === activeProfileId) ?? profiles[0];
+}
+
+/**
+ * Read settings like chrome.storage.local.get(), taking PROFILE_KEYS from the active profile.
+ * @param {string[]} keys - Settings keys to read
+ * @param {string} [profileId] - Use this profile instead of the active one
+ * @returns {Promise<Record<string, unknown>>}
+ */
+export async function loadSettings(keys, profileId) {
+    const { profiles, activeProfileId } = await migrateProfiles();
+    const profile = findActiveProfile(profiles, profileId ?? activeProfileId);
+    const settings = await chrome.storage.local.get(keys.filter((key) => !PROFILE_KEYS.includes(key)));
+    for (const key of keys) {
+        if (PROFILE_KEYS.includes(key) && profile[key] !== undefined) settings[key] = profile[key];
+    }
+    return settings;
+}
+
+/**
+ * Change fields of the active profile.
+ * @param {Partial<Profile>} fields
+ * @returns {Promise<void>}
+ */
+export async function updateActiveProfile(fields) {
+    const { profiles, activeProfileId } = await migrateProfiles();
+    const active = findActiveProfile(profiles, activeProfileId);
+    await chrome.storage.local.set({
+        profiles: profiles.map((p) => (p === active ? { ...p, ...fields } : p)),
+    });
+}
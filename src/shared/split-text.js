@@ -4,13 +4,56 @@
  * Splits text into chunks that fit within maxChars,
  * breaking on natural boundaries (paragraphs → lines → sentences → words).
  * Falls back to a hard character split as a last resort.
+ *
+ * A heading (a short line without closing punctuation, or a markdown "#" line)
+ * is never left at the end of a chunk: it moves to the chunk with the text it
+ * introduces. With `overlap`, every chunk after the first starts with the end
+ * of the previous one, so a claim cut at the boundary is seen whole once.
  */
 
 const SEPARATORS = ['\n\n', '\n', '. ', ' '];
 
-export function splitText(text, maxChars) {
+/** Separators between blocks (paragraphs, lines), where headings can occur. */
+const BLOCK_SEPARATORS = new Set(['\n\n', '\n']);
+
+/** Longest line still treated as a heading. */
+const MAX_HEADING_CHARS = 100;
+
+/** Headings moved along at most (e.g. a heading and its subheading). */
+const MAX_CARRIED_HEADINGS = 2;
+
+/**
+ * @param {string} text
+ * @param {number} maxChars - Maximum chunk length, overlap included
+ * @param {object} [options]
+ * @param {number} [options.overlap=0] - Characters repeated from the previous chunk; at most half of maxChars
+ * @returns {string[]}
+ */
+export function splitText(text, maxChars, { overlap = 0 } = {}) {
     if (text.length <= maxChars) return [text];
-    return _splitRecursive(text, maxChars, 0);
+
+    const overlapChars = Math.min(Math.max(0, Math.floor(overlap)), Math.floor(maxChars / 2));
+    const chunks = _splitRecursive(text, maxChars - overlapChars, 0).filter((chunk) => chunk.trim());
+    if (!chunks.length) return [text.trim()];
+    if (!overlapChars) return chunks;
+
+    // The tail plus its "\n" separator stays within overlapChars
+    return chunks.map((chunk, i) => {
+        const tail = i > 0 ? _tail(chunks[i - 1], overlapChars - 1) : '';
+        return tail ? `${tail}\n${chunk}` : chunk;
+    });
+}
+
+/**
+ * Whether a block looks like a heading rather than body text.
+ * @param {string} block
+ * @returns {boolean}
+ */
+export function isHeading(block) {
+    const line = block.trim();
+    if (!line || line.includes('\n')) return false;
+    if (/^#{1,6}\s/.test(line)) return true;
+    return line.length <= MAX_HEADING_CHARS && !/[.!,;:…)\]"'»”]$/.test(line);
 }
 
 function _splitRecursive(text, maxChars, sepIdx) {
@@ -34,19 +77,34 @@ function _splitRecursive(text, maxChars, sepIdx) {
     }
 
     // Merge parts into chunks that fit within maxChars
+    const keepHeadings = BLOCK_SEPARATORS.has(sep);
     const chunks = [];
-    let current = '';
+    let current = [];
+    let length = 0;
 
     for (const part of parts) {
-        const candidate = current ? current + sep + part : part;
-        if (candidate.length <= maxChars) {
-            current = candidate;
-        } else {
-            if (current) chunks.push(current);
-            current = part;
+        const candidateLength = current.length ? length + sep.length + part.length : part.length;
+        if (candidateLength <= maxChars) {
+            current.push(part);
+            length = candidateLength;
+            continue;
+        }
+
+        // Carry trailing headings (and blank lines after them) over to the text they introduce
+        const carried = [];
+        let headings = 0;
+        while (keepHeadings && headings < MAX_CARRIED_HEADINGS && current.length) {
+            const last = current[current.length - 1];
+            if (isHeading(last)) headings++;
+            else if (last.trim()) break;
+            carried.unshift(current.pop());
         }
+        if (!headings) current.push(...carried.splice(0));
+        if (current.length) chunks.push(current.join(sep));
+        current = [...carried, part];
+        length = current.join(sep).length;
     }
-    if (current) chunks.push(current);
+    if (current.length) chunks.push(current.join(sep));
 
     // Recursively split any chunk that is still too large
     return chunks.flatMap(chunk =>
@@ -55,3 +113,19 @@ function _splitRecursive(text, maxChars, sepIdx) {
             : [chunk],
     );
 }
+
+/**
+ * End of a chunk, at most maxChars long, starting at a sentence or word boundary.
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string}
+ */
+function _tail(text, maxChars) {
+    if (maxChars <= 0) return '';
+    if (text.length <= maxChars) return text.trim();
+    const tail = text.slice(-maxChars);
+    const sentence = tail.search(/[.!?]\s+\S/);
+    if (sentence >= 0) return tail.slice(sentence + 1).trim();
+    const word = tail.search(/\s\S/);
+    return word >= 0 ? tail.slice(word + 1).trim() : '';
+}
@@ -0,0 +1,58 @@
+import { raceReadWithSignal } from './abort-utils.js';
+
+/**
+ * Minimal Server-Sent Events reader for fetch() responses.
+ *
+ * Yields one { event, data } per event; `data` is the raw string
+ * (multi-line data fields are joined with "\n"). Comments and
+ * keep-alive lines are skipped.
+ *
+ * @param {Response} response - Streaming fetch response
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {AsyncGenerator<{ event: string, data: string }>}
+ */
+export async function* readSseEvents(response, signal) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { done, value } = await raceReadWithSignal(reader, signal);
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            // Events are separated by a blank line
+            let boundary;
+            while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+                const block = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+                const parsed = parseEvent(block);
+                if (parsed) yield parsed;
+            }
+        }
+        const parsed = parseEvent(buffer);
+        if (parsed) yield parsed;
+    } catch (e) {
+        reader.cancel().catch(() => {});
+        throw e;
+    }
+}
+
+/**
+ * @param {string} block - Lines of a single event
+ * @returns {{ event: string, data: string }|null}
+ */
+function parseEvent(block) {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split(/\r?\n/)) {
+        if (!line || line.startsWith(':')) continue;
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'event') event = value;
+        else if (field === 'data') data.push(value);
+    }
+    return data.length ? { event, data: data.join('\n') } : null;
+}
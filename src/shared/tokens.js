@@ -0,0 +1,42 @@
+/**
+ * Script-aware token estimate for models whose tokenizer is not bundled.
+ *
+ * A fixed characters-per-token ratio is far off outside English: BPE
+ * vocabularies of current models spend about one token per CJK character,
+ * one per 2–3 characters of Cyrillic, Greek, Arabic and similar scripts, and
+ * one per 3.5–4 characters of Latin text. Ratios are on the conservative side,
+ * so chunks rarely overflow.
+ */
+
+/** Characters per token by script (whitespace, digits and punctuation count as Latin). */
+const CHARS_PER_TOKEN_BY_SCRIPT = {
+    cjk: 1,
+    other: 2.5,
+    latin: 3.5,
+};
+
+/** Han, kana and Hangul. */
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/** Letters outside Latin, e.g. Cyrillic, Greek, Arabic, Hebrew, Devanagari. */
+const NON_LATIN_LETTER = /[^\p{Script=Latin}\p{Script=Common}\p{Script=Inherited}]/u;
+
+/**
+ * @param {string} text
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+    let cjk = 0;
+    let other = 0;
+    let latin = 0;
+    for (const char of text) {
+        if (CJK.test(char)) cjk++;
+        else if (NON_LATIN_LETTER.test(char)) other++;
+        else latin++;
+    }
+    return Math.ceil(
+        cjk / CHARS_PER_TOKEN_BY_SCRIPT.cjk
+        + other / CHARS_PER_TOKEN_BY_SCRIPT.other
+        + latin / CHARS_PER_TOKEN_BY_SCRIPT.latin,
+    );
+}
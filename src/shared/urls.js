@@ -0,0 +1,12 @@
+/**
+ * Key for comparing URLs regardless of scheme, "www.", letter case and a trailing slash,
+ * e.g. to de-duplicate search results or to match a cited URL to a result.
+ * @param {string} url
+ * @returns {string}
+ */
+export function urlKey(url) {
+    return url
+        .replace(/^https?:\/\/(www\.)?/i, '')
+        .replace(/[/?#]+$/, '')
+        .toLowerCase();
+}
@@ -0,0 +1,186 @@
+import { MSG } from '../shared/messages.js';
+import { OUTPUT_FORMAT } from '../shared/defaults.js';
+import { TECHNIQUES, getTechnique } from '../shared/analysis.js';
+import { parsePartialJson } from '../shared/partial-json.js';
+import { renderMarkdown } from '../content/markdown.js';
+import { renderReport } from '../content/report.js';
+
+/**
+ * History side panel: search, filter, preview, re-open and delete past analyses.
+ * All data comes from the background worker (see background/history.js).
+ */
+
+let entries = [];
+/** Id of the entry whose result is expanded, if any. */
+let expandedId = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    const searchInput = document.getElementById('search');
+    const siteFilter = document.getElementById('site-filter');
+    const techniqueFilter = document.getElementById('technique-filter');
+
+    TECHNIQUES.forEach(({ id, label }) => {
+        const opt = document.createElement('option');
+        opt.value = id;
+        opt.textContent = label;
+        techniqueFilter.appendChild(opt);
+    });
+
+    searchInput.addEventListener('input', render);
+    siteFilter.addEventListener('change', render);
+    techniqueFilter.addEventListener('change', render);
+
+    // New analyses may have been saved while the panel was hidden
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') refresh();
+    });
+
+    refresh();
+});
+
+/**
+ * Send a request to the background worker.
+ * @param {string} type - MSG type
+ * @param {object} [payload]
+ * @returns {Promise<any>} Result on success
+ * @throws {Error} If the background reports an error
+ */
+async function send(type, payload) {
+    const response = await chrome.runtime.sendMessage({ type, payload });
+    if (response?.error) throw new Error(response.error);
+    return response?.result;
+}
+
+async function refresh() {
+    entries = await send(MSG.HISTORY_LIST);
+    populateSites();
+    render();
+}
+
+function populateSites() {
+    const siteFilter = document.getElementById('site-filter');
+    const current = siteFilter.value;
+    const sites = [...new Set(entries.map(e => e.site))].sort();
+
+    siteFilter.replaceChildren(siteFilter.options[0]);
+    for (const site of sites) {
+        const opt = document.createElement('option');
+        opt.value = site;
+        opt.textContent = site;
+        siteFilter.appendChild(opt);
+    }
+    siteFilter.value = sites.includes(current) ? current : '';
+}
+
+function render() {
+    const query = document.getElementById('search').value.trim().toLowerCase();
+    const site = document.getElementById('site-filter').value;
+    const technique = document.getElementById('technique-filter').value;
+
+    const visible = entries.filter(e =>
+        (!site || e.site === site)
+        && (!technique || e.techniques?.includes(technique))
+        && (!query || [e.title, e.url, e.output].some(v => v?.toLowerCase().includes(query))),
+    );
+
+    const list = document.getElementById('entries');
+    list.replaceChildren(...visible.map(renderEntry));
+
+    document.getElementById('empty').hidden = visible.length > 0;
+    document.getElementById('summary-line').textContent = entries.length
+        ? `${visible.length} of ${entries.length} saved analyses`
+        : '';
+}
+
+/**
+ * @param {object} entry - History entry
+ * @returns {HTMLLIElement}
+ */
+function renderEntry(entry) {
+    const li = document.createElement('li');
+    li.className = 'entry';
+
+    const head = document.createElement('button');
+    head.className = 'entry-head';
+    head.type = 'button';
+
+    const title = document.createElement('span');
+    title.className = 'entry-title';
+    title.textContent = entry.title;
+
+    const meta = document.createElement('span');
+    meta.className = 'entry-meta';
+    meta.textContent = [
+        entry.site,
+        new Date(entry.createdAt).toLocaleString(),
+        entry.model || entry.providerId,
+    ].filter(Boolean).join(' · ');
+
+    head.append(title, meta);
+
+    if (entry.techniques?.length) {
+        const badges = document.createElement('span');
+        badges.className = 'entry-badges';
+        for (const id of entry.techniques) {
+            const { label, color } = getTechnique(id);
+            const badge = document.createElement('span');
+            badge.className = 'technique-badge';
+            badge.style.setProperty('--technique-color', color);
+            badge.textContent = label;
+            badges.appendChild(badge);
+        }
+        head.appendChild(badges);
+    }
+
+    head.onclick = () => {
+        expandedId = expandedId === entry.id ? null : entry.id;
+        render();
+    };
+    li.appendChild(head);
+
+    if (expandedId === entry.id) {
+        li.classList.add('expanded');
+        li.appendChild(renderDetails(entry));
+    }
+    return li;
+}
+
+/**
+ * @param {object} entry - History entry
+ * @returns {HTMLElement}
+ */
+function renderDetails(entry) {
+    const details = document.createElement('div');
+    details.className = 'entry-details';
+
+    const actions = document.createElement('div');
+    actions.className = 'entry-actions';
+
+    const openBtn = document.createElement('button');
+    openBtn.type = 'button';
+    openBtn.textContent = 'Open article';
+    openBtn.onclick = () => send(MSG.HISTORY_OPEN, { id: entry.id });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'danger';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.onclick = async () => {
+        await send(MSG.HISTORY_DELETE, { id: entry.id });
+        expandedId = null;
+        await refresh();
+    };
+
+    actions.append(openBtn, deleteBtn);
+    details.appendChild(actions);
+
+    const output = document.createElement('div');
+    output.className = 'content';
+    if (entry.format === OUTPUT_FORMAT.STRUCTURED) {
+        renderReport(output, parsePartialJson(entry.output));
+    } else {
+        output.appendChild(renderMarkdown(entry.output));
+    }
+    details.appendChild(output);
+    return details;
+}
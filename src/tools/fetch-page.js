@@ -0,0 +1,206 @@
+import { tool } from '@openai/agents';
+import { z } from 'zod';
+import { matchesDomainList } from '../shared/domains.js';
+import { splitByTokens } from '../providers/tokenizer.js';
+
+/** Storage key of the domains fetch_page must not open (normalized, see parseDomainList). */
+export const FETCH_BLOCKED_DOMAINS_KEY = 'fetchBlockedDomains';
+
+/** Pages the model may open per analysis run. */
+export const MAX_FETCHES_PER_RUN = 3;
+
+/** Share of the context window one fetched page may take. */
+const PAGE_CONTEXT_SHARE = 0.25;
+
+/** Context length assumed when the profile does not set one (tokens). */
+const DEFAULT_CONTEXT_TOKENS = 4096;
+
+/** Bounds of the per-page budget (tokens). */
+const MIN_PAGE_TOKENS = 256;
+const MAX_PAGE_TOKENS = 8000;
+
+const FETCH_TIMEOUT_MS = 15000;
+
+/** Bytes of a response body read at most; the rest of the page is dropped. */
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+
+/** Hosts that are never fetched: loopback, private and link-local addresses. */
+const PRIVATE_HOST = /^(localhost|.*\.localhost|.*\.local|127\.\d+\.\d+\.\d+|10\.\d+\.\d+\.\d+|192\.168\.\d+\.\d+|172\.(1[6-9]|2\d|3[01])\.\d+\.\d+|169\.254\.\d+\.\d+|0\.0\.0\.0|\[.*\])$/i;
+
+/**
+ * Tokens of page text handed to the model: a quarter of the context window,
+ * kept between MIN_PAGE_TOKENS and MAX_PAGE_TOKENS.
+ *
+ * @param {number} [contextLength] - Context length in tokens (profile setting)
+ * @returns {number}
+ */
+export function pageTokenBudget(contextLength) {
+    const tokens = Math.floor((contextLength || DEFAULT_CONTEXT_TOKENS) * PAGE_CONTEXT_SHARE);
+    return Math.min(MAX_PAGE_TOKENS, Math.max(MIN_PAGE_TOKENS, tokens));
+}
+
+/**
+ * Create the fetch_page tool for the OpenAI Agents SDK.
+ *
+ * The model may only open pages listed by web_search in the same run
+ * (`isAllowed`), at most `maxFetches` times, and never on a blocked domain or
+ * a local address. Pages are fetched without cookies; HTML is reduced to the
+ * article text by `extract` (Readability in the offscreen document).
+ * Refusals and failures are returned to the model as text.
+ *
+ * @param {object} options
+ * @param {(html: string, url: string) => Promise<{ title?: string, textContent: string }>} options.extract
+ * @param {(url: string) => boolean} options.isAllowed - Whether the URL came from a search result
+ * @param {import('../providers/tokenizer.js').TokenCounter} options.counter - Measures the page text (the model's counter)
+ * @param {number} [options.maxTokens] - Text budget per page, see pageTokenBudget
+ * @param {number} [options.maxFetches] - Cap per run
+ * @param {string[]} [options.blockedDomains] - Normalized domains (parseDomainList)
+ * @returns {import('@openai/agents').Tool}
+ */
+export function createFetchPageTool({
+    extract,
+    isAllowed,
+    counter,
+    maxTokens = pageTokenBudget(),
+    maxFetches = MAX_FETCHES_PER_RUN,
+    blockedDomains = [],
+}) {
+    let fetches = 0;
+
+    return tool({
+        name: 'fetch_page',
+        description:
+            'Open a web page from the web_search results and read its main text. '
+            + 'Use it when a search snippet is too short to verify a claim (e.g. an exact figure or quote). '
+            + `At most ${maxFetches} pages per analysis.`,
+        parameters: z.object({
+            url: z.string().describe('URL of a web_search result'),
+        }),
+        async execute({ url }) {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch {
+                return `Cannot fetch "${url}": not a valid URL.`;
+            }
+            const refusal = checkUrl(parsed, blockedDomains);
+            if (refusal) return `Cannot fetch ${url}: ${refusal}.`;
+            if (!isAllowed(url)) {
+                return `Cannot fetch ${url}: only URLs returned by web_search can be opened.`;
+            }
+            if (fetches >= maxFetches) {
+                return `Fetch limit reached (${maxFetches} pages per analysis). Work with what you have.`;
+            }
+            fetches++;
+
+            try {
+                const page = await fetchPage(parsed.href, extract, blockedDomains);
+                return await formatPage(page, maxTokens, counter);
+            } catch (err) {
+                return `Fetch failed: ${err?.message ?? String(err)}`;
+            }
+        },
+    });
+}
+
+/**
+ * Why a URL must not be fetched: not http(s), a local or private address, or
+ * a domain the user blocked.
+ *
+ * @param {URL} url
+ * @param {string[]} blockedDomains
+ * @returns {string|null} Reason, or null when the URL may be fetched
+ */
+function checkUrl(url, blockedDomains) {
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return 'only http(s) pages can be opened';
+    if (PRIVATE_HOST.test(url.hostname)) return 'local and private addresses are not allowed';
+    if (matchesDomainList(url.hostname, blockedDomains)) return `the user blocked ${url.hostname}`;
+    return null;
+}
+
+/**
+ * Fetch a page and reduce it to text. Redirects are followed, so the final URL
+ * is checked again before the body is read: an allowed search result must not
+ * lead to a local address or a blocked domain.
+ *
+ * @param {string} url
+ * @param {(html: string, url: string) => Promise<{ title?: string, textContent: string }>} extract
+ * @param {string[]} blockedDomains
+ * @returns {Promise<{ title: string, url: string, text: string }>}
+ */
+async function fetchPage(url, extract, blockedDomains) {
+    const response = await fetch(url, {
+        credentials: 'omit',
+        // 'manual' would hide the Location header (opaque redirect), so the landing URL is checked instead
+        redirect: 'follow',
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+        headers: { Accept: 'text/html,application/xhtml+xml,text/plain;q=0.9' },
+    });
+    const finalUrl = response.url || url;
+    const refusal = finalUrl === url ? null : checkUrl(new URL(finalUrl), blockedDomains);
+    if (refusal) {
+        response.body?.cancel().catch(() => {});
+        throw new Error(`redirected to ${finalUrl}: ${refusal}`);
+    }
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const type = response.headers.get('content-type') ?? '';
+    if (!type.startsWith('text/plain') && !/html|xml/.test(type)) {
+        response.body?.cancel().catch(() => {});
+        throw new Error(`unsupported content type ${type || 'unknown'}`);
+    }
+
+    const body = await readBody(response, MAX_BODY_BYTES);
+    if (type.startsWith('text/plain')) {
+        return { title: '', url: finalUrl, text: body };
+    }
+    const article = await extract(body, finalUrl);
+    return { title: article.title ?? '', url: finalUrl, text: article.textContent ?? '' };
+}
+
+/**
+ * Response body as text, cut after `maxBytes` (the rest is not downloaded).
+ *
+ * @param {Response} response
+ * @param {number} maxBytes
+ * @returns {Promise<string>}
+ */
+async function readBody(response, maxBytes) {
+    if (!response.body) return '';
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    let bytes = 0;
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        const room = maxBytes - bytes;
+        text += decoder.decode(value.subarray(0, room), { stream: true });
+        bytes += Math.min(value.byteLength, room);
+        if (bytes >= maxBytes) {
+            reader.cancel().catch(() => {});
+            break;
+        }
+    }
+    return text + decoder.decode();
+}
+
+/**
+ * Tool output: title and final URL, then the text cut to the budget
+ * at a natural boundary.
+ *
+ * @param {{ title: string, url: string, text: string }} page
+ * @param {number} maxTokens
+ * @param {import('../providers/tokenizer.js').TokenCounter} counter
+ * @returns {Promise<string>}
+ */
+async function formatPage({ title, url, text }, maxTokens, counter) {
+    const clean = text.replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+    if (!clean) return `No readable text found at ${url}.`;
+    const { chunks: [first, ...rest] } = await splitByTokens(clean, maxTokens, counter);
+    const body = rest.length
+        ? `${first}\n[... truncated, ${clean.length - first.length} more characters]`
+        : first;
+    const header = title ? `Title: ${title}\nURL: ${url}` : `URL: ${url}`;
+    return `${header}\n\n${body}`;
+}
@@ -1,9 +1,17 @@
 import { tool } from '@openai/agents';
 import { z } from 'zod';
+import { urlKey } from '../shared/urls.js';
 
 /**
- * Search provider definitions, ordered by priority.
- * The first provider with a configured API key will be used.
+ * Search provider definitions, ordered by priority. Self-hosted backends come
+ * last so that adding them did not change which provider existing setups try first.
+ * Every configured provider is used: the first one answers, the others take
+ * over when it fails or its free quota is used up (or, with searchAggregate,
+ * all of them are queried and merged).
+ * `settingsKey` is the setting that enables the provider: an API key, or the
+ * instance / endpoint URL for self-hosted backends (`secret: false`).
+ * `quota` is the free tier from `freeQuota`, in requests per period; null
+ * when there is none to track. Extra keys marked `optional` may stay empty.
  */
 export const SEARCH_PROVIDERS = [
     {
@@ -12,6 +20,7 @@ export const SEARCH_PROVIDERS = [
         settingsKey: 'searchKeyBrave',
         placeholder: 'BSA...',
         freeQuota: '2 000 req/month',
+        quota: { limit: 2000, period: 'month' },
         docsUrl: 'https://brave.com/search/api/',
     },
     {
@@ -20,6 +29,7 @@ export const SEARCH_PROVIDERS = [
         settingsKey: 'searchKeyTavily',
         placeholder: 'tvly-...',
         freeQuota: '1 000 req/month',
+        quota: { limit: 1000, period: 'month' },
         docsUrl: 'https://tavily.com/',
     },
     {
@@ -28,6 +38,7 @@ export const SEARCH_PROVIDERS = [
         settingsKey: 'searchKeySerpapi',
         placeholder: '',
         freeQuota: '100 req/month',
+        quota: { limit: 100, period: 'month' },
         docsUrl: 'https://serpapi.com/',
     },
     {
@@ -36,26 +47,64 @@ export const SEARCH_PROVIDERS = [
         settingsKey: 'searchKeyGoogle',
         placeholder: '',
         freeQuota: '100 req/day',
+        quota: { limit: 100, period: 'day' },
         docsUrl: 'https://developers.google.com/custom-search/v1/overview',
         /** Google CSE also requires a search engine ID */
         extraKeys: [{ settingsKey: 'searchGoogleCx', label: 'Search Engine ID', placeholder: '' }],
     },
+    {
+        id: 'searxng',
+        label: 'SearXNG (self-hosted)',
+        settingsKey: 'searchSearxngUrl',
+        secret: false,
+        placeholder: 'https://searx.example.org',
+        freeQuota: 'No limit',
+        quota: null,
+        docsUrl: 'https://docs.searxng.org/dev/search_api.html',
+    },
+    {
+        id: 'custom',
+        label: 'Custom JSON endpoint',
+        settingsKey: 'searchCustomUrl',
+        secret: false,
+        placeholder: 'https://example.org/search?q={query}',
+        freeQuota: 'No limit',
+        quota: null,
+        /** Paths into the JSON response, e.g. "$.data.items" and, per item, "title" */
+        extraKeys: [
+            { settingsKey: 'searchCustomResultsPath', label: 'Results path, e.g. $.results', placeholder: '' },
+            { settingsKey: 'searchCustomTitlePath', label: 'Title field, e.g. title', placeholder: '' },
+            { settingsKey: 'searchCustomUrlPath', label: 'URL field, e.g. url', placeholder: '' },
+            { settingsKey: 'searchCustomSnippetPath', label: 'Snippet field (optional)', placeholder: '', optional: true },
+        ],
+    },
 ];
 
-/** All storage keys used by search providers */
-export const SEARCH_SETTINGS_KEYS = SEARCH_PROVIDERS.flatMap(p => [
-    p.settingsKey,
-    ...(p.extraKeys?.map(k => k.settingsKey) ?? []),
-]);
+/** All storage keys used by web search (provider keys and options) */
+export const SEARCH_SETTINGS_KEYS = [
+    ...SEARCH_PROVIDERS.flatMap(p => [
+        p.settingsKey,
+        ...(p.extraKeys?.map(k => k.settingsKey) ?? []),
+    ]),
+    'searchAggregate',
+    'searchMaxPerRun',
+];
+
+/** Searches the model may run per analysis unless searchMaxPerRun says otherwise (0 = no limit). */
+export const DEFAULT_MAX_SEARCHES_PER_RUN = 6;
+
+/** Storage key of the per-provider request counters: { [id]: { period, count } } */
+export const SEARCH_USAGE_KEY = 'searchUsage';
 
 /**
- * Resolve the active search provider from settings.
- * Returns the first provider whose API key is configured, or null.
+ * Resolve the configured search providers from settings, in priority order.
+ * A provider counts as configured when its settingsKey and all required extra keys are set.
  *
  * @param {Record<string, string>} settings - Settings from chrome.storage
- * @returns {{ provider: object, apiKey: string, extra?: Record<string, string> } | null}
+ * @returns {{ provider: object, apiKey: string, extra?: Record<string, string> }[]}
  */
-export function resolveSearchProvider(settings) {
+export function resolveSearchProviders(settings) {
+    const matches = [];
     for (const provider of SEARCH_PROVIDERS) {
         const apiKey = settings[provider.settingsKey];
         if (!apiKey) continue;
@@ -66,63 +115,341 @@ export function resolveSearchProvider(settings) {
             let allPresent = true;
             for (const ek of provider.extraKeys) {
                 const val = settings[ek.settingsKey];
-                if (!val) { allPresent = false; break; }
+                if (!val) {
+                    if (ek.optional) continue;
+                    allPresent = false;
+                    break;
+                }
                 extra[ek.settingsKey] = val;
             }
             if (!allPresent) continue;
-            return { provider, apiKey, extra };
+            matches.push({ provider, apiKey, extra });
+            continue;
         }
 
-        return { provider, apiKey };
+        matches.push({ provider, apiKey });
     }
-    return null;
+    return matches;
+}
+
+/**
+ * Requests made to each provider in its current quota period (month or day).
+ *
+ * @returns {Promise<Record<string, number>>} Provider id -> request count
+ */
+export async function getSearchUsage() {
+    const { [SEARCH_USAGE_KEY]: usage = {} } = await chrome.storage.local.get(SEARCH_USAGE_KEY);
+    return Object.fromEntries(SEARCH_PROVIDERS.map((p) => {
+        const entry = usage[p.id];
+        return [p.id, entry?.period === currentPeriod(p.quota?.period) ? entry.count : 0];
+    }));
+}
+
+/** Serializes counter updates so parallel searches don't lose increments. */
+let usageWrite = Promise.resolve();
+
+/**
+ * Count one request against a provider's free quota.
+ *
+ * @param {object} provider - Entry of SEARCH_PROVIDERS
+ * @returns {Promise<void>}
+ */
+function recordSearchUsage(provider) {
+    usageWrite = usageWrite.then(async () => {
+        const { [SEARCH_USAGE_KEY]: usage = {} } = await chrome.storage.local.get(SEARCH_USAGE_KEY);
+        const period = currentPeriod(provider.quota?.period);
+        const count = usage[provider.id]?.period === period ? usage[provider.id].count : 0;
+        await chrome.storage.local.set({
+            [SEARCH_USAGE_KEY]: { ...usage, [provider.id]: { period, count: count + 1 } },
+        });
+    }).catch((err) => console.error('Failed to record search usage:', err));
+    return usageWrite;
+}
+
+/**
+ * @param {'month'|'day'} [period] - Monthly when the provider has no quota
+ * @returns {string} e.g. "2025-03" or "2025-03-14" (UTC)
+ */
+function currentPeriod(period) {
+    const iso = new Date().toISOString();
+    return period === 'day' ? iso.slice(0, 10) : iso.slice(0, 7);
 }
 
 /**
  * Create a web search tool for the OpenAI Agents SDK.
  *
- * @param {string} providerId - Search provider id (brave, tavily, serpapi, google)
- * @param {string} apiKey - API key for the search provider
- * @param {Record<string, string>} [extra] - Extra config (e.g. Google CX)
+ * Providers are tried in order; an HTTP or network error hands the query to
+ * the next one. Providers whose free quota is used up go last, so they are
+ * only asked when nothing else works (the key may be on a paid plan).
+ * With `aggregate`, every provider with quota left is queried at once and
+ * the results are merged, skipping URLs that were already listed.
+ *
+ * A tool instance serves one analysis run: after `maxSearches` calls it tells
+ * the model the budget is spent instead of searching. Queries found in
+ * `cache` are answered from it and cost no quota.
+ *
+ * @param {ReturnType<typeof resolveSearchProviders>} matches - Configured providers, in priority order
+ * @param {object} [options]
+ * @param {boolean} [options.aggregate=false] - Merge the results of all providers
+ * @param {(results: { title: string, url: string }[]) => void} [options.onResults] - Receives the hits of every search (e.g. to let fetch_page open them)
+ * @param {number} [options.maxSearches] - Searches per run; 0 = no limit
+ * @param {{ get: (query: string) => Promise<SearchHits|null>, put: (query: string, hits: SearchHits) => Promise<void> }} [options.cache]
  * @returns {import('@openai/agents').Tool}
  */
-export function createWebSearchTool(providerId, apiKey, extra = {}) {
-    const searchFn = SEARCH_FUNCTIONS[providerId];
-    if (!searchFn) throw new Error(`Unknown search provider: ${providerId}`);
+export function createWebSearchTool(matches, {
+    aggregate = false,
+    onResults,
+    maxSearches = DEFAULT_MAX_SEARCHES_PER_RUN,
+    cache,
+} = {}) {
+    for (const { provider } of matches) {
+        if (!SEARCH_FUNCTIONS[provider.id]) throw new Error(`Unknown search provider: ${provider.id}`);
+    }
+
+    let searches = 0;
 
     return tool({
         name: 'web_search',
         description:
             'Search the web to verify claims, check facts, or find current information about a topic. '
-            + 'Use this when the article makes claims that should be verified against external sources.',
+            + 'Use this when the article makes claims that should be verified against external sources.'
+            + (maxSearches ? ` At most ${maxSearches} searches per analysis.` : ''),
         parameters: z.object({
             query: z.string().describe('Search query to look up'),
         }),
         async execute({ query }) {
-            try {
-                return await searchFn(query, apiKey, extra);
-            } catch (err) {
-                return `Search failed: ${err.message}`;
+            if (maxSearches && searches >= maxSearches) {
+                return `Search budget exhausted (${maxSearches} searches per analysis). Do not search again: `
+                    + 'finish with the results you have and mark claims you could not check as [Unverified].';
             }
+            searches++;
+
+            let hits = await cache?.get(query).catch(() => null);
+            if (!hits) {
+                const usage = await getSearchUsage().catch(() => ({}));
+                const exhausted = ({ provider }) => !!provider.quota && (usage[provider.id] ?? 0) >= provider.quota.limit;
+                const withQuota = matches.filter((m) => !exhausted(m));
+                const ordered = [...withQuota, ...matches.filter(exhausted)];
+
+                hits = aggregate && withQuota.length > 1
+                    ? await searchAll(withQuota, query)
+                    : await searchFirst(ordered, query);
+                if (typeof hits === 'string') return hits;
+                cache?.put(query, hits).catch((err) => console.error('Failed to cache search results:', err));
+            }
+
+            if (onResults) onResults(hits.results);
+            const left = maxSearches ? `\n\n(${maxSearches - searches} of ${maxSearches} searches left)` : '';
+            return formatHits(hits) + left;
         },
     });
 }
 
+/** One hit in the tool output: "N. title", then the snippet and the URL indented. */
+const RESULT_PATTERN = /^\d+\. (.*)\n {3}.*\n {3}(https?:\/\/\S+)$/gm;
+
+/**
+ * Titles and URLs listed in a web_search tool output,
+ * e.g. to show the user which sources a fact check rests on.
+ *
+ * @param {string} output - Text returned by the tool
+ * @returns {{ title: string, url: string }[]}
+ */
+export function parseSearchResults(output) {
+    return [...String(output ?? '').matchAll(RESULT_PATTERN)].map(([, title, url]) => ({ title, url }));
+}
+
+/**
+ * @typedef {object} SearchHits
+ * @property {string} [summary] - Provider-generated answer (Tavily)
+ * @property {{ title: string, snippet?: string, url: string }[]} results
+ */
+
+/**
+ * Ask providers one after another until one answers.
+ *
+ * @param {ReturnType<typeof resolveSearchProviders>} matches
+ * @param {string} query
+ * @returns {Promise<SearchHits|string>} Hits, or the "Search failed" message for the model
+ */
+async function searchFirst(matches, query) {
+    const failures = [];
+    for (const match of matches) {
+        try {
+            return await runSearch(match, query);
+        } catch (err) {
+            console.log(`${match.provider.label} search failed, trying the next provider:`, err.message);
+            failures.push(`${match.provider.label}: ${err.message}`);
+        }
+    }
+    return `Search failed: ${failures.join('; ')}`;
+}
+
+/**
+ * Ask all providers at once and merge their results, best-ranked first.
+ *
+ * @param {ReturnType<typeof resolveSearchProviders>} matches
+ * @param {string} query
+ * @returns {Promise<SearchHits|string>}
+ */
+async function searchAll(matches, query) {
+    const settled = await Promise.allSettled(matches.map((match) => runSearch(match, query)));
+    const answered = settled.filter((s) => s.status === 'fulfilled').map((s) => s.value);
+    if (!answered.length) {
+        const failures = settled.map((s, i) => `${matches[i].provider.label}: ${s.reason?.message}`);
+        return `Search failed: ${failures.join('; ')}`;
+    }
+
+    // Interleave by rank so every provider's top hits make the cut
+    const seen = new Set();
+    const results = [];
+    const depth = Math.max(...answered.map((hits) => hits.results.length));
+    for (let rank = 0; rank < depth; rank++) {
+        for (const hits of answered) {
+            const result = hits.results[rank];
+            if (!result || seen.has(urlKey(result.url))) continue;
+            seen.add(urlKey(result.url));
+            results.push(result);
+        }
+    }
+
+    return {
+        summary: answered.find((hits) => hits.summary)?.summary,
+        results: results.slice(0, MAX_AGGREGATED_RESULTS),
+    };
+}
+
+/**
+ * @param {{ provider: object, apiKey: string, extra?: Record<string, string> }} match
+ * @param {string} query
+ * @returns {Promise<SearchHits>}
+ */
+async function runSearch({ provider, apiKey, extra = {} }, query) {
+    await recordSearchUsage(provider);
+    return SEARCH_FUNCTIONS[provider.id](query, apiKey, extra);
+}
+
+/**
+ * Tool output for the model: optional summary, then the numbered result list.
+ *
+ * @param {SearchHits} hits
+ * @returns {string}
+ */
+function formatHits({ summary, results }) {
+    const parts = [];
+    if (summary) parts.push(`Summary: ${summary}`);
+    if (results.length) parts.push(formatResults(results));
+    return parts.join('\n\n') || 'No results found.';
+}
+
 // ── Search provider implementations ──
 
 const MAX_RESULTS = 5;
 
+/** Cap on merged results when aggregating several providers. */
+const MAX_AGGREGATED_RESULTS = 8;
+
+/**
+ * Numbered result list handed to the model (read back by parseSearchResults).
+ * Titles and snippets are collapsed to one line each so the layout stays parseable.
+ *
+ * @param {{ title?: string, snippet?: string, url: string }[]} results
+ * @returns {string}
+ */
+function formatResults(results) {
+    const oneLine = (s) => String(s ?? '').replace(/\s+/g, ' ').trim();
+    return results
+        .map((r, i) => `${i + 1}. ${oneLine(r.title)}\n   ${oneLine(r.snippet)}\n   ${r.url}`)
+        .join('\n\n');
+}
+
 const SEARCH_FUNCTIONS = {
+    searxng: searchSearxng,
+    custom: searchCustom,
     brave: searchBrave,
     tavily: searchTavily,
     serpapi: searchSerpapi,
     google: searchGoogle,
 };
 
+/**
+ * @param {string} query
+ * @param {string} instanceUrl - Base URL of the SearXNG instance
+ * @returns {Promise<SearchHits>}
+ */
+async function searchSearxng(query, instanceUrl) {
+    const url = new URL('search', instanceUrl.replace(/\/*$/, '/'));
+    url.searchParams.set('q', query);
+    url.searchParams.set('format', 'json');
+
+    const res = await fetch(url, { headers: { 'Accept': 'application/json' } });
+
+    if (res.status === 403) {
+        throw new Error('SearXNG 403: enable the JSON format (search.formats in settings.yml).');
+    }
+    if (!res.ok) throw new Error(`SearXNG ${res.status}: ${res.statusText}`);
+    const data = await res.json();
+
+    const results = (data.results ?? []).slice(0, MAX_RESULTS);
+    return { results: results.map((r) => ({ title: r.title, snippet: r.content, url: r.url })) };
+}
+
+/**
+ * @param {string} query
+ * @param {string} urlTemplate - Endpoint URL with a {query} placeholder
+ * @param {Record<string, string>} extra - JSON paths of the results list and its fields
+ * @returns {Promise<SearchHits>}
+ */
+async function searchCustom(query, urlTemplate, extra) {
+    if (!urlTemplate.includes('{query}')) {
+        throw new Error('Custom search URL must contain {query}.');
+    }
+    const url = urlTemplate.replaceAll('{query}', encodeURIComponent(query));
+
+    const res = await fetch(url, { headers: { 'Accept': 'application/json' } });
+
+    if (!res.ok) throw new Error(`Custom search ${res.status}: ${res.statusText}`);
+    const data = await res.json();
+
+    const items = readJsonPath(data, extra.searchCustomResultsPath);
+    if (!Array.isArray(items)) {
+        throw new Error(`Custom search: "${extra.searchCustomResultsPath}" is not a list in the response.`);
+    }
+
+    const field = (item, path) => {
+        const value = readJsonPath(item, path);
+        return value == null ? '' : String(value);
+    };
+    const results = items
+        .map((item) => ({
+            title: field(item, extra.searchCustomTitlePath),
+            snippet: field(item, extra.searchCustomSnippetPath),
+            url: field(item, extra.searchCustomUrlPath),
+        }))
+        .filter((r) => /^https?:\/\//i.test(r.url))
+        .slice(0, MAX_RESULTS);
+    return { results };
+}
+
+/**
+ * Value at a JSONPath-style path: dot-separated keys with optional [n]
+ * indexes and an optional leading "$", e.g. "$.data.items" or "links[0].href".
+ * "$" alone is the value itself.
+ *
+ * @param {unknown} value
+ * @param {string} [path]
+ * @returns {unknown} undefined when the path is empty or does not exist
+ */
+function readJsonPath(value, path) {
+    if (!path) return undefined;
+    const keys = path.trim().replace(/^\$/, '').match(/[^.[\]\s]+/g) ?? [];
+    return keys.reduce((current, key) => current?.[key], value);
+}
+
 /**
  * @param {string} query
  * @param {string} apiKey
- * @returns {Promise<string>}
+ * @returns {Promise<SearchHits>}
  */
 async function searchBrave(query, apiKey) {
     const url = new URL('https://api.search.brave.com/res/v1/web/search');
@@ -139,19 +466,14 @@ async function searchBrave(query, apiKey) {
     if (!res.ok) throw new Error(`Brave API ${res.status}: ${res.statusText}`);
     const data = await res.json();
 
-    const results = data.web?.results ?? [];
-    if (!results.length) return 'No results found.';
-
-    return results
-        .slice(0, MAX_RESULTS)
-        .map((r, i) => `${i + 1}. ${r.title}\n   ${r.description}\n   ${r.url}`)
-        .join('\n\n');
+    const results = (data.web?.results ?? []).slice(0, MAX_RESULTS);
+    return { results: results.map((r) => ({ title: r.title, snippet: r.description, url: r.url })) };
 }
 
 /**
  * @param {string} query
  * @param {string} apiKey
- * @returns {Promise<string>}
+ * @returns {Promise<SearchHits>}
  */
 async function searchTavily(query, apiKey) {
     const res = await fetch('https://api.tavily.com/search', {
@@ -170,28 +492,17 @@ async function searchTavily(query, apiKey) {
     if (!res.ok) throw new Error(`Tavily API ${res.status}: ${res.statusText}`);
     const data = await res.json();
 
-    const parts = [];
-    if (data.answer) {
-        parts.push(`Summary: ${data.answer}`);
-    }
-
-    const results = data.results ?? [];
-    if (results.length) {
-        parts.push(
-            results
-                .slice(0, MAX_RESULTS)
-                .map((r, i) => `${i + 1}. ${r.title}\n   ${r.content?.slice(0, 200) ?? ''}\n   ${r.url}`)
-                .join('\n\n')
-        );
-    }
-
-    return parts.join('\n\n') || 'No results found.';
+    const results = (data.results ?? []).slice(0, MAX_RESULTS);
+    return {
+        summary: data.answer || undefined,
+        results: results.map((r) => ({ title: r.title, snippet: r.content?.slice(0, 200), url: r.url })),
+    };
 }
 
 /**
  * @param {string} query
  * @param {string} apiKey
- * @returns {Promise<string>}
+ * @returns {Promise<SearchHits>}
  */
 async function searchSerpapi(query, apiKey) {
     const url = new URL('https://serpapi.com/search.json');
@@ -204,20 +515,15 @@ async function searchSerpapi(query, apiKey) {
     if (!res.ok) throw new Error(`SerpAPI ${res.status}: ${res.statusText}`);
     const data = await res.json();
 
-    const results = data.organic_results ?? [];
-    if (!results.length) return 'No results found.';
-
-    return results
-        .slice(0, MAX_RESULTS)
-        .map((r, i) => `${i + 1}. ${r.title}\n   ${r.snippet ?? ''}\n   ${r.link}`)
-        .join('\n\n');
+    const results = (data.organic_results ?? []).slice(0, MAX_RESULTS);
+    return { results: results.map((r) => ({ title: r.title, snippet: r.snippet, url: r.link })) };
 }
 
 /**
  * @param {string} query
  * @param {string} apiKey
  * @param {Record<string, string>} extra
- * @returns {Promise<string>}
+ * @returns {Promise<SearchHits>}
  */
 async function searchGoogle(query, apiKey, extra) {
     const cx = extra.searchGoogleCx;
@@ -234,11 +540,6 @@ async function searchGoogle(query, apiKey, extra) {
     if (!res.ok) throw new Error(`Google CSE ${res.status}: ${res.statusText}`);
     const data = await res.json();
 
-    const results = data.items ?? [];
-    if (!results.length) return 'No results found.';
-
-    return results
-        .slice(0, MAX_RESULTS)
-        .map((r, i) => `${i + 1}. ${r.title}\n   ${r.snippet ?? ''}\n   ${r.link}`)
-        .join('\n\n');
+    const results = (data.items ?? []).slice(0, MAX_RESULTS);
+    return { results: results.map((r) => ({ title: r.title, snippet: r.snippet, url: r.link })) };
 }
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChromePromptProvider } from '../src/providers/chrome-prompt.js';
+
+/** Stand-in for Chrome's LanguageModel: every create() waits for a model download. */
+function fakeLanguageModel() {
+    const created = [];
+    const session = (system) => ({
+        inputQuota: 600,
+        measureInputUsage: async (text) => Math.ceil(text.length / 4),
+        clone: async () => session(system),
+        prompt: async () => 'notes',
+        async *promptStreaming() {
+            yield 'report';
+        },
+        destroy() {},
+    });
+    return {
+        created,
+        availability: async () => 'downloading',
+        async create({ initialPrompts, monitor }) {
+            const target = new EventTarget();
+            monitor?.(target);
+            const progress = new Event('downloadprogress');
+            progress.loaded = 1;
+            target.dispatchEvent(progress);
+            created.push(initialPrompts[0].content);
+            return session(initialPrompts[0].content);
+        },
+    };
+}
+
+test('every session that waits for the model download reports progress', async (t) => {
+    const fake = fakeLanguageModel();
+    globalThis.self ??= globalThis;
+    globalThis.LanguageModel = fake;
+    t.after(() => delete globalThis.LanguageModel);
+
+    const sentence = 'The council said the plan was necessary and fair to everyone involved. ';
+    const text = Array.from({ length: 12 }, () => sentence.repeat(6)).join('\n\n');
+    const downloads = [];
+    const provider = new ChromePromptProvider({});
+    const result = await provider.call({
+        text,
+        prompt: 'Analyse the article.',
+        onStatus: (message, progress) => {
+            if (message === 'Downloading AI model...' && progress !== null) downloads.push(progress);
+        },
+        onUpdate: () => {},
+    });
+    provider.destroy();
+
+    assert.equal(result.content, 'report');
+    // Base prompt, map prompt and synthesis prompt: three sessions, three progress reports
+    assert.ok(fake.created.length >= 3);
+    assert.equal(downloads.length, fake.created.length);
+});
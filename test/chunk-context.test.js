@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkForContext } from '../src/providers/budget.js';
+import { chunkHeader, extractLede, withArticleMetadata } from '../src/providers/chunk-context.js';
+import { estimateCounter } from '../src/providers/tokenizer.js';
+
+const LEDE = 'The city council approved a budget of 1.2 billion euros on Tuesday, '
+    + 'cutting spending on roads by a tenth while raising the money for schools.';
+
+/** A long news article: dateline, lede, then sections with headings. */
+function article(sections = 12) {
+    const blocks = ['BERLIN, 3 June', LEDE];
+    for (let i = 0; i < sections; i++) {
+        blocks.push(`Section ${i + 1}`);
+        blocks.push(Array.from({ length: 6 }, (_, j) => `Councillor ${i}-${j} said the plan was necessary and fair to everyone.`).join(' '));
+    }
+    return blocks.join('\n\n');
+}
+
+test('extractLede skips datelines and headings', () => {
+    assert.equal(extractLede(`Budget vote\nBERLIN, 3 June\n${LEDE}\nMore text follows here.`), LEDE);
+});
+
+test('extractLede shortens a long first paragraph at a word boundary', () => {
+    const lede = extractLede('word '.repeat(200).trim());
+    assert.ok(lede.length <= 301);
+    assert.ok(lede.endsWith('word…'));
+});
+
+test('extractLede returns nothing for text without a paragraph', () => {
+    assert.equal(extractLede('Short line\nAnother one'), '');
+});
+
+test('chunkHeader lists title, byline, lede and the part number', () => {
+    const header = chunkHeader({ title: ' Council cuts roads budget ', byline: 'Jane Doe', lede: LEDE }, 2, 5);
+    assert.equal(header, [
+        '[Article context]',
+        'Title: Council cuts roads budget',
+        'By: Jane Doe',
+        `Lede: ${LEDE}`,
+        '[Part 2 of 5]',
+        '',
+        '',
+    ].join('\n'));
+    assert.equal(chunkHeader({}, 1, 2), '[Article context]\n[Part 1 of 2]\n\n');
+});
+
+test('chunkForContext keeps an article that fits in one chunk, without a header', async () => {
+    const text = article(2);
+    const { chunks } = await chunkForContext(text, 'Summarize.', { ctx: 8192, counter: estimateCounter });
+    assert.deepEqual(chunks, [text]);
+});
+
+test('chunkForContext splits a long article into parts that fit, each with the article context', async () => {
+    const text = article(40);
+    const ctx = 2048;
+    const { chunks, maxChunkTokens, maxChunkChars } = await chunkForContext(text, 'Summarize.', {
+        ctx,
+        counter: estimateCounter,
+        article: { title: 'Council cuts roads budget', byline: 'Jane Doe' },
+    });
+
+    assert.ok(chunks.length > 2);
+    assert.ok(maxChunkTokens < ctx);
+    assert.ok(maxChunkChars > maxChunkTokens);
+    for (const [i, chunk] of chunks.entries()) {
+        assert.ok(await estimateCounter.count(chunk) <= maxChunkTokens, `part ${i + 1} is over budget`);
+        assert.ok(chunk.startsWith('[Article context]\nTitle: Council cuts roads budget\nBy: Jane Doe\n'));
+        assert.ok(chunk.includes(`[Part ${i + 1} of ${chunks.length}]\n\n`));
+    }
+    // Part 1 starts with the lede itself; later parts quote it in the header
+    assert.ok(!chunks[0].includes('Lede:'));
+    assert.ok(chunks[1].includes(`Lede: ${LEDE}`));
+});
+
+test('chunkForContext repeats the end of each part at the start of the next', async () => {
+    const { chunks } = await chunkForContext(article(40), 'Summarize.', { ctx: 2048, counter: estimateCounter });
+    const body = (chunk) => chunk.slice(chunk.indexOf(']\n\n', chunk.indexOf('[Part ')) + 3);
+
+    for (let i = 1; i < chunks.length; i++) {
+        const [repeated] = body(chunks[i]).split('\n');
+        assert.ok(body(chunks[i - 1]).trimEnd().endsWith(repeated), `part ${i + 1} does not overlap part ${i}`);
+    }
+});
+
+test('chunkForContext sizes CJK articles by their token count, not their length', async () => {
+    const paragraph = '市议会今天通过了新的年度预算，削减了道路开支并增加了学校经费。'.repeat(10);
+    const text = Array.from({ length: 20 }, () => paragraph).join('\n\n');
+    const { chunks, maxChunkTokens } = await chunkForContext(text, 'Summarize.', { ctx: 2048, counter: estimateCounter });
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) assert.ok(await estimateCounter.count(chunk) <= maxChunkTokens);
+});
+
+test('withArticleMetadata puts the metadata block before the input', () => {
+    assert.equal(withArticleMetadata('Text', { metadata: 'Article metadata:\n- Author: Jane Doe' }), 'Article metadata:\n- Author: Jane Doe\n\nText');
+    assert.equal(withArticleMetadata('Text', { title: 'Title' }), 'Text');
+    assert.equal(withArticleMetadata('Text'), 'Text');
+});
+
+test('chunkForContext reserves room for the metadata block', async () => {
+    const text = article(40);
+    const metadata = `Article metadata:\n${'- Link: https://example.org/source\n'.repeat(40)}`;
+    const plain = await chunkForContext(text, 'Summarize.', { ctx: 2048, counter: estimateCounter });
+    const withMetadata = await chunkForContext(text, 'Summarize.', { ctx: 2048, counter: estimateCounter, article: { metadata } });
+
+    const metadataTokens = await estimateCounter.count(`${metadata}\n\n`);
+    assert.equal(withMetadata.maxChunkTokens, plain.maxChunkTokens - metadataTokens);
+    // The block is not part of the chunks themselves
+    assert.ok(withMetadata.chunks.every((chunk) => !chunk.includes('Article metadata:')));
+});
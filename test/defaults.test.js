@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getArticleMetadataBlock } from '../src/shared/defaults.js';
+
+test('getArticleMetadataBlock lists the metadata with today\'s date and no instructions', () => {
+    const block = getArticleMetadataBlock({
+        title: 'Council cuts roads budget',
+        byline: null,
+        siteName: 'Berlin Daily',
+        publishedTime: '2024-06-03T08:00:00Z',
+        links: [{ text: 'budget draft', url: 'https://berlin.example/budget.pdf' }],
+        imageCaptions: ['The council chamber'],
+    }, new Date('2025-01-15T12:00:00Z'));
+
+    assert.equal(block, [
+        'Article metadata:',
+        '- Title: Council cuts roads budget',
+        '- Site: Berlin Daily',
+        '- Author: not stated',
+        '- Published: 2024-06-03 (today is 2025-01-15)',
+        '- Links cited in the article:',
+        '  - budget draft: https://berlin.example/budget.pdf',
+        '- Image captions:',
+        '  - The council chamber',
+    ].join('\n'));
+});
+
+test('getArticleMetadataBlock is empty when extraction found no metadata', () => {
+    assert.equal(getArticleMetadataBlock({ title: 'Untitled', links: [], imageCaptions: [] }), '');
+});
+
+test('getArticleMetadataBlock leaves today\'s date out when given no reference date', () => {
+    const block = getArticleMetadataBlock({
+        byline: 'A. Writer',
+        publishedTime: '2024-06-03T08:00:00Z',
+        links: [],
+        imageCaptions: [],
+    }, null);
+
+    assert.match(block, /^- Published: 2024-06-03$/m);
+    assert.doesNotMatch(block, /today is/);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FailoverProvider } from '../src/providers/failover.js';
+import { OllamaProvider } from '../src/providers/ollama.js';
+import { Provider, ProviderError, ERROR_CATEGORY } from '../src/providers/provider.js';
+import { startMockServer } from './helpers/mock-server.js';
+
+class EchoProvider extends Provider {
+    static id = 'echo';
+    static label = 'Echo';
+
+    static async checkAvailability() {
+        return { available: true };
+    }
+
+    async call({ text }) {
+        if (this.settings.baseUrl === 'http://down.invalid') {
+            throw new ProviderError('Cannot connect', ERROR_CATEGORY.NETWORK);
+        }
+        return { content: `echo: ${text}` };
+    }
+}
+
+test('a local model that stalls before answering hands over to the next provider', async (t) => {
+    const server = await startMockServer((req, res) => {
+        if (req.url === '/api/show') {
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ parameters: 'num_ctx 8192' }));
+            return;
+        }
+        // Headers, then nothing: prompt processing never finishes
+        res.writeHead(200, { 'content-type': 'application/x-ndjson' });
+        res.flushHeaders();
+    });
+    t.after(() => server.close());
+
+    const switches = [];
+    const provider = new FailoverProvider({
+        chain: [
+            { ProviderClass: OllamaProvider, settings: { baseUrl: server.url, model: 'llama3', requestTimeoutMs: 200 } },
+            { ProviderClass: EchoProvider, settings: { model: 'echo-1' } },
+        ],
+        onSwitch: (next) => switches.push(next.id),
+    });
+    const result = await provider.call({ text: 'Article', prompt: 'Summarize.', onUpdate: () => {} });
+
+    assert.equal(result.content, 'echo: Article');
+    assert.equal(result.providerId, 'echo');
+    assert.deepEqual(switches, ['echo']);
+});
+
+test('a fallback with the same provider and model reports its own chain entry', async () => {
+    const provider = new FailoverProvider({
+        chain: [
+            { ProviderClass: EchoProvider, settings: { baseUrl: 'http://down.invalid', model: 'echo-1' } },
+            { ProviderClass: EchoProvider, settings: { baseUrl: 'http://backup.invalid', model: 'echo-1' } },
+        ],
+    });
+    const result = await provider.call({ text: 'Article', prompt: 'Summarize.' });
+
+    assert.equal(result.providerId, 'echo');
+    assert.equal(result.model, 'echo-1');
+    assert.equal(result.chainIndex, 1);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFetchPageTool } from '../src/tools/fetch-page.js';
+import { estimateCounter } from '../src/providers/tokenizer.js';
+
+/**
+ * Replace global fetch for one test with a stub answering `respond(url)`.
+ * @param {import('node:test').TestContext} t
+ * @param {(url: string) => Response} respond
+ */
+function stubFetch(t, respond) {
+    const original = globalThis.fetch;
+    globalThis.fetch = async (url) => respond(url);
+    t.after(() => {
+        globalThis.fetch = original;
+    });
+}
+
+/** Response whose url is the final URL after redirects (not settable on a plain Response). */
+function responseAt(url, body, init) {
+    const res = new Response(body, init);
+    Object.defineProperty(res, 'url', { value: url });
+    return res;
+}
+
+function fetchTool(options = {}) {
+    return createFetchPageTool({
+        extract: async (html) => ({ title: 'Report', textContent: html.replace(/<[^>]+>/g, '') }),
+        isAllowed: () => true,
+        counter: estimateCounter,
+        ...options,
+    });
+}
+
+const run = (tool, url) => tool.invoke(undefined, JSON.stringify({ url }));
+
+test('reads the text of an allowed page', async (t) => {
+    stubFetch(t, (url) => responseAt(url, '<p>Unemployment fell to 4.1%.</p>', {
+        headers: { 'content-type': 'text/html; charset=utf-8' },
+    }));
+    const output = await run(fetchTool(), 'https://stats.example.org/report');
+    assert.equal(output, 'Title: Report\nURL: https://stats.example.org/report\n\nUnemployment fell to 4.1%.');
+});
+
+test('refuses local addresses and blocked domains before fetching', async (t) => {
+    let fetched = 0;
+    stubFetch(t, (url) => {
+        fetched++;
+        return responseAt(url, 'x', { headers: { 'content-type': 'text/plain' } });
+    });
+    const tool = fetchTool({ blockedDomains: ['tabloid.example'] });
+    assert.match(await run(tool, 'http://127.0.0.1:8080/admin'), /local and private addresses/);
+    assert.match(await run(tool, 'https://news.tabloid.example/story'), /the user blocked news\.tabloid\.example/);
+    assert.equal(fetched, 0);
+});
+
+test('refuses a redirect to a private address or a blocked domain', async (t) => {
+    const landings = {
+        'https://short.example/a': 'http://192.168.1.1/',
+        'https://short.example/b': 'https://www.tabloid.example/story',
+    };
+    stubFetch(t, (url) => responseAt(landings[url], '<p>secret</p>', { headers: { 'content-type': 'text/html' } }));
+    const tool = fetchTool({ blockedDomains: ['tabloid.example'] });
+
+    const local = await run(tool, 'https://short.example/a');
+    assert.match(local, /^Fetch failed: redirected to http:\/\/192\.168\.1\.1\/: local and private addresses/);
+    const blocked = await run(tool, 'https://short.example/b');
+    assert.match(blocked, /^Fetch failed: redirected to .*: the user blocked www\.tabloid\.example/);
+});
+
+test('stops reading a huge body after 2 MB', async (t) => {
+    const block = new TextEncoder().encode('a'.repeat(64 * 1024));
+    let sent = 0;
+    let cancelled = false;
+    const body = new ReadableStream({
+        pull(controller) {
+            sent += block.byteLength;
+            controller.enqueue(block);
+        },
+        cancel() {
+            cancelled = true;
+        },
+    });
+    stubFetch(t, (url) => responseAt(url, body, { headers: { 'content-type': 'text/plain' } }));
+
+    const output = await run(fetchTool({ maxTokens: 10 }), 'https://example.org/endless');
+    assert.ok(cancelled);
+    assert.ok(sent <= 2 * 1024 * 1024 + 2 * block.byteLength);
+    assert.match(output, /\[\.\.\. truncated, \d+ more characters\]$/);
+    assert.ok(output.length < 200);
+});
+
+test('cuts the page text to the token budget at a sentence boundary', async (t) => {
+    const sentences = Array.from({ length: 40 }, (_, i) => `Sentence number ${i} of the report.`);
+    stubFetch(t, (url) => responseAt(url, sentences.join(' '), { headers: { 'content-type': 'text/plain' } }));
+
+    const output = await run(fetchTool({ maxTokens: 60 }), 'https://stats.example.org/report');
+    const [, body] = output.split('\n\n');
+    const [text, note] = body.split('\n');
+    assert.ok(await estimateCounter.count(text) <= 60);
+    assert.match(text, /^Sentence number 0 of the report\. .*of the report$/);
+    assert.match(note, /^\[\.\.\. truncated, \d+ more characters\]$/);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreHeadlines } from '../src/background/headlines.js';
+
+/** Fake provider: a budget of `maxTokens` words, answers with a score per line. */
+function wordBudgetProvider(maxTokens) {
+    const calls = [];
+    return {
+        calls,
+        async getInputBudget() {
+            return { maxTokens, counter: { id: 'words', count: async (text) => text.split(/\s+/).filter(Boolean).length } };
+        },
+        async call({ text }) {
+            calls.push(text);
+            const ids = text.split('\n').map((line) => Number.parseInt(line, 10));
+            return { content: JSON.stringify(ids.map((id) => ({ id, score: 10, techniques: [] }))) };
+        },
+    };
+}
+
+test('batches headlines by the provider\'s token budget', async () => {
+    const headlines = Array.from({ length: 10 }, (_, i) => ({ id: i + 1, text: 'Council approves the new budget' }));
+    const provider = wordBudgetProvider(13);
+
+    const scores = await scoreHeadlines(provider, headlines);
+
+    // Six words per line ("1." plus five words), so two lines per request
+    assert.equal(provider.calls.length, 5);
+    assert.deepEqual(provider.calls[0].split('\n'), ['1. Council approves the new budget', '2. Council approves the new budget']);
+    assert.deepEqual(scores.map((s) => s.id), headlines.map((h) => h.id));
+});
+
+test('sends everything at once when the provider has no budget', async () => {
+    const provider = wordBudgetProvider(0);
+    provider.getInputBudget = async () => null;
+    const headlines = Array.from({ length: 5 }, (_, i) => ({ id: i + 1, text: 'Headline' }));
+
+    await scoreHeadlines(provider, headlines);
+    assert.equal(provider.calls.length, 1);
+});
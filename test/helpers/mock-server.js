@@ -0,0 +1,43 @@
+import { createServer } from 'node:http';
+
+/**
+ * Local HTTP server standing in for a provider API in tests.
+ *
+ * @param {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse, body: string) => void} handler
+ *   Called with the request body read in full
+ * @returns {Promise<{ url: string, requests: { method: string, url: string, body: string }[], close: () => Promise<void> }>}
+ */
+export async function startMockServer(handler) {
+    const requests = [];
+    const server = createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, body });
+            handler(req, res, body);
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => {
+            // Stalled test responses never end on their own
+            server.closeAllConnections();
+            return new Promise((resolve) => server.close(resolve));
+        },
+    };
+}
+
+/**
+ * Write one Server-Sent Event.
+ * @param {import('node:http').ServerResponse} res
+ * @param {string} event
+ * @param {object} data
+ */
+export function writeSse(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OllamaProvider } from '../src/providers/ollama.js';
+import { ERROR_CATEGORY } from '../src/providers/provider.js';
+import { startMockServer } from './helpers/mock-server.js';
+
+const ARTICLE = 'A short article about the local council budget.';
+
+/**
+ * Mock Ollama server: /api/show reports a model, /api/chat is handled by `chat`.
+ * @param {(res: import('node:http').ServerResponse) => void} chat
+ */
+function startOllama(chat) {
+    return startMockServer((req, res) => {
+        if (req.url === '/api/show') {
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ parameters: 'num_ctx 8192', model_info: {} }));
+            return;
+        }
+        res.writeHead(200, { 'content-type': 'application/x-ndjson' });
+        chat(res);
+    });
+}
+
+function writeLine(res, message, done = false) {
+    res.write(`${JSON.stringify({ message: { role: 'assistant', content: message }, done })}\n`);
+}
+
+test('streams the chat reply with the resolved num_ctx', async (t) => {
+    const server = await startOllama((res) => {
+        writeLine(res, 'No manipulation ');
+        writeLine(res, 'detected.');
+        writeLine(res, '', true);
+        res.end();
+    });
+    t.after(() => server.close());
+
+    const deltas = [];
+    const provider = new OllamaProvider({ baseUrl: server.url, model: 'llama3' });
+    const { content } = await provider.call({ text: ARTICLE, prompt: 'Summarize.', onUpdate: (d) => deltas.push(d) });
+
+    assert.equal(content, 'No manipulation detected.');
+    assert.deepEqual(deltas, ['No manipulation ', 'detected.']);
+    const chat = JSON.parse(server.requests.find((r) => r.url === '/api/chat').body);
+    assert.equal(chat.options.num_ctx, 8192);
+    assert.deepEqual(chat.messages, [
+        { role: 'system', content: 'Summarize.' },
+        { role: 'user', content: ARTICLE },
+    ]);
+});
+
+test('a model that stalls past the request timeout fails as a timeout, not a cancel', async (t) => {
+    const server = await startOllama((res) => {
+        writeLine(res, 'No manipulation ');
+        // ...and nothing more
+    });
+    t.after(() => server.close());
+
+    const provider = new OllamaProvider({ baseUrl: server.url, model: 'llama3', requestTimeoutMs: 200 });
+    await assert.rejects(
+        provider.call({ text: ARTICLE, prompt: 'Summarize.' }),
+        (err) => err.name === 'ProviderError' && err.category === ERROR_CATEGORY.TIMEOUT,
+    );
+});
+
+test('a user cancel mid-stream still rejects with AbortError', async (t) => {
+    const server = await startOllama((res) => {
+        writeLine(res, 'No manipulation ');
+    });
+    t.after(() => server.close());
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    const provider = new OllamaProvider({ baseUrl: server.url, model: 'llama3' });
+    await assert.rejects(
+        provider.call({ text: ARTICLE, prompt: 'Summarize.', signal: controller.signal }),
+        (err) => err.name === 'AbortError',
+    );
+});
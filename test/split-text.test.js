@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isHeading, splitText } from '../src/shared/split-text.js';
+
+/** A sentence of `words` numbered words, e.g. "alpha0 alpha1 … alpha9." */
+const sentence = (words, word = 'word') => `${Array.from({ length: words }, (_, i) => `${word}${i}`).join(' ')}.`;
+
+/** Text with every whitespace run collapsed, to compare content across chunk boundaries. */
+const squash = (text) => text.replace(/\s+/g, '');
+
+test('returns short text unchanged', () => {
+    assert.deepEqual(splitText('One paragraph.', 100), ['One paragraph.']);
+});
+
+test('splits on paragraphs and keeps every chunk within the limit', () => {
+    const paragraphs = [sentence(30, 'a'), sentence(30, 'b'), sentence(30, 'c'), sentence(30, 'd')];
+    const chunks = splitText(paragraphs.join('\n\n'), 300);
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) assert.ok(chunk.length <= 300, `${chunk.length} > 300`);
+    // No paragraph is cut while whole paragraphs fit
+    for (const paragraph of paragraphs) assert.ok(chunks.some((chunk) => chunk.includes(paragraph)));
+    assert.equal(squash(chunks.join('')), squash(paragraphs.join('')));
+});
+
+test('moves a heading to the chunk with the text it introduces', () => {
+    const text = [
+        `Intro ${sentence(20)}`,
+        'What the council decided',
+        sentence(30),
+        '## Reactions',
+        sentence(30),
+    ].join('\n\n');
+    const chunks = splitText(text, 250);
+
+    assert.equal(chunks.length, 3);
+    assert.ok(chunks[0].startsWith('Intro'));
+    assert.ok(chunks[1].startsWith('What the council decided\n\nword0'));
+    assert.ok(chunks[2].startsWith('## Reactions\n\nword0'));
+    for (const chunk of chunks) assert.ok(!isHeading(chunk.trim().split('\n').pop()), 'chunk ends with a heading');
+});
+
+test('carries a heading and its subheading together', () => {
+    const text = [sentence(25, 'a'), 'Budget 2025', 'Where the money goes', sentence(25, 'b')].join('\n\n');
+    const chunks = splitText(text, 200);
+
+    assert.equal(chunks.length, 2);
+    assert.ok(chunks[1].startsWith('Budget 2025\n\nWhere the money goes\n\nb0'));
+});
+
+test('splits a single huge paragraph on sentences, then words', () => {
+    // Twelve short sentences around one that is longer than the limit
+    const sentences = Array.from({ length: 12 }, (_, i) => sentence(15, `s${i}w`));
+    sentences.splice(6, 0, sentence(60, 'long'));
+    const paragraph = sentences.join(' ');
+    const chunks = splitText(paragraph, 200);
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) assert.ok(chunk.length <= 200);
+    // Cut at word boundaries: every chunk starts with a whole word
+    for (const chunk of chunks) assert.match(chunk, /^(s\d+w|long)\d+/);
+    // Short sentences are not cut
+    for (const short of sentences.filter((text) => !text.startsWith('long'))) {
+        assert.ok(chunks.some((chunk) => chunk.includes(short.slice(0, -1))), short);
+    }
+    // Nothing is lost but the ". " separators at the cuts
+    const words = (text) => text.replace(/\./g, '').split(/\s+/);
+    assert.deepEqual(words(chunks.join(' ')), words(paragraph));
+});
+
+test('falls back to a hard split for text without separators', () => {
+    const chunks = splitText('x'.repeat(1000), 300);
+    assert.deepEqual(chunks.map((chunk) => chunk.length), [300, 300, 300, 100]);
+});
+
+test('splits CJK text without spaces within the limit', () => {
+    const paragraph = '市议会今天通过了新的年度预算。'.repeat(12);
+    const text = [paragraph, paragraph, paragraph].join('\n\n');
+    const chunks = splitText(text, 150);
+
+    for (const chunk of chunks) assert.ok(chunk.length <= 150);
+    assert.equal(squash(chunks.join('')), squash(text));
+
+    // Whole paragraphs stay together when they fit
+    const byParagraph = splitText(text, paragraph.length + 10);
+    assert.deepEqual(byParagraph, [paragraph, paragraph, paragraph]);
+});
+
+test('with overlap, each chunk repeats the end of the previous one', () => {
+    const text = Array.from({ length: 20 }, (_, i) => sentence(8, `p${i}w`)).join(' ');
+    const chunks = splitText(text, 200, { overlap: 60 });
+
+    assert.ok(chunks.length > 2);
+    for (const chunk of chunks) assert.ok(chunk.length <= 200, `${chunk.length} > 200`);
+    for (let i = 1; i < chunks.length; i++) {
+        const [repeated] = chunks[i].split('\n');
+        assert.ok(repeated.length > 0 && repeated.length < 60);
+        assert.ok(chunks[i - 1].endsWith(repeated), `chunk ${i} does not start with the end of chunk ${i - 1}`);
+    }
+});
+
+test('overlap is capped at half of the limit', () => {
+    const text = Array.from({ length: 20 }, (_, i) => sentence(8, `p${i}w`)).join(' ');
+    for (const chunk of splitText(text, 120, { overlap: 500 })) assert.ok(chunk.length <= 120);
+});
+
+test('isHeading tells headings from body text', () => {
+    assert.ok(isHeading('What the council decided'));
+    assert.ok(isHeading('## Reactions'));
+    assert.ok(!isHeading('The council approved the budget.'));
+    assert.ok(!isHeading('"We will not back down," she said:'));
+    assert.ok(!isHeading('x'.repeat(120)));
+    assert.ok(!isHeading('Two\nlines'));
+});
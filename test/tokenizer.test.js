@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import bpeRanks from 'gpt-tokenizer/bpeRanks/o200k_base';
+import { GptEncoding } from 'gpt-tokenizer/GptEncoding';
+import { estimateCounter, registerBpeEncoder, splitByTokens, tokenCounterFor } from '../src/providers/tokenizer.js';
+
+test('OpenAI models use the estimate until the encoder is registered, then o200k_base', async () => {
+    assert.equal(tokenCounterFor('gpt-4o-mini'), estimateCounter);
+
+    let loads = 0;
+    registerBpeEncoder(() => {
+        loads++;
+        return GptEncoding.getEncodingApi('o200k_base', () => bpeRanks);
+    });
+    assert.equal(loads, 0, 'the encoder is built on first use');
+
+    const counter = tokenCounterFor('openai/gpt-oss-20b');
+    assert.equal(counter.id, 'o200k_base');
+    assert.equal(await counter.count('Hello, world!'), 4);
+    await counter.count('Again');
+    assert.equal(loads, 1);
+
+    assert.equal(tokenCounterFor('claude-sonnet-4'), estimateCounter);
+    assert.equal(tokenCounterFor(undefined), estimateCounter);
+});
+
+test('splitByTokens keeps every chunk within the budget of the counter', async () => {
+    const text = Array.from({ length: 200 }, (_, i) => `Claim ${i} is attributed to the ministry.`).join(' ');
+    const { chunks, charsPerToken } = await splitByTokens(text, 100, estimateCounter);
+
+    assert.ok(chunks.length > 1);
+    assert.ok(charsPerToken > 1);
+    for (const chunk of chunks) assert.ok(await estimateCounter.count(chunk) <= 100);
+});
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSearchProviders } from '../src/tools/web-search.js';
+
+test('self-hosted search backends are tried after the commercial ones', () => {
+    const matches = resolveSearchProviders({
+        searchSearxngUrl: 'https://searx.example.org',
+        searchKeyBrave: 'BSA-key',
+        searchKeyTavily: 'tvly-key',
+    });
+
+    assert.deepEqual(matches.map((m) => m.provider.id), ['brave', 'tavily', 'searxng']);
+});
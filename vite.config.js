@@ -4,4 +4,10 @@ import manifest from './manifest.json'
 
 export default defineConfig({
     plugins: [crx({ manifest })],
+    build: {
+        rollupOptions: {
+            // Not referenced by the manifest; created at runtime by chrome.offscreen
+            input: { offscreen: 'src/offscreen/index.html' },
+        },
+    },
 })